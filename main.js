@@ -3,101 +3,240 @@
 const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const { Worker } = require('worker_threads');
+const crypto = require('crypto');
 const Store = require('electron-store');
-const { handleProjectSetup, resolveToolchainPaths, buildEnvFromPaths } = require('./src/setup-handler.js');
+const { handleProjectSetup, resolveToolchainPaths, checkToolPath, buildEnvFromPaths } = require('./src/setup-handler.js');
+const { runFunctionDiff, buildInstructionRows } = require('./src/objdiff-handler.js');
+const { describeCommand } = require('./src/platform.js');
+const { resolveCommand } = require('./src/commands.js');
+const { IpcValidationError, validateIpcPayload, resolveInsideProject, escapeRegExp } = require('./src/ipc-validation.js');
+const { findMemberPaths } = require('./src/struct-lookup.js');
+const { inferRegisterTypes, findPrototype } = require('./src/register-types.js');
+const { watchTree } = require('./src/fs-watch.js');
+const { listStructs, describeStruct } = require('./src/struct-report.js');
+const { extractObjects } = require('./src/asm-index.js');
+const { startProjectIndex } = require('./src/project-index.js');
+const { annotateAsm, referencedObjects, attachDataValues } = require('./src/asm-annotate.js');
+const { decodeData } = require('./src/data-decode.js');
+const { listTopLevelItems, listFunctionDefinitions, findFunctionDefinition, listCalls } = require('./src/c-functions.js');
+const { planCodeInjection } = require('./src/code-injection.js');
+const { prototypeFor, updatePrototypes, insertPrototype, removePrototypes, insertInclude } = require('./src/prototypes.js');
+const { defaultIncludeDirs } = require('./src/header-parser.js');
+const { diffTexts, applyHunks } = require('./src/text-diff.js');
+const { openJournal } = require('./src/change-journal.js');
+const { parseBuildOutput } = require('./src/diagnostics.js');
+const { createJobManager } = require('./src/job-manager.js');
+const { callNeighborhood } = require('./src/call-graph.js');
+const { recommendFunctions } = require('./src/recommendations.js');
+const { STATUS, readObjdiffUnits, reportMatches, classifyFunctions } = require('./src/function-status.js');
 
 const store = new Store();
 let mainWindow; // Keep a reference to the main window
 
-// --- Struct Parser Cache and Logic ---
-let structsCache = {}; // In-memory cache for parsed struct data
+// --- Struct Database ---
+let structsCache = { structs: {}, typedefs: {}, functions: {}, staticAsserts: [] }; // Type database from buildDatabase
+let structsSrcDir = null;           // Header directory structsCache was built from
+let structsRefresh = null;          // In-flight refresh, if any
+let structsRefreshQueued = false;   // Whether headers changed again while it ran
+let structsWatcher = null;          // watchProjectSources watcher of the melee 'src' directory
+let structsWatcherDir = null;
 
-function parseCHeadersForStructs(includeDir) {
-    const typeSizes = {
-        'u8': 1, 's8': 1, 'char': 1, 'bool': 1,
-        'u16': 2, 's16': 2, 'short': 2,
-        'u32': 4, 's32': 4, 'int': 4, 'float': 4, 'f32': 4,
-        'u64': 8, 's64': 8, 'double': 8, 'f64': 8,
-    };
-    const parsedStructs = {};
-    const getAlignment = (type) => type.includes('*') ? 4 : typeSizes[type.replace(/const\s+/, '').trim()] || 4;
-    const getSize = (type) => type.includes('*') ? 4 : typeSizes[type.replace(/const\s+/, '').trim()] || 4;
-
-    function findFiles(dir, allFiles = []) {
-        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
-            const fullPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) findFiles(fullPath, allFiles);
-            else if (entry.name.endsWith('.h')) allFiles.push(fullPath);
+// Parsed declarations and the project index are cached per project in the app's data directory.
+function projectCacheFile(folder, directory) {
+    const key = crypto.createHash('sha1').update(directory).digest('hex').slice(0, 16);
+    return path.join(app.getPath('userData'), folder, `${key}.json`);
+}
+
+function runStructWorker(srcDir) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'src', 'struct-worker.js'), { workerData: { srcDir, cacheFile: projectCacheFile('struct-cache', srcDir) } });
+        worker.once('message', (message) => message.error ? reject(new Error(message.error)) : resolve(message.result));
+        worker.once('error', reject);
+        worker.once('exit', (code) => { if (code !== 0) reject(new Error(`Struct worker exited with code ${code}`)); });
+    });
+}
+
+// Refreshes structsCache from the headers under srcDir. Requests made while a refresh
+// is running are coalesced into one more run after it.
+function refreshStructDatabase(srcDir) {
+    if (structsRefresh) {
+        structsRefreshQueued = true;
+        return structsRefresh;
+    }
+    structsRefresh = runStructWorker(srcDir)
+        .then(({ db, parsed, total }) => {
+            structsCache = db;
+            structsSrcDir = srcDir;
+            return { count: Object.keys(db.structs).length, parsed, total, diagnostics: db.diagnostics.length };
+        })
+        .finally(() => {
+            structsRefresh = null;
+            if (structsRefreshQueued) {
+                structsRefreshQueued = false;
+                refreshStructDatabase(srcDir).then(notifyStructsUpdated, () => {});
+            }
         });
-        return allFiles;
+    return structsRefresh;
+}
+
+function notifyStructsUpdated(summary) {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('structs:updated', summary);
+}
+
+// The one watcher of the melee 'src' directory. Changed headers refresh the struct
+// database once it has been loaded from this directory, and every change to a C file,
+// header or directory is passed on to the project index, whose worker does not watch
+// 'src' itself.
+function watchProjectSources(srcDir) {
+    if (structsWatcher && structsWatcherDir === srcDir) return;
+    if (structsWatcher) structsWatcher.close();
+    structsWatcherDir = srcDir;
+    structsWatcher = watchTree(srcDir, {
+        filter: (file) => /\.[ch]$/.test(file) || !path.extname(file),
+        debounceMs: 500,
+        onChange: (files) => {
+            if (projectIndex && path.join(projectIndex.meleePath, 'src') === srcDir) projectIndex.notifyChanges(files);
+            if (structsSrcDir !== srcDir || !files.some(file => file.endsWith('.h'))) return;
+            refreshStructDatabase(srcDir).then(notifyStructsUpdated, (error) => {
+                if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('log:error', `Failed to refresh struct database: ${error.message}`);
+            });
+        },
+    });
+}
+
+// --- Project Index ---
+let projectIndex = null; // startProjectIndex service for the open project's melee folder
+
+function notifyIndexUpdated(summary) {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('files:indexUpdated', summary);
+}
+
+// The index of the project's asm, C sources, headers and objects, started on first use
+// and restarted when another project is opened. Resolves once the initial build is done.
+async function getProjectIndex(projectPath) {
+    const meleePath = resolveInsideProject(projectPath, 'melee');
+    if (!projectIndex || projectIndex.meleePath !== meleePath) {
+        if (projectIndex) projectIndex.close();
+        projectIndex = startProjectIndex(meleePath, {
+            cacheFile: projectCacheFile('project-index', meleePath),
+            onUpdate: notifyIndexUpdated,
+            onError: (message) => {
+                if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('log:error', `Project index error: ${message}`);
+            },
+        });
+        watchProjectSources(path.join(meleePath, 'src'));
     }
+    const service = projectIndex;
+    try {
+        await service.ready;
+    } catch (error) {
+        // Let the next request start over.
+        if (projectIndex === service) { service.close(); projectIndex = null; }
+        throw error;
+    }
+    return service;
+}
 
-    for (const file of findFiles(includeDir)) {
-        const content = fs.readFileSync(file, 'utf-8');
-        const lines = content.split(/\r?\n/);
-        let inStruct = false, currentStructName = '', currentOffset = 0, structMembers = [];
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            if (trimmedLine.startsWith('//') || trimmedLine.startsWith('/*')) continue;
-            const structMatch = trimmedLine.match(/^(?:typedef\s+)?struct\s+(\w+)\s*{/);
-            if (structMatch) {
-                inStruct = true;
-                currentStructName = structMatch[1];
-                currentOffset = 0;
-                structMembers = [];
-                continue;
-            }
-            if (inStruct) {
-                if (trimmedLine.startsWith('}')) {
-                    const structEndMatch = trimmedLine.match(/}\s*(\w+);/);
-                    if (structEndMatch) currentStructName = structEndMatch[1];
-                    if (currentStructName) parsedStructs[currentStructName] = structMembers;
-                    inStruct = false;
-                    continue;
-                }
-                const memberMatch = trimmedLine.match(/^(.+?)\s+([\w\d*]+)(?:\[(\d+)\])?;/);
-                if (memberMatch) {
-                    const type = memberMatch[1].trim(), name = memberMatch[2].trim();
-                    const arraySize = memberMatch[3] ? parseInt(memberMatch[3], 10) : 1;
-                    const memberSize = getSize(type), memberAlignment = getAlignment(type);
-                    if (currentOffset % memberAlignment !== 0) currentOffset += memberAlignment - (currentOffset % memberAlignment);
-                    structMembers.push({ name, type, offset: currentOffset, size: memberSize * arraySize });
-                    currentOffset += memberSize * arraySize;
-                }
-            }
-        }
+// --- Jobs ---
+// Every external process runs as a job; the renderer's task list mirrors them.
+const jobs = createJobManager({
+    onChange: (list) => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('jobs:changed', list);
+    },
+});
+
+// --- Change Journal ---
+let journal = null; // openJournal for the open project's melee folder
+
+// The journal of every file write the dashboard makes in the project, reopened when
+// another project is opened.
+function getJournal(projectPath) {
+    const meleePath = resolveInsideProject(projectPath, 'melee');
+    if (!journal || journal.meleePath !== meleePath) {
+        journal = { meleePath, ...openJournal(meleePath, projectCacheFile('journal', meleePath)) };
     }
-    return parsedStructs;
+    return journal;
+}
+
+function notifyHistoryChanged() {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('history:changed');
 }
 
 // --- Internal Helper Functions ---
 
-function executeAndLog(event, command, options) {
-    return new Promise((resolve) => {
-        event.sender.send('log:message', `Executing: ${command}`);
-        const execOptions = { ...options, shell: 'powershell.exe' };
-        const child = exec(command, execOptions);
-        let stdout = '';
-        child.stdout.on('data', (data) => {
-            const msg = data.toString().trim();
-            event.sender.send('log:message', msg);
-            stdout += msg;
-        });
-        child.stderr.on('data', (data) => event.sender.send('log:message', data.toString().trim()));
-        child.on('close', (code) => {
-            if (code === 0) event.sender.send('log:message', `Command finished successfully.`);
-            else event.sender.send('log:error', `Command failed with exit code: ${code}`);
-            resolve({ code, stdout });
-        });
-        child.on('error', (err) => {
-            event.sender.send('log:error', `Command execution error: ${err.message}`);
-            resolve({ code: 1, error: err.message });
-        });
+// Jobs that build in, or read the build output of, a checkout are serialized on it: two
+// ninja runs in one tree, or a report while objects are being rebuilt, would trip over
+// each other.
+function buildLock(executable, args, cwd) {
+    const tool = path.basename(executable).toLowerCase().replace(/\.(exe|cmd|bat)$/, '');
+    const builds = tool === 'ninja' || tool.startsWith('objdiff') || args.includes('configure.py') || (tool === 'git' && args[0] === 'restore');
+    return builds && cwd ? `build:${path.resolve(cwd)}` : null;
+}
+
+// Runs an executable with an argv array as a job of the job manager and streams its
+// output to the console. Arguments are passed straight to the process and are never
+// parsed by a shell. `options.lock` overrides the buildLock the job waits on.
+function executeAndLog(event, executable, args = [], options = {}) {
+    const { lock = buildLock(executable, args, options.cwd), ...spawnOptions } = options;
+    event.sender.send('log:message', `Executing: ${describeCommand(executable, args)}`);
+    const { id, queued, result } = jobs.run({
+        executable, args, options: spawnOptions, lock,
+        onOutput: (text) => event.sender.send('log:message', text.trim()),
+    });
+    if (queued) event.sender.send('log:message', `Job ${id} is waiting for ${jobs.holder(lock).label} to finish.`);
+    return result.then((outcome) => {
+        if (outcome.cancelled) event.sender.send('log:error', `Command cancelled.`);
+        else if (outcome.error) event.sender.send('log:error', `Command execution error: ${outcome.error}`);
+        else if (outcome.code === 0) event.sender.send('log:message', `Command finished successfully.`);
+        else event.sender.send('log:error', `Command failed with exit code: ${outcome.code}`);
+        return outcome;
     });
 }
 
+// Registers an IPC handler whose payload is checked against the channel's schema in
+// src/ipc-validation.js before the handler runs. Validation failures are returned to
+// the renderer as typed errors instead of being thrown.
+function handleValidated(channel, handler) {
+    ipcMain.handle(channel, async (event, payload) => {
+        try {
+            validateIpcPayload(channel, payload, { projectPath: store.get('userPaths.projectPath') });
+        } catch (error) {
+            if (error instanceof IpcValidationError) return error.toResponse();
+            throw error;
+        }
+        return handler(event, payload);
+    });
+}
+
+// Maps a .s file relative to the asm directory to its objdiff unit name and the asm, C,
+// header and object paths. The C source and object come from objdiff.json when the unit
+// is listed there, since not every source lives at the mirrored src/melee path.
+function mapUnitPaths(meleePath, relativePath) {
+    const unitPath = relativePath.replace(/\.s$/, '');
+    const unitName = `main/melee/${unitPath}`;
+    const unit = readObjdiffUnits(meleePath).get(unitName) || {};
+    const cPath = unit.sourcePath || path.join(meleePath, 'src', 'melee', `${unitPath}.c`);
+    return {
+        meleePath,
+        unitName,
+        asmPath: path.join(meleePath, 'build', 'GALE01', 'asm', 'melee', relativePath),
+        cPath,
+        hPath: cPath.replace(/\.c$/, '.h'),
+        objectPath: unit.basePath || path.join(meleePath, 'build', 'GALE01', 'src', 'melee', `${unitPath}.o`),
+    };
+}
+
+// mapUnitPaths for a path from the renderer, with every path checked to stay inside the
+// project folder.
+function getUnitPaths(projectPath, relativePath) {
+    const paths = mapUnitPaths(resolveInsideProject(projectPath, 'melee'), relativePath);
+    for (const key of ['asmPath', 'cPath', 'hPath', 'objectPath']) {
+        paths[key] = resolveInsideProject(projectPath, path.relative(projectPath, paths[key]));
+    }
+    return paths;
+}
+
 // --- Window Creation & Navigation ---
 
 const createWindow = () => {
@@ -118,90 +257,146 @@ const createWindow = () => {
 app.whenReady().then(createWindow);
 app.on('activate', () => { if (BrowserWindow.getAllWindows().length === 0) createWindow(); });
 app.on('window-all-closed', () => { if (process.platform !== 'darwin') app.quit(); });
+app.on('will-quit', () => {
+    if (structsWatcher) structsWatcher.close();
+    if (projectIndex) projectIndex.close();
+    jobs.cancelAll();
+});
 
-ipcMain.on('navigate', (event, page) => {
-    if (mainWindow) {
-        const pagePath = path.join(__dirname, `src/${page}.html`);
-        mainWindow.loadFile(pagePath);
-    }
+handleValidated('navigate', (event, page) => {
+    if (mainWindow) mainWindow.loadFile(path.join(__dirname, `src/${page}.html`));
 });
 
 // --- IPC Handlers ---
 
-ipcMain.handle('dialog:openDirectory', async () => {
+// The project folder is the root every projectPath check and file sandbox is measured
+// against, so it is only ever taken from this dialog, never from a renderer payload.
+handleValidated('paths:selectProjectFolder', async () => {
     const { canceled, filePaths } = await dialog.showOpenDialog({ properties: ['openDirectory'] });
-    return canceled ? null : filePaths[0];
+    if (canceled) return null;
+    store.set('userPaths.projectPath', filePaths[0]);
+    return filePaths[0];
 });
 
-ipcMain.handle('dialog:openFile', async (event, options = {}) => {
+handleValidated('dialog:openFile', async (event, options = {}) => {
     const { canceled, filePaths } = await dialog.showOpenDialog({ properties: ['openFile'], ...options });
     return canceled ? null : filePaths[0];
 });
 
-ipcMain.on('shell:openExternal', (event, url) => shell.openExternal(url));
+handleValidated('shell:openExternal', (event, url) => shell.openExternal(url));
 
 // Delegate complex setup to the handler module
-ipcMain.handle('project:run-setup', (event, args) => handleProjectSetup(event, args, store, executeAndLog));
+handleValidated('project:run-setup', (event, args) => handleProjectSetup(event, args, store, executeAndLog));
 
-ipcMain.handle('exec:command', (event, { command, cwd, env = {} }) => {
-    return executeAndLog(event, command, { cwd, env: { ...process.env, ...env } });
+// Only the named operations in src/commands.js can be run from the renderer. The tool,
+// working directory and environment are always decided here in the main process.
+handleValidated('exec:command', async (event, { operation, args } = {}) => {
+    try {
+        const projectPath = store.get('userPaths.projectPath');
+        if (!projectPath) return { code: 1, error: 'Project path not set.' };
+
+        const command = resolveCommand(operation, args);
+        const resolvedPaths = await resolveToolchainPaths(event, store);
+        const executable = resolvedPaths[command.tool];
+        if (!executable) return { code: 1, error: `${command.tool} not found. Please set its path in Settings.` };
+
+        const options = { cwd: path.join(projectPath, 'melee'), env: buildEnvFromPaths(resolvedPaths) };
+        return await executeAndLog(event, executable, command.args, options);
+    } catch (error) {
+        event.sender.send('log:error', error.message);
+        return { code: 1, error: error.message };
+    }
 });
 
-ipcMain.handle('settings:get', (event) => resolveToolchainPaths(event, store));
-ipcMain.handle('settings:set', (event, settings) => {
+// The job list for the status bar, a job's captured output, and cancelling a job (a
+// running one is killed along with every process it started).
+handleValidated('jobs:list', () => ({ jobs: jobs.list() }));
+handleValidated('jobs:output', (event, { id }) => ({ output: jobs.output(id) }));
+handleValidated('jobs:cancel', (event, { id }) => ({ success: jobs.cancel(id) }));
+
+handleValidated('settings:get', (event) => resolveToolchainPaths(event, store));
+// Saved tool paths are spawned by later commands, so each must be the expected executable.
+handleValidated('settings:set', (event, settings) => {
+    const problem = Object.entries(settings).map(([tool, file]) => file && checkToolPath(tool, file)).find(Boolean);
+    if (problem) return { success: false, error: problem };
     store.set('toolchainPaths', settings);
     return { success: true };
 });
 
-ipcMain.handle('paths:get', () => store.get('userPaths', {}));
-ipcMain.handle('paths:set', (event, paths) => {
-    store.set('userPaths', { ...store.get('userPaths', {}), ...paths });
+handleValidated('paths:get', () => store.get('userPaths', {}));
+handleValidated('paths:set', (event, { dolPath }) => {
+    if (dolPath !== undefined) store.set('userPaths.dolPath', dolPath);
     return { success: true };
 });
 
-// Replace the existing structs:load handler with this one.
-
-ipcMain.handle('structs:load', (event, projectPath) => {
+handleValidated('structs:load', async (event, projectPath) => {
     try {
-        // **THE FIX**: The headers are in 'src', not 'include'.
-        const srcDir = path.join(projectPath, 'melee', 'src');
+        const srcDir = resolveInsideProject(projectPath, 'melee', 'src');
         if (!fs.existsSync(srcDir)) return { error: 'Source directory not found.' };
-        
-        structsCache = parseCHeadersForStructs(srcDir); // Assuming parseCHeadersForStructs reads recursively
-        
-        return { success: true, count: Object.keys(structsCache).length };
+
+        const summary = await refreshStructDatabase(srcDir);
+        watchProjectSources(srcDir);
+
+        return { success: true, ...summary };
     } catch (error) {
         return { error: error.message };
     }
 });
-ipcMain.handle('structs:lookup', (event, offset) => {
-    const results = [];
-    for (const structName in structsCache) {
-        for (const member of structsCache[structName]) {
-            if (member.offset === offset) results.push({ structName, member });
-        }
-    }
-    return results;
+// When the struct the base register points to is known, its members are listed first
+// and marked `inferred`.
+handleValidated('structs:lookup', (event, { offset, structName }) => {
+    const results = findMemberPaths(structsCache, offset).map(({ typeInfo, ...result }) => ({ ...result, inferred: result.structName === structName }));
+    return results.sort((a, b) => Number(b.inferred) - Number(a.inferred));
+});
+handleValidated('structs:list', () => listStructs(structsCache, structsSrcDir));
+handleValidated('structs:describe', (event, name) => describeStruct(structsCache, name, structsSrcDir) || { error: `Unknown struct: ${name}` });
+handleValidated('structs:inferRegisters', async (event, { projectPath, relativePath, functionName }) => {
+    try {
+        const { asmPath, cPath } = getUnitPaths(projectPath, relativePath);
+        const lines = extractFunctionAsm(readFileSafe(asmPath), functionName);
+        if (lines.length === 0) return { error: `Could not find function ${functionName}` };
+        const prototype = findPrototype(structsCache, functionName, readFileSafe(cPath));
+        return { lines: inferRegisterTypes(structsCache, lines, { functionName, prototype }) };
+    } catch (error) { return { error: error.message }; }
 });
 
-ipcMain.handle('objdiff:run-report', async (event) => {
+handleValidated('objdiff:run-report', async (event) => {
     try {
         const projectPath = store.get('userPaths.projectPath');
         if (!projectPath) return { error: "Project path not set." };
         
         const resolvedPaths = await resolveToolchainPaths(event, store);
-        if (!resolvedPaths.objdiff) return { error: "objdiff-cli.exe not found. Please set its path in Settings, or place it in your project folder." };
+        if (!resolvedPaths.objdiff) return { error: "objdiff-cli not found. Please set its path in Settings, or place it in your project folder." };
         
         const sessionEnv = buildEnvFromPaths(resolvedPaths);
-        const command = `"${resolvedPaths.objdiff}" report --format json`;
-        const result = await executeAndLog(event, command, { cwd: path.join(projectPath, 'melee'), env: sessionEnv });
+        const { args } = resolveCommand('report');
+        const result = await executeAndLog(event, resolvedPaths.objdiff, args, { cwd: path.join(projectPath, 'melee'), env: sessionEnv });
 
         if (result.code !== 0) return { error: "objdiff-cli command failed." };
-        return { report: JSON.parse(result.stdout) };
+        const report = JSON.parse(result.stdout);
+        lastReport = { meleePath: path.join(projectPath, 'melee'), matches: reportMatches(report) };
+        return { report };
     } catch (error) {
         return { error: `Failed to run or parse report: ${error.message}` };
     }
 });
+handleValidated('objdiff:diff-function', async (event, { unitName, functionName }) => {
+    try {
+        const projectPath = store.get('userPaths.projectPath');
+        if (!projectPath) return { error: "Project path not set." };
+
+        const resolvedPaths = await resolveToolchainPaths(event, store);
+        if (!resolvedPaths.objdiff) return { error: "objdiff-cli not found. Please set its path in Settings, or place it in your project folder." };
+
+        const sessionEnv = buildEnvFromPaths(resolvedPaths);
+        const meleePath = path.join(projectPath, 'melee');
+        const result = await runFunctionDiff(event, { meleePath, unitName, functionName }, resolvedPaths, executeAndLog, sessionEnv);
+        if (result.error) return result;
+        return { functionName, matchPercent: result.matchPercent, rows: buildInstructionRows(result.target, result.base) };
+    } catch (error) {
+        return { error: `Failed to diff function: ${error.message}` };
+    }
+});
 // --- AI Copilot Handler ---
 
 // Replace the existing getGeminiSuggestion function with this one.
@@ -283,7 +478,7 @@ async function getGeminiSuggestion(event, projectPath, targetAssembly, currentCC
     if (!resolvedPaths.python) return { error: "Python executable not found." };
     
     const meleePath = path.join(projectPath, 'melee');
-    const contextResult = await executeAndLog(event, `& "${resolvedPaths.python}" "${contextScriptPath}" "${meleePath}"`, { cwd: projectPath });
+    const contextResult = await executeAndLog(event, resolvedPaths.python, [contextScriptPath, meleePath], { cwd: projectPath });
     
     if (contextResult.code !== 0) {
         return { error: `Failed to execute m2ctx.py script. Check the output log for details.` };
@@ -305,10 +500,10 @@ async function getGeminiSuggestion(event, projectPath, targetAssembly, currentCC
     fs.writeFileSync(tempPromptPath, JSON.stringify(requestPayload));
 
     const gcloudCommand = process.platform === 'win32' ? 'gcloud.cmd' : 'gcloud';
-    const command = `${gcloudCommand} ai platform models predict ${GCLOUD_MODEL_ID} --project=${GCLOUD_PROJECT_ID} --region=${GCLOUD_LOCATION} --json-request="${tempPromptPath}"`;
+    const gcloudArgs = ['ai', 'platform', 'models', 'predict', GCLOUD_MODEL_ID, `--project=${GCLOUD_PROJECT_ID}`, `--region=${GCLOUD_LOCATION}`, `--json-request=${tempPromptPath}`];
     
     event.sender.send('log:message', 'Sending request to Google Cloud AI...');
-    const result = await executeAndLog(event, command, { cwd: projectPath });
+    const result = await executeAndLog(event, gcloudCommand, gcloudArgs, { cwd: projectPath });
     fs.unlinkSync(tempPromptPath);
 
     if (result.code !== 0) {
@@ -333,7 +528,7 @@ async function getGeminiSuggestion(event, projectPath, targetAssembly, currentCC
         return { error: 'Failed to parse the JSON response from the AI model.' };
     }
 }
-ipcMain.handle('ai:getRefactoringSuggestion', async (event, { targetAssembly, currentCCode }) => {
+handleValidated('ai:getRefactoringSuggestion', async (event, { targetAssembly, currentCCode }) => {
     try {
         const projectPath = store.get('userPaths.projectPath');
         if (!projectPath) {
@@ -346,194 +541,547 @@ ipcMain.handle('ai:getRefactoringSuggestion', async (event, { targetAssembly, cu
 });
 // --- Filesystem Handlers ---
 const readFileSafe = (p) => fs.existsSync(p) ? fs.readFileSync(p, 'utf-8') : '';
-ipcMain.handle('files:getAsmFiles', async (event, { projectPath, hideCompleted }) => {
-    try {
-        const meleePath = path.join(projectPath, 'melee');
-        const asmDir = path.join(meleePath, 'build', 'GALE01', 'asm', 'melee');
-        if (!fs.existsSync(asmDir)) return { error: `Assembly directory not found at ${asmDir}` };
-        
-        const allAsmFiles = [];
-        function findAllAsmFiles(currentPath) {
-            fs.readdirSync(currentPath, { withFileTypes: true }).forEach(entry => {
-                const fullPath = path.join(currentPath, entry.name);
-                if (entry.isDirectory()) findAllAsmFiles(fullPath);
-                else if (entry.name.endsWith('.s')) allAsmFiles.push(path.relative(asmDir, fullPath).replace(/\\/g, '/'));
-            });
+
+// Returns the instruction and label lines between `.fn name` and `.endfn`, with the
+// address/bytes comments stripped.
+function extractFunctionAsm(asmContent, functionName) {
+    const startRegex = new RegExp(`^\\.fn\\s+${escapeRegExp(functionName)},`);
+    let inFunction = false;
+    const functionLines = [];
+    for (const line of asmContent.split(/\r?\n/)) {
+        if (startRegex.test(line)) inFunction = true;
+        if (inFunction) {
+            if (line.match(/^\.endfn/)) break;
+            if (!line.match(/^\.fn/)) {
+                const instructionOnly = line.replace(/\/\*.*\*\/\s*/, '').trim();
+                if (instructionOnly) functionLines.push(instructionOnly);
+            }
         }
-        findAllAsmFiles(asmDir);
-        const filesWithCounts = allAsmFiles.map(relativePath => {
-            const asmContent = readFileSafe(path.join(asmDir, relativePath));
-            const cContent = readFileSafe(path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.c')));
-            const allFuncsInFile = [...asmContent.matchAll(/^\.fn\s+([a-zA-Z0-9_]+),/gm)].map(m => m[1]);
-            const vacantCount = allFuncsInFile.filter(funcName => !cContent.includes(funcName)).length;
-            return { path: relativePath, vacant: vacantCount, claimed: allFuncsInFile.length - vacantCount };
-        }).filter(file => !hideCompleted || file.vacant > 0);
+    }
+    return functionLines;
+}
+// Match percentages from the last report run this session, or from the report.json that
+// `ninja build/GALE01/report.json` leaves in the build directory.
+let lastReport = null; // { meleePath, matches }
+function currentReportMatches(meleePath) {
+    if (lastReport && lastReport.meleePath === meleePath) return lastReport.matches;
+    try {
+        const report = JSON.parse(fs.readFileSync(path.join(meleePath, 'build', 'GALE01', 'report.json'), 'utf-8'));
+        lastReport = { meleePath, matches: reportMatches(report) };
+        return lastReport.matches;
+    } catch (e) {
+        return new Map();
+    }
+}
+
+// Classifies every function of an asm file from its compiled object, the C source and
+// the objdiff report, all taken from the project index. Returns [{ name, size, status,
+// matchPercent }] in file order, with sizes in bytes.
+function classifyUnitFunctions(project, meleePath, relativePath) {
+    const { unitName, cPath, objectPath } = mapUnitPaths(meleePath, relativePath);
+    const functions = project.asmFunctions(relativePath).map(({ name, size }) => ({ name, size }));
+    const statuses = classifyFunctions(functions.map(f => f.name), {
+        definedSymbols: project.definedFunctions(objectPath),
+        source: project.source(cPath),
+        matches: currentReportMatches(meleePath).get(unitName),
+    });
+    return functions.map(f => ({ ...f, ...statuses.get(f.name) }));
+}
+
+// Classifies the functions of every asm file: [{ path, functions }].
+function classifyProjectFunctions(project, meleePath) {
+    return project.asmFiles().map(relativePath => ({ path: relativePath, functions: classifyUnitFunctions(project, meleePath, relativePath) }));
+}
+
+// { project, meleePath, asmDir } for a request, with `project` the ready project index,
+// or { error } when the asm has not been generated yet.
+async function indexForRequest(projectPath) {
+    const asmDir = resolveInsideProject(projectPath, 'melee', 'build', 'GALE01', 'asm', 'melee');
+    if (!fs.existsSync(asmDir)) return { error: `Assembly directory not found at ${asmDir}` };
+    return { project: await getProjectIndex(projectPath), meleePath: resolveInsideProject(projectPath, 'melee'), asmDir };
+}
+
+handleValidated('files:getAsmFiles', async (event, { projectPath, hideCompleted }) => {
+    try {
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+
+        const filesWithCounts = classifyProjectFunctions(project, meleePath).map(({ path: relativePath, functions }) => {
+            const count = (status) => functions.filter(f => f.status === status).length;
+            return { path: relativePath, vacant: count(STATUS.VACANT), inProgress: count(STATUS.IN_PROGRESS), matched: count(STATUS.MATCHED) };
+        }).filter(file => !hideCompleted || file.vacant + file.inProgress > 0);
         
-        filesWithCounts.sort((a, b) => b.vacant - a.vacant);
+        filesWithCounts.sort((a, b) => b.vacant - a.vacant || b.inProgress - a.inProgress);
         return { files: filesWithCounts };
     } catch (error) { return { error: error.message }; }
 });
-ipcMain.handle('files:analyze', async (event, { projectPath, relativePath }) => {
+// Every function and data symbol in the asm for the symbol palette:
+// [{ name, kind: 'function' | 'object', file, address, section, status? }].
+handleValidated('symbols:list', async (event, { projectPath }) => {
     try {
-        const meleePath = path.join(projectPath, 'melee');
-        const cPath = path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.c'));
-        const asmContent = readFileSafe(path.join(meleePath, 'build', 'GALE01', 'asm', 'melee', relativePath));
-        const cContent = readFileSafe(cPath);
-        
-        const lines = asmContent.split(/\r?\n/);
-        const functionsWithSize = [];
-        let currentFunction = null, lineCount = 0;
-        for (const line of lines) {
-            const fnMatch = line.match(/^\.fn\s+([a-zA-Z0-9_]+),/);
-            if (fnMatch) {
-                if (currentFunction) functionsWithSize.push({ name: currentFunction, size: lineCount });
-                currentFunction = fnMatch[1];
-                lineCount = 1;
-            } else if (currentFunction) {
-                lineCount++;
-                if (line.match(/^\.endfn/)) {
-                    functionsWithSize.push({ name: currentFunction, size: lineCount });
-                    currentFunction = null;
-                }
-            }
-        }
-        
-        const vacant = functionsWithSize.filter(f => !cContent.includes(f.name)).sort((a,b) => a.size - b.size);
-        const claimed = functionsWithSize.filter(f => cContent.includes(f.name)).map(f => f.name);
-        const includes = [...cContent.matchAll(/#include\s*(<[^>]+>|"[^"]+")/g)].map(m => m[0]).join('\n');
-        return { vacant, claimed, includes };
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const statuses = new Map();
+        classifyProjectFunctions(project, meleePath).forEach(({ functions }) => functions.forEach(f => statuses.set(f.name, f.status)));
+        const asmIndex = project.asmIndex();
+        const symbols = [];
+        asmIndex.functions.forEach(fn => symbols.push({ name: fn.name, kind: 'function', file: fn.file, address: fn.address, section: fn.section, status: statuses.get(fn.name) }));
+        asmIndex.objects.forEach(object => symbols.push({ name: object.name, kind: 'object', file: object.file, address: object.address, section: object.section }));
+        return { symbols };
     } catch (error) { return { error: error.message }; }
 });
-ipcMain.handle('files:getFunctionAsm', async (event, { projectPath, relativePath, functionName }) => {
+// Vacant functions across the project, ranked by recommendFunctions.
+handleValidated('files:recommend', async (event, { projectPath, limit }) => {
     try {
-        const asmContent = readFileSafe(path.join(projectPath, 'melee', 'build', 'GALE01', 'asm', 'melee', relativePath));
-        const lines = asmContent.split(/\r?\n/);
-        let inFunction = false;
-        const functionLines = [];
-        for (const line of lines) {
-            if (line.match(new RegExp(`^\\.fn\\s+${functionName},`))) inFunction = true;
-            if (inFunction) {
-                if (!line.match(/^\.fn/) && !line.match(/^\.endfn/)) {
-                    const instructionOnly = line.replace(/\/\*.*\*\/\s*/, '').trim();
-                    if (instructionOnly) functionLines.push(instructionOnly);
-                }
-                if (line.match(/^\.endfn/)) break;
-            }
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const units = readObjdiffUnits(meleePath);
+        const statuses = new Map(), unitsByFile = new Map();
+        for (const { path: relativePath, functions } of classifyProjectFunctions(project, meleePath)) {
+            functions.forEach(f => statuses.set(f.name, f.status));
+            const { unitName, cPath } = mapUnitPaths(meleePath, relativePath);
+            unitsByFile.set(relativePath, {
+                hasSource: project.hasSource(cPath),
+                matched: functions.filter(f => f.status === STATUS.MATCHED).length,
+                complete: Boolean((units.get(unitName) || {}).complete),
+            });
         }
+        const ranked = recommendFunctions(project.asmIndex(), {
+            statusOf: (name) => statuses.get(name),
+            unitInfo: (file) => unitsByFile.get(file) || { hasSource: false, matched: 0, complete: false },
+        });
+        return { total: ranked.length, functions: ranked.slice(0, limit || 200) };
+    } catch (error) { return { error: error.message }; }
+});
+handleValidated('files:analyze', async (event, { projectPath, relativePath }) => {
+    try {
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const functions = classifyUnitFunctions(project, meleePath, relativePath);
+        const withStatus = (status) => functions.filter(f => f.status === status);
+
+        const vacant = withStatus(STATUS.VACANT).map(({ name, size }) => ({ name, size })).sort((a, b) => a.size - b.size);
+        const inProgress = withStatus(STATUS.IN_PROGRESS).map(({ name, size, matchPercent }) => ({ name, size, matchPercent }));
+        const matched = withStatus(STATUS.MATCHED).map(f => f.name);
+        const includes = project.source(getUnitPaths(projectPath, relativePath).cPath).includes.join('\n');
+        return { vacant, inProgress, matched, includes };
+    } catch (error) { return { error: error.message }; }
+});
+handleValidated('files:getFunctionAsm', async (event, { projectPath, relativePath, functionName }) => {
+    try {
+        const functionLines = extractFunctionAsm(readFileSafe(getUnitPaths(projectPath, relativePath).asmPath), functionName);
         if (functionLines.length === 0) return { error: `Could not find function ${functionName}` };
-        return { asm: functionLines.join('\n') };
+        const { project, asmDir, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const index = project.asmIndex();
+        const annotated = annotateAsm(functionLines, index);
+        return { asm: functionLines.join('\n'), lines: attachDataValues(annotated, decodeReferencedData(asmDir, index, referencedObjects(annotated))) };
     } catch (error) { return { error: error.message }; }
 });
-ipcMain.handle('files:getFunctionCode', async (event, { projectPath, relativePath, functionName }) => {
+// Decodes the given data objects, reading each asm file that defines them once.
+// Returns Map(name -> decodeData result).
+function decodeReferencedData(asmDir, index, names) {
+    const byFile = new Map();
+    for (const name of names) {
+        const object = index.objects.get(name);
+        if (!byFile.has(object.file)) byFile.set(object.file, new Set());
+        byFile.get(object.file).add(name);
+    }
+    const decoded = new Map();
+    for (const [file, fileNames] of byFile) {
+        for (const [name, lines] of extractObjects(readFileSafe(path.join(asmDir, file)), fileNames)) {
+            const { section, size } = index.objects.get(name);
+            decoded.set(name, decodeData(lines, { section, size }));
+        }
+    }
+    return decoded;
+}
+// The definition of a data symbol (e.g. 'lbl_803C5F58' or '@1234') from the asm.
+handleValidated('files:getSymbolDefinition', async (event, { projectPath, symbol }) => {
+    try {
+        const { project, asmDir, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const object = project.asmIndex().objects.get(symbol);
+        if (!object) return { error: `Could not find data symbol ${symbol}` };
+        const lines = extractObjects(readFileSafe(path.join(asmDir, object.file)), new Set([symbol])).get(symbol) || [];
+        return { ...object, lines, decoded: decodeData(lines, object) };
+    } catch (error) { return { error: error.message }; }
+});
+// Address, byte size, section, callees and callers of a function, from every asm file,
+// and the headers that declare it.
+handleValidated('files:getFunctionInfo', async (event, { projectPath, functionName }) => {
     try {
-        const cPath = path.join(projectPath, 'melee', 'src', 'melee', relativePath.replace('.s', '.c'));
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const index = project.asmIndex();
+        const fn = index.functions.get(functionName);
+        if (!fn) return { error: `Could not find function ${functionName}` };
+        const withFile = (name) => ({ name, file: index.functions.get(name).file });
+        return {
+            name: fn.name,
+            file: fn.file,
+            address: fn.address,
+            size: fn.size,
+            section: fn.section,
+            callees: fn.callees.map(withFile),
+            references: fn.references.map(withFile),
+            callers: index.callers.get(functionName) || [],
+            declaredIn: project.declaringHeaders(functionName).map(file => path.relative(path.join(meleePath, 'src'), file).replace(/\\/g, '/')),
+        };
+    } catch (error) { return { error: error.message }; }
+});
+// Match status of a function in the latest objdiff report: 'matched', 'partial',
+// 'unmatched', or 'unknown' when the report does not cover it.
+function reportStatus(matches, file, functionName) {
+    const unitMatches = matches.get(`main/melee/${file.replace(/\.s$/, '')}`);
+    const matchPercent = unitMatches ? unitMatches.get(functionName) : undefined;
+    if (matchPercent === undefined) return { status: 'unknown' };
+    return { status: matchPercent >= 100 ? 'matched' : matchPercent > 0 ? 'partial' : 'unmatched', matchPercent };
+}
+handleValidated('callgraph:neighborhood', async (event, { projectPath, functionName, depth, unmatchedOnly }) => {
+    try {
+        const { project, meleePath, error } = await indexForRequest(projectPath);
+        if (error) return { error };
+        const index = project.asmIndex();
+        const matches = currentReportMatches(meleePath);
+        const statusOf = (name) => reportStatus(matches, index.functions.get(name).file, name);
+        const include = unmatchedOnly ? (name) => statusOf(name).status !== 'matched' : undefined;
+        const graph = callNeighborhood(index, functionName, { depth: Math.max(1, Math.min(depth || 2, 6)), include });
+        if (!graph) return { error: `Could not find function ${functionName}` };
+        graph.nodes.forEach(node => Object.assign(node, statusOf(node.name)));
+        return { root: functionName, hasReport: matches.size > 0, ...graph };
+    } catch (error) { return { error: error.message }; }
+});
+handleValidated('files:getFunctionCode', async (event, { projectPath, relativePath, functionName }) => {
+    try {
+        const { cPath } = getUnitPaths(projectPath, relativePath);
         if (!fs.existsSync(cPath)) {
             // If C file doesn't exist, return a default stub.
             return { code: `void ${functionName}(void)\n{\n    // TODO\n}\n` };
         }
         
         const content = fs.readFileSync(cPath, 'utf-8');
-        
-        // This regex finds a function signature, including its return type and arguments.
-        const funcStartRegex = new RegExp(`(?:\\w+\\s*\\*?\\s+)+${functionName}\\s*\\([^)]*\\)\\s*{`);
-        const match = content.match(funcStartRegex);
-
-        if (!match) {
+        const definition = findFunctionDefinition(content, functionName);
+        if (!definition) {
             // If the function isn't in the file, return a default stub.
             return { code: `void ${functionName}(void)\n{\n    // TODO\n}\n` };
         }
-
-        const startIndex = match.index;
-        const startBraceIndex = content.indexOf('{', startIndex);
-        let openBraces = 0;
-        let endIndex = -1;
-
-        for (let i = startBraceIndex; i < content.length; i++) {
-            if (content[i] === '{') {
-                openBraces++;
-            } else if (content[i] === '}') {
-                openBraces--;
-            }
-            if (openBraces === 0) {
-                endIndex = i;
-                break;
-            }
-        }
-
-        if (endIndex === -1) {
+        if (definition.end === null) {
             return { error: `Could not find matching closing brace for function ${functionName}.` };
         }
-
-        return { code: content.substring(startIndex, endIndex + 1) };
+        return { code: content.substring(definition.start, definition.end) };
 
     } catch (error) {
         return { error: error.message };
     }
 });
+// Replaces the definition of `functionName` in `content` with `newCode`, or appends
+// `newCode` when the function is not defined there yet.
 function replaceFunctionInContent(content, functionName, newCode) {
-    const funcStartRegex = new RegExp(`(?:void|int|char|float|double|struct\\s+\\w+\\s*\\*?)\\s+${functionName}\\s*\\([^)]*\\)`);
-    const match = content.match(funcStartRegex);
-    if (!match) return content.trim() + `\n\n${newCode}\n`;
-    const startIndex = match.index;
-    let openBraces = 0, endIndex = -1;
-    const startBraceIndex = content.indexOf('{', startIndex);
-    if (startBraceIndex === -1) return content.trim() + `\n\n${newCode}\n`;
-    for (let i = startBraceIndex; i < content.length; i++) {
-        if (content[i] === '{') openBraces++; else if (content[i] === '}') openBraces--;
-        if (openBraces === 0) { endIndex = i; break; }
-    }
-    if (endIndex === -1) return content.trim() + `\n\n${newCode}\n`;
-    return content.substring(0, startIndex) + newCode + content.substring(endIndex + 1);
+    const definition = findFunctionDefinition(content, functionName);
+    if (!definition || definition.end === null) return content.trim() + `\n\n${newCode}\n`;
+    return content.substring(0, definition.start) + newCode + content.substring(definition.end);
 }
-ipcMain.handle('files:revertChanges', async (event, { projectPath, relativePath }) => {
+// Restores the unit's C and header files from git, dropping every uncommitted change to
+// them. The restore is journaled like any other write, so it can be undone from History.
+handleValidated('files:revertChanges', async (event, { projectPath, relativePath }) => {
     try {
-        const meleePath = path.join(projectPath, 'melee');
-        const cPath = path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.c'));
-        const hPath = path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.h'));
-        const options = { cwd: meleePath, shell: 'powershell.exe' };
-        if (fs.existsSync(cPath)) await executeAndLog(event, `git restore "${cPath}"`, options);
-        if (fs.existsSync(hPath)) await executeAndLog(event, `git restore "${hPath}"`, options);
+        const { meleePath, cPath, hPath } = getUnitPaths(projectPath, relativePath);
+        const resolvedPaths = await resolveToolchainPaths(event, store);
+        const git = resolvedPaths.git || 'git';
+        const options = { cwd: meleePath };
+        const files = [cPath, hPath].filter(file => fs.existsSync(file)).map(file => ({ path: file, before: readFileSafe(file) }));
+        for (const file of files) await executeAndLog(event, git, ['restore', '--', file.path], options);
+        const changes = files.map(file => ({ ...file, after: fs.existsSync(file.path) ? readFileSafe(file.path) : null }));
+        if (await getJournal(projectPath).record('restore', `git restore of ${relativePath.replace(/\.s$/, '')}`, changes)) notifyHistoryChanged();
         return { success: true };
     } catch (error) { return { success: false, error: error.message }; }
 });
+// How a C file of the project includes `header`: quoted and relative to src/melee for
+// the game's own headers, in angle brackets and relative to the closest include
+// directory for the libraries'.
+function includeNameFor(meleePath, header) {
+    const gameDir = path.join(meleePath, 'src', 'melee');
+    if (header.startsWith(gameDir + path.sep)) return `"${path.relative(gameDir, header).replace(/\\/g, '/')}"`;
+    const relative = defaultIncludeDirs(path.join(meleePath, 'src'))
+        .filter(dir => header.startsWith(dir + path.sep))
+        .map(dir => path.relative(dir, header).replace(/\\/g, '/'))
+        .sort((a, b) => a.length - b.length)[0];
+    return relative ? `<${relative}>` : null;
+}
+
+// The header side of an injection, given the C file content planCodeInjection produced
+// and the pasted function items. For every non-static function, each prototype in the
+// headers that declare it (and in the unit's own header) is updated in place; if there
+// is none, one is added to the unit's header in address order. The C file then gets an
+// #include for every pasted or called function declared only in headers it does not
+// include yet, and local prototypes made redundant by an included header are removed.
+// Adds an entry to `summary` per edit and returns Map(path -> new content) of the files
+// it touched, the C file included.
+function planDeclarations(project, { meleePath, cPath, hPath, content, definitions }, summary) {
+    const index = project.asmIndex();
+    const addressOf = (name) => index.functions.has(name) ? index.functions.get(name).address : null;
+    const files = new Map();
+    const read = (file) => files.has(file) ? files.get(file) : readFileSafe(file);
+    const label = (file) => path.relative(path.join(meleePath, 'src'), file).replace(/\\/g, '/');
+    const note = (action, kind, name, detail) => summary.push({ action, kind, name, detail });
+
+    // Prototypes of the pasted functions, where they are already declared or in the unit's header.
+    const declaredIn = new Map(); // function name -> headers declaring it after the injection
+    for (const definition of definitions.filter(fn => !fn.isStatic)) {
+        const prototype = prototypeFor(definition);
+        const headers = [...new Set([...project.declaringHeaders(definition.name), ...(fs.existsSync(hPath) ? [hPath] : [])])];
+        const declaring = [];
+        for (const header of headers) {
+            const { content: updated, found, lines } = updatePrototypes(read(header), definition.name, prototype);
+            if (found > 0) declaring.push(header);
+            if (lines.length === 0) continue;
+            files.set(header, updated);
+            note('updated', 'prototype', definition.name, `in ${label(header)} (line ${lines.join(', ')})`);
+        }
+        if (declaring.length === 0 && fs.existsSync(hPath)) {
+            const inserted = insertPrototype(read(hPath), definition.name, prototype, addressOf);
+            files.set(hPath, inserted.content);
+            declaring.push(hPath);
+            note('added', 'prototype', definition.name, `to ${label(hPath)}, ${inserted.detail}`);
+        }
+        declaredIn.set(definition.name, declaring);
+    }
+
+    // Includes for the pasted functions and everything they call that the file does not define.
+    let cContent = content;
+    const includes = () => listTopLevelItems(cContent).filter(item => item.kind === 'include').map(item => item.name.slice(1, -1));
+    const defined = new Set(listFunctionDefinitions(cContent).map(fn => fn.name));
+    const calls = [...new Set(definitions.flatMap(fn => listCalls(fn.text.slice(fn.bodyStart - fn.start))))].filter(name => !defined.has(name));
+    const headersOf = (name) => declaredIn.get(name) || project.declaringHeaders(name);
+    const isIncluded = (name) => {
+        const closure = project.includeClosure(cPath, includes());
+        return headersOf(name).some(header => closure.has(header));
+    };
+    const names = [...declaredIn.keys(), ...calls].filter(name => headersOf(name).length > 0);
+    for (const name of names) {
+        if (isIncluded(name)) continue;
+        const headers = headersOf(name);
+        // The header mirroring the asm file that defines the function, else the shortest path.
+        const mirror = addressOf(name) === null ? null : path.join(meleePath, 'src', 'melee', index.functions.get(name).file.replace(/\.s$/, '.h'));
+        const header = headers.find(file => file === mirror) || [...headers].sort((a, b) => a.length - b.length)[0];
+        const includeName = includeNameFor(meleePath, header);
+        const inserted = includeName && insertInclude(cContent, includeName);
+        if (!inserted) continue;
+        cContent = inserted.content;
+        note('added', 'include', includeName, `for ${name} (line ${inserted.line})`);
+    }
+
+    // Local prototypes already covered by a header the file included before this change.
+    // Only declarations and includes on disk count: each hunk is accepted on its own, so
+    // a prototype or #include planned above may never be written.
+    const closure = project.includeClosure(cPath, listTopLevelItems(content).filter(item => item.kind === 'include').map(item => item.name.slice(1, -1)));
+    const redundant = new Set(names.filter(name => project.declaringHeaders(name).some(header => closure.has(header))));
+    const { content: cleaned, removed } = removePrototypes(cContent, redundant);
+    removed.forEach(({ name, line }) => note('removed', 'prototype', name, `local declaration at line ${line}, declared in an included header`));
+    files.set(cPath, cleaned);
+    return files;
+}
+
+// Works out what injecting `code` would do to the unit's C and header files without
+// writing anything. The code may hold several functions plus the data, declarations and
+// includes they need; planCodeInjection merges them into the C file, placing new
+// functions by their address in the unit's asm, and planDeclarations keeps the
+// prototypes and includes in step. Returns { functions, summary, changes } with the
+// pasted function names, what happened to each item, and changes [{ path, before, after }]
+// for the files whose content would change.
+async function planInjection(projectPath, relativePath, code) {
+    const { meleePath, cPath, hPath } = getUnitPaths(projectPath, relativePath);
+    const project = await getProjectIndex(projectPath);
+    const addresses = new Map(project.asmFunctions(relativePath).map(fn => [fn.name, fn.address]));
+
+    // The pasted items go into the C file
+    const cContent = readFileSafe(cPath);
+    const plan = planCodeInjection(cContent, code, { addressOf: (name) => addresses.get(name) ?? null });
+    if (plan.summary.length === 0) throw new Error('Could not find any functions or declarations in the code.');
+
+    // Prototypes go into the headers, includes into the C file
+    const files = planDeclarations(project, { meleePath, cPath, hPath, content: plan.content, definitions: plan.functions }, plan.summary);
+    const changes = [...files].map(([file, after]) => ({ path: file, before: readFileSafe(file), after }));
+    return { functions: plan.functions.map(fn => fn.name), summary: plan.summary, changes: changes.filter(change => change.before !== change.after) };
+}
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
 async function injectCodeAndSignature(event, { projectPath, relativePath, code }) {
     try {
-        const meleePath = path.join(projectPath, 'melee');
-        const cPath = path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.c'));
-        const hPath = path.join(meleePath, 'src', 'melee', relativePath.replace('.s', '.h'));
-        
-        // Find function signature and name from the provided code
-        const signatureMatch = code.match(/(.*{)/);
-        if (!signatureMatch) return { success: false, error: 'Could not parse function signature.' };
-        const newSignature = signatureMatch[1].replace('{', ';').trim();
-        const nameMatch = newSignature.match(/\b(\w+)\s*\(/);
-        if (!nameMatch) return { success: false, error: 'Could not parse function name.' };
-        const functionName = nameMatch[1];
-
-        // Inject the full function code into the C file
-        let cContent = readFileSafe(cPath);
-        fs.writeFileSync(cPath, replaceFunctionInContent(cContent, functionName, code));
-        event.sender.send('log:message', `Updated/Wrote function ${functionName} in ${path.basename(cPath)}.`);
-
-        // Inject the new signature into the header file
-        if (fs.existsSync(hPath)) {
-            let hContent = readFileSafe(hPath);
-            const oldSignatureRegex = new RegExp(`^.*\\b${functionName}\\b\\s*\\([^)]*\\);`, 'gm');
-            if (oldSignatureRegex.test(hContent)) {
-                hContent = hContent.replace(oldSignatureRegex, newSignature);
-            } else if (!hContent.includes(newSignature)) {
-                hContent = hContent.trim() + `\n${newSignature}\n`;
-            }
-            fs.writeFileSync(hPath, hContent);
-            event.sender.send('log:message', `Updated/Wrote signature for ${functionName} in ${path.basename(hPath)}.`);
+        const { functions, changes } = await planInjection(projectPath, relativePath, code);
+        await getJournal(projectPath).write('refactor', `Saved ${functions.join(', ')} from the refactor editor`, changes.map(change => ({ path: change.path, content: change.after })));
+        for (const change of changes) {
+            event.sender.send('log:message', `Updated/Wrote ${change.path.endsWith('.h') ? 'signatures for ' : ''}${functions.join(', ')} in ${path.basename(change.path)}.`);
         }
-        
+        if (changes.length > 0) notifyHistoryChanged();
         return { success: true };
     } catch (error) { 
         return { success: false, error: error.message };
     }
 }
 
-ipcMain.handle('files:injectCode', async(event, args) => {
-    return await injectCodeAndSignature(event, args);
+// The hunks injecting `code` would write to each file, for review before anything is
+// written: { functions, summary, files: [{ file, isNew, baseHash, hunks }] } with `file`
+// relative to the melee folder and hunks from diffTexts.
+handleValidated('files:previewInjection', async (event, { projectPath, relativePath, code }) => {
+    try {
+        const { functions, summary, changes } = await planInjection(projectPath, relativePath, code);
+        const meleePath = resolveInsideProject(projectPath, 'melee');
+        return {
+            functions,
+            summary,
+            files: changes.map(change => ({
+                file: path.relative(meleePath, change.path).replace(/\\/g, '/'),
+                isNew: !fs.existsSync(change.path),
+                baseHash: hashText(change.before),
+                hunks: diffTexts(change.before, change.after),
+            })),
+        };
+    } catch (error) { return { error: error.message }; }
+});
+// Writes the hunks the user accepted in the preview. `accepted` maps each previewed file
+// to { baseHash, hunks: [hunk indices] }; the plan is recomputed and a file that changed
+// since the preview is refused rather than patched blindly.
+handleValidated('files:applyInjection', async (event, { projectPath, relativePath, code, accepted }) => {
+    try {
+        const { functions, changes } = await planInjection(projectPath, relativePath, code);
+        const meleePath = resolveInsideProject(projectPath, 'melee');
+        const writes = [];
+        for (const change of changes) {
+            const file = path.relative(meleePath, change.path).replace(/\\/g, '/');
+            const selection = accepted[file];
+            if (!selection || !Array.isArray(selection.hunks) || selection.hunks.length === 0) continue;
+            if (selection.baseHash !== hashText(change.before)) {
+                return { success: false, error: `${file} changed since the preview. Preview the injection again.` };
+            }
+            writes.push({ file, path: change.path, content: applyHunks(change.before, diffTexts(change.before, change.after), new Set(selection.hunks)), count: selection.hunks.length });
+        }
+        await getJournal(projectPath).write('injection', `Injected ${functions.join(', ') || 'declarations'} into ${relativePath.replace(/\.s$/, '')}`, writes);
+        for (const write of writes) {
+            event.sender.send('log:message', `Wrote ${write.count} hunk${write.count === 1 ? '' : 's'} for ${functions.join(', ')} to ${write.file}.`);
+        }
+        if (writes.length > 0) notifyHistoryChanged();
+        return { success: true, functions, written: writes.map(write => write.file) };
+    } catch (error) { return { success: false, error: error.message }; }
+});
+
+// --- History ---
+
+handleValidated('history:list', async (event, { projectPath }) => {
+    try {
+        return { entries: getJournal(projectPath).list() };
+    } catch (error) { return { error: error.message }; }
+});
+handleValidated('history:diff', async (event, { projectPath, id }) => {
+    try {
+        return { files: await getJournal(projectPath).diff(id) };
+    } catch (error) { return { error: error.message }; }
+});
+// Undoes or redoes one entry on its own; an entry whose lines were changed again by a
+// later one is refused until that one is undone.
+handleValidated('history:undo', async (event, { projectPath, id }) => {
+    try {
+        const written = await getJournal(projectPath).undo(id);
+        written.forEach(file => event.sender.send('log:message', `Undid history entry ${id} in ${file}.`));
+        notifyHistoryChanged();
+        return { success: true, written };
+    } catch (error) { return { success: false, error: error.message }; }
+});
+handleValidated('history:redo', async (event, { projectPath, id }) => {
+    try {
+        const written = await getJournal(projectPath).redo(id);
+        written.forEach(file => event.sender.send('log:message', `Redid history entry ${id} in ${file}.`));
+        notifyHistoryChanged();
+        return { success: true, written };
+    } catch (error) { return { success: false, error: error.message }; }
+});
+
+// --- Targeted Builds ---
+
+// Adds `relativePath` (the unit's asm path) and, when the line falls inside a function,
+// `functionName` and `functionLine` (the line within the function's code, as the
+// refactor editor shows it) to each diagnostic in one of the game's C files.
+function locateDiagnostics(meleePath, diagnostics) {
+    const gameDir = path.join(meleePath, 'src', 'melee');
+    const functions = new Map(); // C path -> [{ name, line, lastLine }]
+    const functionsIn = (cPath) => {
+        if (!functions.has(cPath)) {
+            const content = readFileSafe(cPath);
+            functions.set(cPath, listFunctionDefinitions(content).map(fn => ({
+                name: fn.name,
+                line: fn.line,
+                lastLine: fn.line + content.slice(fn.start, fn.end === null ? content.length : fn.end).split('\n').length - 1,
+            })));
+        }
+        return functions.get(cPath);
+    };
+    return diagnostics.map(diagnostic => {
+        if (!diagnostic.file || !diagnostic.file.endsWith('.c') || diagnostic.line === null) return diagnostic;
+        const cPath = path.resolve(meleePath, diagnostic.file);
+        if (!cPath.startsWith(gameDir + path.sep) || !fs.existsSync(cPath)) return diagnostic;
+        const relativePath = path.relative(gameDir, cPath).replace(/\\/g, '/').replace(/\.c$/, '.s');
+        const definition = functionsIn(cPath).find(fn => diagnostic.line >= fn.line && diagnostic.line <= fn.lastLine);
+        if (!definition) return { ...diagnostic, relativePath };
+        return { ...diagnostic, relativePath, functionName: definition.name, functionLine: diagnostic.line - definition.line + 1 };
+    });
+}
+
+// Builds the object of one translation unit (`relativePath` is its asm path) or, without
+// it, the whole project, and parses the compiler and ninja output into diagnostics.
+// Returns { success, target, diagnostics } with diagnostics from parseBuildOutput plus
+// the locations locateDiagnostics adds.
+handleValidated('build:run', async (event, { projectPath, relativePath }) => {
+    try {
+        const meleePath = resolveInsideProject(projectPath, 'melee');
+        const resolvedPaths = await resolveToolchainPaths(event, store);
+        if (!resolvedPaths.ninja) return { success: false, error: 'Ninja executable not found.' };
+        const target = relativePath ? path.relative(meleePath, getUnitPaths(projectPath, relativePath).objectPath).replace(/\\/g, '/') : null;
+        const { args } = target ? resolveCommand('build-object', { target }) : resolveCommand('build');
+        const result = await executeAndLog(event, resolvedPaths.ninja, args, { cwd: meleePath, env: buildEnvFromPaths(resolvedPaths) });
+        const diagnostics = locateDiagnostics(meleePath, parseBuildOutput([result.stdout, result.stderr, result.error].filter(Boolean).join('\n')));
+        return { success: result.code === 0, target, diagnostics };
+    } catch (error) { return { success: false, error: error.message }; }
+});
+
+// --- Refactor & Verify Handler ---
+
+async function verifyFunction(event, { projectPath, relativePath, functionName, newCCode }) {
+    const { meleePath, unitName, objectPath } = getUnitPaths(projectPath, relativePath);
+
+    // 1. Save the editor's code into the C and header files
+    const injectResult = await injectCodeAndSignature(event, { projectPath, relativePath, code: newCCode });
+    if (!injectResult.success) return { success: false, step: 'save', error: injectResult.error };
+
+    const resolvedPaths = await resolveToolchainPaths(event, store);
+    if (!resolvedPaths.ninja) return { success: false, step: 'build', error: 'Ninja executable not found.' };
+    if (!resolvedPaths.objdiff) return { success: false, step: 'diff', error: 'objdiff-cli not found. Please set its path in Settings.' };
+    const sessionEnv = buildEnvFromPaths(resolvedPaths);
+
+    // 2. Build only the object for this translation unit
+    const objectTarget = path.relative(meleePath, objectPath).replace(/\\/g, '/');
+    const { args: buildArgs } = resolveCommand('build-object', { target: objectTarget });
+    const buildResult = await executeAndLog(event, resolvedPaths.ninja, buildArgs, { cwd: meleePath, env: sessionEnv });
+    const compilerOutput = [buildResult.stdout, buildResult.stderr].filter(Boolean).join('\n');
+    if (buildResult.code !== 0) {
+        return { success: false, step: 'build', error: `Compilation of ${objectTarget} failed.`, output: compilerOutput };
+    }
+
+    // 3. Diff the single function with objdiff-cli
+    const diffResult = await runFunctionDiff(event, { meleePath, unitName, functionName }, resolvedPaths, executeAndLog, sessionEnv);
+    if (diffResult.error) return { success: false, step: 'diff', error: diffResult.error, output: compilerOutput };
+
+    const { matchPercent } = diffResult;
+    const matchStatus = matchPercent >= 100 ? 'OK' : `${matchPercent.toFixed(2)}% match`;
+    event.sender.send('log:message', `Verification of ${functionName}: ${matchStatus}`);
+    return { success: true, step: 'diff', matchStatus, matchPercent, output: compilerOutput };
+}
+
+handleValidated('refactor:verify', async (event, args) => {
+    try {
+        return await verifyFunction(event, args);
+    } catch (error) {
+        return { success: false, step: 'unknown', error: error.message };
+    }
 });
@@ -0,0 +1,285 @@
+// src/asm-annotate.js - Tokens, branch targets and descriptions for the Target Assembly view
+
+const REGISTER = /^(r\d{1,2}|f\d{1,2}|cr\d|qr\d|sp|rtoc|lr|ctr)$/;
+// Quoted symbols ("@123"), relocation suffixes, numbers, identifiers, then separators.
+const OPERAND_TOKEN = /("[^"]*")|(@(?:ha|h|l|sda21)\b)|(-?0x[0-9a-fA-F]+|-?\d+)|(@\d+|[A-Za-z_.$][\w.$]*)|(\s+|[,()])/g;
+const CONDITIONS = { eq: 'equal', ne: 'not equal', lt: 'less than', le: 'less than or equal', gt: 'greater than', ge: 'greater than or equal', so: 'summary overflow', ns: 'not summary overflow' };
+
+// --- Instruction Descriptions ---
+
+const load = (bits, signed) => ([d, offset, a]) => `${d} = ${signed ? 'sign-extended ' : ''}${bits}-bit value at ${a} + ${offset}`;
+const loadUpdate = (bits) => ([d, offset, a]) => `${d} = ${bits}-bit value at ${a} + ${offset}; ${a} += ${offset}`;
+const store = (bits) => ([s, offset, a]) => `${bits}-bit value at ${a} + ${offset} = ${s}`;
+const storeUpdate = (bits) => ([s, offset, a]) => `${bits}-bit value at ${a} + ${offset} = ${s}; ${a} += ${offset}`;
+const indexed = (verb) => ([d, a, b]) => `${verb} ${d}, address ${a} + ${b}`;
+const binary = (op) => ([d, a, b]) => `${d} = ${a} ${op} ${b}`;
+
+// Mnemonic -> (operands) => description. Operands are the comma-separated operand
+// strings with memory operands like `0x2C(r3)` split into offset and base register.
+const DESCRIPTIONS = {
+    li: ([d, value]) => `${d} = ${value}`,
+    lis: ([d, value]) => `${d} = ${value} << 16`,
+    addi: ([d, a, value]) => `${d} = ${a} + ${value}`,
+    addis: ([d, a, value]) => `${d} = ${a} + (${value} << 16)`,
+    addic: ([d, a, value]) => `${d} = ${a} + ${value}, setting carry`,
+    'addic.': ([d, a, value]) => `${d} = ${a} + ${value}, setting carry; compare result with 0`,
+    add: binary('+'),
+    'add.': ([d, a, b]) => `${d} = ${a} + ${b}; compare result with 0`,
+    addc: binary('+'),
+    adde: ([d, a, b]) => `${d} = ${a} + ${b} + carry`,
+    addze: ([d, a]) => `${d} = ${a} + carry`,
+    subf: ([d, a, b]) => `${d} = ${b} - ${a}`,
+    'subf.': ([d, a, b]) => `${d} = ${b} - ${a}; compare result with 0`,
+    subfc: ([d, a, b]) => `${d} = ${b} - ${a}, setting carry`,
+    subfe: ([d, a, b]) => `${d} = ${b} - ${a} - !carry`,
+    subfic: ([d, a, value]) => `${d} = ${value} - ${a}, setting carry`,
+    neg: ([d, a]) => `${d} = -${a}`,
+    mullw: binary('*'),
+    mulli: binary('*'),
+    mulhw: ([d, a, b]) => `${d} = high 32 bits of ${a} * ${b} (signed)`,
+    mulhwu: ([d, a, b]) => `${d} = high 32 bits of ${a} * ${b} (unsigned)`,
+    divw: ([d, a, b]) => `${d} = ${a} / ${b} (signed)`,
+    divwu: ([d, a, b]) => `${d} = ${a} / ${b} (unsigned)`,
+    and: binary('&'),
+    'and.': ([d, a, b]) => `${d} = ${a} & ${b}; compare result with 0`,
+    andc: ([d, a, b]) => `${d} = ${a} & ~${b}`,
+    'andi.': ([d, a, value]) => `${d} = ${a} & ${value}; compare result with 0`,
+    'andis.': ([d, a, value]) => `${d} = ${a} & (${value} << 16); compare result with 0`,
+    or: binary('|'),
+    'or.': ([d, a, b]) => `${d} = ${a} | ${b}; compare result with 0`,
+    orc: ([d, a, b]) => `${d} = ${a} | ~${b}`,
+    ori: binary('|'),
+    oris: ([d, a, value]) => `${d} = ${a} | (${value} << 16)`,
+    nor: ([d, a, b]) => `${d} = ~(${a} | ${b})`,
+    xor: binary('^'),
+    xori: binary('^'),
+    xoris: ([d, a, value]) => `${d} = ${a} ^ (${value} << 16)`,
+    not: ([d, a]) => `${d} = ~${a}`,
+    mr: ([d, s]) => `${d} = ${s}`,
+    'mr.': ([d, s]) => `${d} = ${s}; compare result with 0`,
+    nop: () => 'No operation',
+    slw: binary('<<'),
+    srw: ([d, a, b]) => `${d} = ${a} >> ${b} (logical)`,
+    sraw: ([d, a, b]) => `${d} = ${a} >> ${b} (arithmetic)`,
+    srawi: ([d, a, n]) => `${d} = ${a} >> ${n} (arithmetic)`,
+    slwi: ([d, a, n]) => `${d} = ${a} << ${n}`,
+    srwi: ([d, a, n]) => `${d} = ${a} >> ${n} (logical)`,
+    clrlwi: ([d, a, n]) => `${d} = ${a} with the top ${n} bits cleared`,
+    clrrwi: ([d, a, n]) => `${d} = ${a} with the low ${n} bits cleared`,
+    rlwinm: ([d, a, sh, mb, me]) => `${d} = rotate ${a} left by ${sh}, keep bits ${mb}-${me}`,
+    'rlwinm.': ([d, a, sh, mb, me]) => `${d} = rotate ${a} left by ${sh}, keep bits ${mb}-${me}; compare result with 0`,
+    rlwimi: ([d, a, sh, mb, me]) => `Insert ${a} rotated left by ${sh} into bits ${mb}-${me} of ${d}`,
+    extsb: ([d, a]) => `${d} = sign-extended low byte of ${a}`,
+    extsh: ([d, a]) => `${d} = sign-extended low halfword of ${a}`,
+    cntlzw: ([d, a]) => `${d} = number of leading zero bits in ${a}`,
+    cmpw: ([a, b, c]) => c === undefined ? `Compare ${a} with ${b} (signed)` : `${a} = compare ${b} with ${c} (signed)`,
+    cmpwi: ([a, b, c]) => c === undefined ? `Compare ${a} with ${b} (signed)` : `${a} = compare ${b} with ${c} (signed)`,
+    cmplw: ([a, b, c]) => c === undefined ? `Compare ${a} with ${b} (unsigned)` : `${a} = compare ${b} with ${c} (unsigned)`,
+    cmplwi: ([a, b, c]) => c === undefined ? `Compare ${a} with ${b} (unsigned)` : `${a} = compare ${b} with ${c} (unsigned)`,
+    lwz: load(32), lwzu: loadUpdate(32), lwzx: indexed('Load 32 bits into'),
+    lhz: load(16), lhzu: loadUpdate(16), lhzx: indexed('Load 16 bits into'),
+    lha: load(16, true), lhau: loadUpdate(16), lhax: indexed('Load sign-extended 16 bits into'),
+    lbz: load(8), lbzu: loadUpdate(8), lbzx: indexed('Load 8 bits into'),
+    stw: store(32), stwu: storeUpdate(32), stwx: indexed('Store 32 bits of'),
+    sth: store(16), sthu: storeUpdate(16), sthx: indexed('Store 16 bits of'),
+    stb: store(8), stbu: storeUpdate(8), stbx: indexed('Store 8 bits of'),
+    lmw: ([d, offset, a]) => `Load ${d} through r31 from ${a} + ${offset}`,
+    stmw: ([s, offset, a]) => `Store ${s} through r31 to ${a} + ${offset}`,
+    lfs: ([d, offset, a]) => `${d} = float at ${a} + ${offset}`,
+    lfsu: ([d, offset, a]) => `${d} = float at ${a} + ${offset}; ${a} += ${offset}`,
+    lfsx: indexed('Load float into'),
+    lfd: ([d, offset, a]) => `${d} = double at ${a} + ${offset}`,
+    lfdu: ([d, offset, a]) => `${d} = double at ${a} + ${offset}; ${a} += ${offset}`,
+    lfdx: indexed('Load double into'),
+    stfs: ([s, offset, a]) => `float at ${a} + ${offset} = ${s}`,
+    stfsu: ([s, offset, a]) => `float at ${a} + ${offset} = ${s}; ${a} += ${offset}`,
+    stfsx: indexed('Store float'),
+    stfd: ([s, offset, a]) => `double at ${a} + ${offset} = ${s}`,
+    stfdu: ([s, offset, a]) => `double at ${a} + ${offset} = ${s}; ${a} += ${offset}`,
+    stfdx: indexed('Store double'),
+    stfiwx: indexed('Store integer word of'),
+    fmr: ([d, s]) => `${d} = ${s}`,
+    fneg: ([d, s]) => `${d} = -${s}`,
+    fabs: ([d, s]) => `${d} = |${s}|`,
+    fnabs: ([d, s]) => `${d} = -|${s}|`,
+    fadd: binary('+'), fadds: binary('+'),
+    fsub: binary('-'), fsubs: binary('-'),
+    fmul: binary('*'), fmuls: binary('*'),
+    fdiv: binary('/'), fdivs: binary('/'),
+    fmadd: ([d, a, c, b]) => `${d} = ${a} * ${c} + ${b}`, fmadds: ([d, a, c, b]) => `${d} = ${a} * ${c} + ${b}`,
+    fmsub: ([d, a, c, b]) => `${d} = ${a} * ${c} - ${b}`, fmsubs: ([d, a, c, b]) => `${d} = ${a} * ${c} - ${b}`,
+    fnmadd: ([d, a, c, b]) => `${d} = -(${a} * ${c} + ${b})`, fnmadds: ([d, a, c, b]) => `${d} = -(${a} * ${c} + ${b})`,
+    fnmsub: ([d, a, c, b]) => `${d} = -(${a} * ${c} - ${b})`, fnmsubs: ([d, a, c, b]) => `${d} = -(${a} * ${c} - ${b})`,
+    fres: ([d, s]) => `${d} = approximately 1 / ${s}`,
+    frsqrte: ([d, s]) => `${d} = approximately 1 / sqrt(${s})`,
+    fsel: ([d, a, c, b]) => `${d} = ${a} >= 0 ? ${c} : ${b}`,
+    frsp: ([d, s]) => `${d} = ${s} rounded to single precision`,
+    fctiwz: ([d, s]) => `${d} = ${s} converted to an integer (truncating), in the low word`,
+    fcmpu: ([cr, a, b]) => `${cr} = compare ${a} with ${b} (unordered)`,
+    fcmpo: ([cr, a, b]) => `${cr} = compare ${a} with ${b} (ordered)`,
+    psq_l: ([d, offset, a, w, i]) => `${d} = ${w === '1' ? 'one value' : 'pair'} loaded from ${a} + ${offset} with quantization register ${i}`,
+    psq_st: ([s, offset, a, w, i]) => `${w === '1' ? 'One value' : 'Pair'} of ${s} stored to ${a} + ${offset} with quantization register ${i}`,
+    ps_add: binary('+ (paired)'), ps_sub: binary('- (paired)'), ps_mul: binary('* (paired)'), ps_div: binary('/ (paired)'),
+    ps_madd: ([d, a, c, b]) => `${d} = ${a} * ${c} + ${b} (paired)`,
+    ps_mr: ([d, s]) => `${d} = ${s} (paired)`,
+    ps_neg: ([d, s]) => `${d} = -${s} (paired)`,
+    ps_sum0: ([d, a, c, b]) => `${d} = (${a}.ps0 + ${b}.ps1, ${c}.ps1)`,
+    ps_merge00: ([d, a, b]) => `${d} = (${a}.ps0, ${b}.ps0)`,
+    ps_merge01: ([d, a, b]) => `${d} = (${a}.ps0, ${b}.ps1)`,
+    ps_merge10: ([d, a, b]) => `${d} = (${a}.ps1, ${b}.ps0)`,
+    ps_merge11: ([d, a, b]) => `${d} = (${a}.ps1, ${b}.ps1)`,
+    mflr: ([d]) => `${d} = link register (return address)`,
+    mtlr: ([s]) => `Link register = ${s}`,
+    mfctr: ([d]) => `${d} = count register`,
+    mtctr: ([s]) => `Count register = ${s}`,
+    mfcr: ([d]) => `${d} = condition register`,
+    mtcrf: ([mask, s]) => `Condition register fields ${mask} = ${s}`,
+    mfspr: ([d, spr]) => `${d} = special register ${spr}`,
+    mtspr: ([spr, s]) => `Special register ${spr} = ${s}`,
+    mffs: ([d]) => `${d} = floating-point status register`,
+    mtfsf: ([mask, s]) => `Floating-point status fields ${mask} = ${s}`,
+    crclr: ([bit]) => `Clear condition bit ${bit}`,
+    crset: ([bit]) => `Set condition bit ${bit}`,
+    crxor: ([d, a, b]) => `Condition bit ${d} = ${a} ^ ${b}`,
+    cror: ([d, a, b]) => `Condition bit ${d} = ${a} | ${b}`,
+    b: ([target]) => `Jump to ${target}`,
+    bl: ([target]) => `Call ${target}`,
+    blr: () => 'Return',
+    blrl: () => 'Call the address in the link register',
+    bctr: () => 'Jump to the address in the count register (switch jump table or tail call through a pointer)',
+    bctrl: () => 'Call the function pointer in the count register',
+    bdnz: ([target]) => `Decrement the count register and jump to ${target} if it is not zero`,
+    bdz: ([target]) => `Decrement the count register and jump to ${target} if it is zero`,
+    sync: () => 'Wait for memory accesses to complete',
+    isync: () => 'Discard prefetched instructions',
+    dcbf: ([a, b]) => `Flush the data cache block at ${a} + ${b}`,
+    dcbi: ([a, b]) => `Invalidate the data cache block at ${a} + ${b}`,
+    dcbst: ([a, b]) => `Store the data cache block at ${a} + ${b}`,
+    dcbz: ([a, b]) => `Zero the data cache block at ${a} + ${b}`,
+    icbi: ([a, b]) => `Invalidate the instruction cache block at ${a} + ${b}`,
+};
+
+// Conditional branches such as `beq`, `bge+`, `bnelr` and `bltctr`.
+function describeConditionalBranch(base, operands) {
+    const match = base.match(/^b(eq|ne|lt|le|gt|ge|so|ns)(lr|ctr)?(l)?$/);
+    if (!match) return null;
+    const [, condition, register, link] = match;
+    const hasField = operands.length > 0 && /^cr\d$/.test(operands[0]);
+    const field = hasField ? ` in ${operands[0]}` : '';
+    const target = hasField ? operands[1] : operands[0];
+    const when = `if ${CONDITIONS[condition]}${field}`;
+    if (register === 'lr') return `Return ${when}`;
+    if (register === 'ctr') return `${link ? 'Call' : 'Jump to'} the address in the count register ${when}`;
+    return `${link ? 'Call' : 'Jump to'} ${target} ${when}`;
+}
+
+// Splits `0x2C(r3)` into offset and register so memory operands read naturally.
+function describeOperands(operandText) {
+    return operandText.split(',').map(operand => operand.trim()).filter(Boolean)
+        .flatMap(operand => {
+            const memory = operand.match(/^(.*)\((\w+)\)$/);
+            return memory ? [memory[1] || '0', memory[2]] : [operand];
+        });
+}
+
+// A one-line description of what an instruction does, or null if it is not known.
+function describeInstruction(mnemonic, operandText) {
+    const base = mnemonic.replace(/[+-]$/, '');
+    const operands = describeOperands(operandText);
+    const describe = DESCRIPTIONS[base];
+    if (describe) return describe(operands);
+    return describeConditionalBranch(base, operands);
+}
+
+// --- Annotation ---
+
+function tokenizeOperands(text) {
+    const tokens = [];
+    for (const match of text.matchAll(OPERAND_TOKEN)) {
+        const [value, quoted, relocation, number, identifier] = match;
+        if (quoted) tokens.push({ text: value, type: 'symbol', symbol: quoted.slice(1, -1) });
+        else if (relocation) tokens.push({ text: value, type: 'relocation' });
+        else if (number) tokens.push({ text: value, type: 'immediate' });
+        else if (identifier && REGISTER.test(identifier)) tokens.push({ text: value, type: 'register', register: identifier });
+        else if (identifier) tokens.push({ text: value, type: identifier.startsWith('.L') ? 'label' : 'symbol', symbol: identifier });
+        else tokens.push({ text: value, type: 'punctuation' });
+    }
+    return tokens;
+}
+
+// Annotates the lines returned by extractFunctionAsm (same order and count). Each line
+// becomes { kind: 'label', label, tokens } or { kind: 'instruction', mnemonic, tokens,
+// description, branchTo }. Symbol tokens carry `target` ({ kind: 'function' | 'object',
+// name, file } from the asm index, or { kind: 'label', line } for local labels), and
+// `branchTo` is the line index of a local branch target.
+function annotateAsm(lines, index) {
+    const labelLines = new Map();
+    lines.forEach((line, lineIndex) => {
+        const label = line.match(/^([^\s:]+):$/);
+        if (label) labelLines.set(label[1], lineIndex);
+    });
+
+    const resolve = (symbol) => {
+        if (labelLines.has(symbol)) return { kind: 'label', line: labelLines.get(symbol) };
+        const fn = index && index.functions.get(symbol);
+        if (fn) return { kind: 'function', name: symbol, file: fn.file };
+        const object = index && index.objects.get(symbol);
+        if (object) return { kind: 'object', name: symbol, file: object.file };
+        return null;
+    };
+
+    return lines.map(line => {
+        const label = line.match(/^([^\s:]+):$/);
+        if (label) return { kind: 'label', label: label[1], tokens: [{ text: line, type: 'label-definition' }] };
+
+        const [, mnemonic = line, operandText = ''] = line.match(/^(\S+)\s*(.*)$/) || [];
+        const tokens = [{ text: mnemonic, type: 'mnemonic' }];
+        const spacing = line.slice(mnemonic.length, line.length - operandText.length);
+        if (spacing) tokens.push({ text: spacing, type: 'punctuation' });
+        tokens.push(...tokenizeOperands(operandText));
+
+        let branchTo = null;
+        for (const token of tokens) {
+            if (!token.symbol) continue;
+            const target = resolve(token.symbol);
+            if (!target) continue;
+            token.target = target;
+            if (target.kind === 'label' && mnemonic.startsWith('b')) branchTo = target.line;
+        }
+        return { kind: 'instruction', mnemonic, tokens, description: describeInstruction(mnemonic, operandText), branchTo };
+    });
+}
+
+// Names of the data objects the annotated lines reference.
+function referencedObjects(annotated) {
+    const names = new Set();
+    annotated.forEach(line => line.tokens.forEach(token => token.target && token.target.kind === 'object' && names.add(token.target.name)));
+    return names;
+}
+
+// Adds `data: [{ symbol, kind, summary, labels? }]` to lines that reference decoded data
+// objects (Map(name -> decodeData result)). Jump table labels become { label, line } so
+// the cases can link to their lines in this function.
+function attachDataValues(annotated, decoded) {
+    const labelLines = new Map();
+    annotated.forEach((line, lineIndex) => line.kind === 'label' && labelLines.set(line.label, lineIndex));
+    annotated.forEach(line => {
+        const data = [];
+        line.tokens.forEach(token => {
+            const value = token.target && token.target.kind === 'object' && decoded.get(token.target.name);
+            if (!value || data.some(entry => entry.symbol === token.target.name)) return;
+            const entry = { symbol: token.target.name, kind: value.kind, summary: value.summary };
+            if (value.labels) entry.labels = value.labels.map(label => ({ label, line: labelLines.has(label) ? labelLines.get(label) : null }));
+            data.push(entry);
+        });
+        if (data.length > 0) line.data = data;
+    });
+    return annotated;
+}
+
+module.exports = {
+    describeInstruction,
+    annotateAsm,
+    referencedObjects,
+    attachDataValues,
+};
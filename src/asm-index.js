@@ -0,0 +1,164 @@
+// src/asm-index.js - Function addresses, sizes and cross references from the split asm
+
+// `# .text:0x1C | 0x80076F34 | size: 0x44` - the header dtk writes above every symbol.
+const SYMBOL_HEADER = /^#\s*(\.\w+):0x[0-9a-fA-F]+\s*\|\s*0x([0-9a-fA-F]+)\s*\|\s*size:\s*0x([0-9a-fA-F]+)/;
+// `/* 80076F34 00073B14  7C 08 02 A6 */	mflr r0`
+const INSTRUCTION = /^\/\*\s*([0-9a-fA-F]{8})\s[^*]*\*\/\s*(\S+)\s*(.*)$/;
+const SECTION = /^(?:\.section\s+(\.\w+)|\.(text|data|rodata|bss|init|ctors|dtors)\s*$)/;
+const SYMBOL_OPERAND = /[A-Za-z_@$][\w@$.]*/g;
+const RELOCATION_SUFFIX = /@(ha|h|l|sda21)$/;
+const NON_BRANCHES = new Set(['bl', 'blr', 'blrl', 'bctr', 'bctrl']);
+// `.fn name, global` or `.obj "@1234", local`; generated names are quoted.
+const SYMBOL_START = /^\.(fn|obj)\s+("[^"]+"|[^,\s]+)/;
+
+const unquote = (name) => name.replace(/^"(.*)"$/, '$1');
+
+// --- Parsing ---
+
+// Symbols named in a line's operands, minus registers, local labels and relocation suffixes.
+function operandSymbols(operands) {
+    return (operands.match(SYMBOL_OPERAND) || [])
+        .map(symbol => symbol.replace(RELOCATION_SUFFIX, ''))
+        .filter(symbol => !/^(r|f|cr|qr)\d+$/.test(symbol) && !symbol.startsWith('.L') && symbol !== 'sp' && symbol !== 'rtoc');
+}
+
+// Counts the instruction kinds that make a function harder to match.
+function countInstruction(stats, mnemonic) {
+    const base = mnemonic.replace(/[+-]$/, '');
+    stats.instructions++;
+    if (base.startsWith('b') && !NON_BRANCHES.has(base)) stats.branches++;
+    if (base === 'bctr') stats.jumpTables++;
+    if (/^(ps_|psq_)/.test(base)) stats.pairedSingles++;
+    else if (/^(f|lf|stf)/.test(base)) stats.floats++;
+}
+
+// Parses one asm file into its functions and data objects:
+//   functions: [{ name, address, size, section, lineCount, calls, references, stats }]
+//   objects:   [{ name, address, size, section, references }]
+// `calls` are `bl` and tail-call `b` targets; `references` are any other symbols the
+// body names (address loads such as `lis r3, fn@ha`, or `.4byte fn` in data), both
+// arrays of unique names so the result can be cached as JSON and posted between threads. The
+// address and byte size come from dtk's symbol header, or from the instructions if
+// the header is missing. Names in `calls`/`references` may be labels; callers filter
+// them against known functions. `stats` counts instructions, branches, float and
+// paired-single instructions and `bctr` jump table dispatches.
+function parseAsm(content) {
+    const functions = [], objects = [];
+    let section = '.text', header = null, current = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        const sectionMatch = line.match(SECTION);
+        if (sectionMatch) { section = sectionMatch[1] || `.${sectionMatch[2]}`; continue; }
+        const headerMatch = line.match(SYMBOL_HEADER);
+        if (headerMatch) { header = { section: headerMatch[1], address: parseInt(headerMatch[2], 16), size: parseInt(headerMatch[3], 16) }; continue; }
+
+        const start = line.match(SYMBOL_START);
+        if (start) {
+            current = {
+                kind: start[1],
+                name: unquote(start[2]),
+                address: header ? header.address : null,
+                size: header ? header.size : null,
+                section: header ? header.section : section,
+                lineCount: 1,
+                calls: new Set(),
+                references: new Set(),
+                stats: { instructions: 0, branches: 0, floats: 0, pairedSingles: 0, jumpTables: 0 },
+            };
+            header = null;
+            continue;
+        }
+        if (!current) continue;
+        current.lineCount++;
+
+        if (/^\.end(fn|obj)\b/.test(line)) {
+            if (current.kind === 'fn' && current.size === null) current.size = current.stats.instructions * 4;
+            const { kind, ...symbol } = current;
+            const references = [...symbol.references];
+            if (kind === 'fn') functions.push({ ...symbol, calls: [...symbol.calls], references });
+            else objects.push({ name: symbol.name, address: symbol.address, size: symbol.size, section: symbol.section, references });
+            current = null;
+            continue;
+        }
+
+        const instruction = line.match(INSTRUCTION);
+        if (instruction) {
+            const [, address, mnemonic, operands] = instruction;
+            countInstruction(current.stats, mnemonic);
+            if (current.address === null) current.address = parseInt(address, 16);
+            const symbols = operandSymbols(operands.replace(/#.*$/, ''));
+            if (mnemonic === 'bl' || mnemonic === 'b') symbols.forEach(symbol => current.calls.add(symbol));
+            else symbols.forEach(symbol => current.references.add(symbol));
+        } else if (/^\.(4byte|long|rel)\b/.test(line)) {
+            operandSymbols(line.replace(/^\.\w+/, '')).forEach(symbol => current.references.add(symbol));
+        }
+    }
+    return { functions, objects };
+}
+
+// The definitions of the data objects in `names` (a Set) between `.obj name` and
+// `.endobj`: Map(name -> trimmed lines). Objects not defined in `content` are missing.
+function extractObjects(content, names) {
+    const objects = new Map();
+    let current = null;
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!current) {
+            const start = line.match(SYMBOL_START);
+            if (start && start[1] === 'obj' && names.has(unquote(start[2]))) {
+                current = [];
+                objects.set(unquote(start[2]), current);
+            }
+        } else if (/^\.endobj\b/.test(line)) {
+            current = null;
+        } else if (line) {
+            current.push(line);
+        }
+    }
+    return objects;
+}
+
+// --- Cross References ---
+
+// Builds the cross-reference index from parsed asm files, [{ file, parsed }] with
+// `parsed` from parseAsm. Returns:
+//   functions: Map(name -> { name, file, address, size, section, callees, references, stats })
+//   objects:   Map(name -> { name, file, address, size, section }) for data symbols
+//   callers:   Map(name -> [{ name, file, kind: 'call' | 'reference' | 'data' }])
+// `callees`/`references` only contain names of functions in the index.
+function buildAsmIndex(parsedByFile) {
+    const functions = new Map();
+    for (const { file, parsed } of parsedByFile) {
+        for (const fn of parsed.functions) functions.set(fn.name, { ...fn, file });
+    }
+
+    const callers = new Map();
+    const addCaller = (target, caller) => {
+        if (!callers.has(target)) callers.set(target, []);
+        const list = callers.get(target);
+        if (!list.some(existing => existing.name === caller.name)) list.push(caller);
+    };
+    const index = { fileCount: parsedByFile.length, functions: new Map(), objects: new Map(), callers };
+    for (const fn of functions.values()) {
+        const calls = new Set(fn.calls);
+        const callees = fn.calls.filter(name => functions.has(name) && name !== fn.name);
+        const references = fn.references.filter(name => functions.has(name) && name !== fn.name && !calls.has(name));
+        callees.forEach(name => addCaller(name, { name: fn.name, file: fn.file, kind: 'call' }));
+        references.forEach(name => addCaller(name, { name: fn.name, file: fn.file, kind: 'reference' }));
+        index.functions.set(fn.name, { name: fn.name, file: fn.file, address: fn.address, size: fn.size, section: fn.section, callees, references, stats: fn.stats });
+    }
+    for (const { file, parsed } of parsedByFile) {
+        for (const object of parsed.objects) {
+            index.objects.set(object.name, { name: object.name, file, address: object.address, size: object.size, section: object.section });
+            object.references.filter(name => functions.has(name)).forEach(name => addCaller(name, { name: object.name, file, kind: 'data' }));
+        }
+    }
+    return index;
+}
+
+module.exports = {
+    parseAsm,
+    extractObjects,
+    buildAsmIndex,
+};
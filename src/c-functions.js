@@ -0,0 +1,286 @@
+// src/c-functions.js - Splits C source into top-level items and locates function definitions
+
+const { tokenize } = require('./c-preprocessor.js');
+
+const C_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'return', 'sizeof', 'do', 'else', 'case']);
+// Names followed by a parenthesized group that are never the function being defined.
+const ATTRIBUTES = new Set(['__attribute__', '__declspec', 'asm', '__asm', '__asm__']);
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+// --- Token Navigation ---
+
+const isDirective = (tokens, i) => tokens[i].bol && tokens[i].value === '#';
+
+// Index of the first token after the directive starting at `i`; continuation lines
+// belong to the directive, and only a real newline starts a new line.
+function skipDirective(tokens, i) {
+    let j = i + 1;
+    while (j < tokens.length && !tokens[j].bol) j++;
+    return j;
+}
+
+// Index of the ')' matching the '(' at `open`, or -1.
+function matchParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (isDirective(tokens, i)) { i = skipDirective(tokens, i) - 1; continue; }
+        if (tokens[i].value === '(') depth++;
+        else if (tokens[i].value === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Index of the '}' matching the '{' at `open`, or -1. Only the first branch of a
+// conditional is counted, so bodies like
+//     #ifdef X
+//         if (a) {
+//     #else
+//         if (b) {
+//     #endif
+// stay balanced. An #else or #elif of a conditional opened before the body skips
+// ahead to its #endif the same way.
+function matchBrace(tokens, open) {
+    let depth = 0;
+    const skipping = []; // one entry per open conditional: whether its current branch is skipped
+    for (let i = open; i < tokens.length; i++) {
+        if (isDirective(tokens, i)) {
+            const keyword = tokens[i + 1] && !tokens[i + 1].bol ? tokens[i + 1].value : '';
+            if (keyword.startsWith('if')) skipping.push(false);
+            else if (keyword === 'else' || keyword === 'elif') {
+                if (skipping.length > 0) skipping[skipping.length - 1] = true;
+                else skipping.push(true);
+            } else if (keyword === 'endif') skipping.pop();
+            i = skipDirective(tokens, i) - 1;
+            continue;
+        }
+        if (skipping.some(Boolean)) continue;
+        if (tokens[i].value === '{') depth++;
+        else if (tokens[i].value === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Index of the '{' opening the body of a function whose parameter list closes at
+// `close`, or -1 if the declarator is a prototype or something else. Attributes and
+// directive lines may sit in between, and for K&R definitions (identifier-only
+// parameter lists) so may the parameter declarations.
+function findBody(tokens, open, close) {
+    const kAndR = close > open + 1 && tokens.slice(open + 1, close).every(token => token.type === 'ident' || token.value === ',');
+    let i = close + 1;
+    while (i < tokens.length) {
+        if (isDirective(tokens, i)) { i = skipDirective(tokens, i); continue; }
+        const token = tokens[i];
+        if (token.value === '{') return i;
+        if (token.type === 'ident' && ATTRIBUTES.has(token.value) && tokens[i + 1] && tokens[i + 1].value === '(') {
+            const end = matchParen(tokens, i + 1);
+            if (end === -1) return -1;
+            i = end + 1;
+            continue;
+        }
+        if (!kAndR || token.type !== 'ident') return -1;
+        // `int a; char *b;` up to the body.
+        while (i < tokens.length && tokens[i].value !== '{') {
+            if (tokens[i].value === '}' || tokens[i].value === '=') return -1;
+            i++;
+        }
+        return i < tokens.length && tokens[i - 1].value === ';' ? i : -1;
+    }
+    return -1;
+}
+
+// --- Declarations ---
+
+// The name a declaration declares: the last identifier outside brackets before `end`,
+// or the `name` in a `(*name)(...)` function pointer declarator.
+function declaratorName(declaration, end) {
+    let name = null, depth = 0;
+    for (let k = 0; k < end; k++) {
+        const token = declaration[k];
+        if (depth === 0 && token.value === '(' && declaration[k + 1] && declaration[k + 1].value === '*'
+            && declaration[k + 2] && declaration[k + 2].type === 'ident') return declaration[k + 2].value;
+        if (OPENERS.has(token.value)) depth++;
+        else if (CLOSERS.has(token.value)) depth--;
+        else if (depth === 0 && token.type === 'ident' && !ATTRIBUTES.has(token.value)) name = token.value;
+    }
+    return name;
+}
+
+// Classifies the tokens of a top-level declaration ending in ';' as a 'typedef', a
+// struct/union/enum 'type' declaration, a function 'prototype' or 'data' (variables,
+// tables, extern declarations), with the name it declares.
+function classifyDeclaration(declaration) {
+    const values = declaration.map(token => token.value);
+    if (values[0] === 'typedef') return { kind: 'typedef', name: declaratorName(declaration, declaration.length - 1) };
+    if (['struct', 'union', 'enum'].includes(values[0]) && declaration[1] && declaration[1].type === 'ident') {
+        const afterBody = values[2] === '{' ? matchBrace(declaration, 2) + 1 : 2;
+        if (afterBody > 0 && values[afterBody] === ';') return { kind: 'type', name: values[1] };
+    }
+    let depth = 0, firstParen = -1, assignment = -1;
+    values.forEach((value, k) => {
+        if (OPENERS.has(value)) {
+            if (depth === 0 && value === '(' && firstParen === -1) firstParen = k;
+            depth++;
+        } else if (CLOSERS.has(value)) depth--;
+        else if (depth === 0 && value === '=' && assignment === -1) assignment = k;
+    });
+    const nameToken = declaration[firstParen - 1];
+    if (assignment === -1 && firstParen > 0 && values[firstParen + 1] !== '*' && nameToken.type === 'ident' && !ATTRIBUTES.has(nameToken.value)) {
+        return { kind: 'prototype', name: nameToken.value };
+    }
+    return { kind: 'data', name: declaratorName(declaration, assignment === -1 ? declaration.length - 1 : assignment), isExtern: values.includes('extern') };
+}
+
+// --- Top-Level Items ---
+
+// Splits `source` into its top-level items, in order:
+//   [{ kind, name, start, end, line, text, isStatic }]
+// where kind is 'function', 'prototype', 'data', 'typedef', 'type', 'include', 'define',
+// 'directive' (any other preprocessor line) or 'other' (e.g. a macro invocation without a
+// ';'). `start`/`end` are offsets into `source` and `line` is 1-based. Functions also carry
+// `bodyStart`, `isAsm` and `signature` (see listFunctionDefinitions), data `isExtern`.
+function listTopLevelItems(source) {
+    const tokens = tokenize(source);
+    const items = [];
+    let declarationStart = 0;
+    let i = 0;
+    const push = (item, first, last) => {
+        const isStatic = tokens.slice(first, last + 1).some(token => token.value === 'static');
+        const start = tokens[first].start, end = tokens[last].end;
+        items.push({ ...item, start, end, line: tokens[first].line, text: source.slice(start, end), isStatic });
+    };
+    while (i < tokens.length) {
+        if (isDirective(tokens, i)) {
+            const next = skipDirective(tokens, i);
+            const keyword = tokens[i + 1] && !tokens[i + 1].bol ? tokens[i + 1].value : '';
+            if (keyword === 'include' && next > i + 2) push({ kind: 'include', name: source.slice(tokens[i + 2].start, tokens[next - 1].end) }, i, next - 1);
+            else if (keyword === 'define' && next > i + 2) push({ kind: 'define', name: tokens[i + 2].value }, i, next - 1);
+            else push({ kind: 'directive', name: keyword }, i, next - 1);
+            i = next;
+            declarationStart = i;
+            continue;
+        }
+        const token = tokens[i];
+        if (token.value === ';') {
+            if (declarationStart < i) push(classifyDeclaration(tokens.slice(declarationStart, i + 1)), declarationStart, i);
+            declarationStart = ++i;
+            continue;
+        }
+        if (token.value === '}') {
+            declarationStart = ++i;
+            continue;
+        }
+        if (token.value === '{') {
+            // `extern "C" {` wraps definitions; any other top-level brace is a struct,
+            // enum or initializer.
+            const externBlock = i >= 2 && tokens[i - 1].type === 'string' && tokens[i - 2].value === 'extern';
+            const end = externBlock ? -1 : matchBrace(tokens, i);
+            if (externBlock) declarationStart = i + 1;
+            i = end === -1 ? i + 1 : end + 1;
+            continue;
+        }
+        if (token.value === '(') {
+            const end = matchParen(tokens, i);
+            i = end === -1 ? i + 1 : end + 1;
+            continue;
+        }
+        const next = tokens[i + 1];
+        if (token.type !== 'ident' || !next || next.value !== '(' || C_KEYWORDS.has(token.value) || ATTRIBUTES.has(token.value)) {
+            i++;
+            continue;
+        }
+
+        const close = matchParen(tokens, i + 1);
+        if (close === -1) break;
+        const body = findBody(tokens, i + 1, close);
+        if (body === -1) {
+            i = close + 1;
+            // A macro invocation without a ';' that ends its line, e.g. `DECLARE_FOO(x)`.
+            if (!tokens[i] || tokens[i].bol) {
+                push({ kind: 'other', name: token.value }, declarationStart, close);
+                declarationStart = i;
+            }
+            continue;
+        }
+        const first = tokens[declarationStart];
+        const closeBrace = matchBrace(tokens, body);
+        push({
+            kind: 'function',
+            name: token.value,
+            bodyStart: tokens[body].start,
+            isAsm: tokens.slice(declarationStart, i).some(specifier => specifier.value === 'asm' || specifier.value === '__asm'),
+            signature: source.slice(first.start, tokens[body].start).trim(),
+        }, declarationStart, closeBrace === -1 ? tokens.length - 1 : closeBrace);
+        if (closeBrace === -1) {
+            items[items.length - 1].end = null;
+            break;
+        }
+        i = closeBrace + 1;
+        declarationStart = i;
+    }
+    return items;
+}
+
+// Where text inserted before the item starting at `offset` should go: the start of its
+// line, moved up over the comment lines directly above it (`//` lines and `/* */` blocks
+// such as doc or address comments), so the item keeps its comment. Item offsets from
+// listTopLevelItems skip comments, which would otherwise split the two. A blank line or
+// code ends the comment; `offset` itself is returned when code precedes it on its line.
+function leadingCommentStart(source, offset) {
+    const lineStartOf = (index) => source.lastIndexOf('\n', index - 1) + 1;
+    let start = lineStartOf(offset);
+    const prefix = source.slice(start, offset).trim();
+    if (prefix && !/^\/\*(?:(?!\*\/)[\s\S])*\*\/$/.test(prefix)) return offset;
+    while (start > 0) {
+        const lineStart = lineStartOf(start - 1);
+        const line = source.slice(lineStart, start - 1).trim();
+        if (line.startsWith('//')) {
+            start = lineStart;
+        } else if (line.endsWith('*/')) {
+            const open = source.lastIndexOf('/*', start - 1);
+            if (open === -1 || source.slice(lineStartOf(open), open).trim()) break;
+            start = lineStartOf(open);
+        } else {
+            break;
+        }
+    }
+    return start;
+}
+
+// --- Definitions ---
+
+// Every function definition in `source`, in order:
+//   [{ name, start, bodyStart, end, line, isAsm, isStatic, signature }]
+// `start` is the offset of the first specifier (`static`, attributes, the return type),
+// `bodyStart` the offset of '{' and `end` the offset just past the matching '}', or null
+// when the body is never closed. `line` is the 1-based line of `start`, `isAsm` whether
+// it is declared with the `asm` specifier, and `signature` the text before the body.
+// Comments, strings and character literals never confuse the brace matching, and
+// functions defined in both branches of an #ifdef are listed twice.
+function listFunctionDefinitions(source) {
+    return listTopLevelItems(source).filter(item => item.kind === 'function');
+}
+
+// The definition of `name` in `source`, or null. When it is defined more than once (an
+// `asm` version for MUST_MATCH builds next to a C attempt), the C definition wins.
+function findFunctionDefinition(source, name) {
+    const definitions = listFunctionDefinitions(source).filter(definition => definition.name === name);
+    return definitions.find(definition => !definition.isAsm) || definitions[0] || null;
+}
+
+// Names called in `source` (e.g. a function body), in order of first use: every
+// identifier followed by '(' that is not a keyword. Function-like macros are included.
+function listCalls(source) {
+    const tokens = tokenize(source);
+    const names = tokens.filter((token, i) => token.type === 'ident' && tokens[i + 1] && tokens[i + 1].value === '('
+        && !C_KEYWORDS.has(token.value) && !ATTRIBUTES.has(token.value) && token.value !== 'defined');
+    return [...new Set(names.map(token => token.value))];
+}
+
+module.exports = {
+    listTopLevelItems,
+    leadingCommentStart,
+    listFunctionDefinitions,
+    findFunctionDefinition,
+    listCalls,
+};
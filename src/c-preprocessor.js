@@ -0,0 +1,460 @@
+// src/c-preprocessor.js - C tokenizer, minimal preprocessor and constant expression evaluator
+
+const path = require('path');
+const fs = require('fs');
+
+// --- Tokenizer ---
+
+const PUNCTUATORS = [
+    '...', '<<=', '>>=',
+    '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '*=', '/=', '%=', '+=', '-=', '&=', '^=', '|=', '##',
+];
+const NUMBER_REGEX = /^(?:0[xX][0-9a-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[uUlLfF]*/;
+
+// Splits C source into tokens of type 'ident', 'number', 'string', 'char' or 'punct'.
+// Comments and line continuations are dropped. `bol` marks the first token on a line,
+// which is how preprocessor directives are recognized.
+function tokenize(source, file = '') {
+    const tokens = [];
+    let i = 0, line = 1, bol = true;
+    const push = (type, value, start) => {
+        tokens.push({ type, value, file, line, start, end: i, bol });
+        bol = false;
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (ch === '\n') { line++; i++; bol = true; continue; }
+        if (ch === '\\' && (source[i + 1] === '\n' || (source[i + 1] === '\r' && source[i + 2] === '\n'))) {
+            i += source[i + 1] === '\n' ? 2 : 3;
+            line++;
+            continue;
+        }
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '/' && source[i + 1] === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+        if (ch === '/' && source[i + 1] === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const stop = end === -1 ? source.length : end + 2;
+            for (let j = i; j < stop; j++) if (source[j] === '\n') line++;
+            i = stop;
+            continue;
+        }
+
+        const start = i;
+        if (/[A-Za-z_$]/.test(ch)) {
+            while (i < source.length && /[\w$]/.test(source[i])) i++;
+            push('ident', source.slice(start, i), start);
+            continue;
+        }
+        if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1]))) {
+            const match = source.slice(i, i + 64).match(NUMBER_REGEX);
+            i += match[0].length;
+            push('number', match[0], start);
+            continue;
+        }
+        if (ch === '"' || ch === '\'') {
+            i++;
+            while (i < source.length && source[i] !== ch && source[i] !== '\n') i += source[i] === '\\' ? 2 : 1;
+            i++;
+            push(ch === '"' ? 'string' : 'char', source.slice(start, i), start);
+            continue;
+        }
+        const punct = PUNCTUATORS.find(p => source.startsWith(p, i)) || ch;
+        i += punct.length;
+        push('punct', punct, start);
+    }
+    return tokens;
+}
+
+// --- Constant Expressions ---
+
+const BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10,
+};
+
+function parseNumber(text) {
+    const literal = text.replace(/[uUlL]+$/, '');
+    if (/^0[xX]/.test(literal)) return parseInt(literal, 16);
+    if (/[.eE]/.test(literal) || /[fF]$/.test(literal)) return parseFloat(literal);
+    if (/^0\d/.test(literal)) return parseInt(literal, 8);
+    return parseInt(literal, 10);
+}
+
+function parseCharLiteral(text) {
+    const body = text.slice(1, -1);
+    const escapes = { n: 10, t: 9, r: 13, '0': 0, '\\': 92, '\'': 39, '"': 34 };
+    if (body[0] === '\\') return escapes[body[1]] !== undefined ? escapes[body[1]] : body.charCodeAt(1);
+    return body.charCodeAt(0) || 0;
+}
+
+// Evaluates an integer constant expression. `hooks.identifier(name)` supplies values
+// for identifiers (enum constants, or 0 in #if), and `hooks.sizeof(tokens)` the size
+// of a parenthesized type. Throws if the expression cannot be evaluated.
+function evaluateExpression(tokens, hooks = {}) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (value) => {
+        const token = next();
+        if (!token || token.value !== value) throw new Error(`Expected '${value}' in constant expression`);
+    };
+
+    function parsePrimary() {
+        const token = next();
+        if (!token) throw new Error('Unexpected end of constant expression');
+        if (token.type === 'number') return parseNumber(token.value);
+        if (token.type === 'char') return parseCharLiteral(token.value);
+        if (token.value === '(') {
+            const value = parseTernary();
+            expect(')');
+            return value;
+        }
+        if (token.value === 'sizeof' && hooks.sizeof) {
+            expect('(');
+            const start = pos;
+            let depth = 1;
+            while (pos < tokens.length && depth > 0) {
+                if (tokens[pos].value === '(') depth++;
+                else if (tokens[pos].value === ')') depth--;
+                pos++;
+            }
+            return hooks.sizeof(tokens.slice(start, pos - 1));
+        }
+        if (token.type === 'ident') {
+            const value = hooks.identifier ? hooks.identifier(token.value) : undefined;
+            if (value === undefined) throw new Error(`Unknown identifier '${token.value}' in constant expression`);
+            return value;
+        }
+        throw new Error(`Unexpected '${token.value}' in constant expression`);
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token && token.type === 'punct') {
+            if (token.value === '-') { next(); return -parseUnary(); }
+            if (token.value === '+') { next(); return +parseUnary(); }
+            if (token.value === '!') { next(); return parseUnary() ? 0 : 1; }
+            if (token.value === '~') { next(); return ~parseUnary(); }
+        }
+        return parsePrimary();
+    }
+
+    function applyBinary(op, a, b) {
+        switch (op) {
+            case '*': return a * b;
+            case '/': return b === 0 ? 0 : Math.trunc(a / b);
+            case '%': return b === 0 ? 0 : a % b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            case '&': return a & b;
+            case '^': return a ^ b;
+            case '|': return a | b;
+            case '&&': return a && b ? 1 : 0;
+            case '||': return a || b ? 1 : 0;
+        }
+        throw new Error(`Unsupported operator '${op}'`);
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const precedence = token && token.type === 'punct' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            next();
+            left = applyBinary(token.value, left, parseBinary(precedence + 1));
+        }
+    }
+
+    function parseTernary() {
+        const condition = parseBinary(1);
+        if (!peek() || peek().value !== '?') return condition;
+        next();
+        const whenTrue = parseTernary();
+        expect(':');
+        const whenFalse = parseTernary();
+        return condition ? whenTrue : whenFalse;
+    }
+
+    const value = parseTernary();
+    if (pos < tokens.length) throw new Error(`Unexpected '${tokens[pos].value}' in constant expression`);
+    return value;
+}
+
+// --- Preprocessor ---
+
+// Macros Metrowerks defines when compiling for the GameCube.
+const PREDEFINED_MACROS = {
+    __MWERKS__: '0x4302',
+    __PPC__: '1',
+    __PPCGEKKO__: '1',
+    __STDC__: '1',
+};
+
+// Runs the preprocessor over a set of headers and collects one combined token stream.
+// Every file is emitted at most once, the first time it is included or processed, so
+// a header's macros are defined before anything that includes it is parsed.
+// #pragma pack is passed through as a 'pragma' token for the parser, as are uses of
+// any macro named in `preserve` (e.g. STATIC_ASSERT), which are never expanded.
+class Preprocessor {
+    constructor({ includeDirs = [], defines = {}, preserve = [] } = {}) {
+        this.includeDirs = includeDirs;
+        this.preserved = new Set(preserve);
+        this.macros = new Map();
+        this.processed = new Set();
+        this.includes = {}; // file -> files it #includes
+        this.output = [];
+        this.diagnostics = [];
+        for (const [name, value] of Object.entries({ ...PREDEFINED_MACROS, ...defines })) {
+            this.macros.set(name, { params: null, body: tokenize(String(value)) });
+        }
+    }
+
+    warn(token, message) {
+        this.diagnostics.push({ file: token.file, line: token.line, message });
+    }
+
+    resolveInclude(name, fromFile) {
+        const candidates = [path.dirname(fromFile), ...this.includeDirs];
+        for (const dir of candidates) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    processFile(file) {
+        const resolved = path.resolve(file);
+        if (this.processed.has(resolved)) return;
+        this.processed.add(resolved);
+
+        let source;
+        try {
+            source = fs.readFileSync(resolved, 'utf-8');
+        } catch (e) {
+            this.diagnostics.push({ file: resolved, line: 0, message: `Could not read file: ${e.message}` });
+            return;
+        }
+        this.processTokens(tokenize(source, resolved), resolved);
+    }
+
+    processTokens(tokens, file) {
+        // Each entry is { active, taken } for one #if group; code is emitted only when all are active.
+        const conditions = [];
+        const isActive = () => conditions.every(c => c.active);
+        let i = 0;
+
+        while (i < tokens.length) {
+            const token = tokens[i];
+            if (token.bol && token.value === '#') {
+                let end = i + 1;
+                while (end < tokens.length && !tokens[end].bol) end++;
+                this.handleDirective(tokens.slice(i + 1, end), token, file, conditions, isActive);
+                i = end;
+                continue;
+            }
+            if (!isActive()) { i++; continue; }
+            const expansion = this.expandAt(tokens, i, new Set());
+            this.output.push(...expansion.tokens);
+            i = expansion.next;
+        }
+        if (conditions.length > 0) this.warn(tokens[tokens.length - 1] || { file, line: 0 }, 'Unterminated #if block');
+    }
+
+    handleDirective(line, hashToken, file, conditions, isActive) {
+        const directive = line[0] ? line[0].value : '';
+        const args = line.slice(1);
+        const parentActive = () => conditions.slice(0, -1).every(c => c.active);
+
+        switch (directive) {
+            case 'ifdef':
+            case 'ifndef': {
+                const defined = args[0] ? this.macros.has(args[0].value) : false;
+                const active = isActive() && (directive === 'ifdef' ? defined : !defined);
+                conditions.push({ active, taken: active });
+                return;
+            }
+            case 'if': {
+                const active = isActive() && this.evaluateCondition(args, hashToken);
+                conditions.push({ active, taken: active });
+                return;
+            }
+            case 'elif': {
+                const current = conditions[conditions.length - 1];
+                if (!current) return this.warn(hashToken, '#elif without #if');
+                current.active = !current.taken && parentActive() && this.evaluateCondition(args, hashToken);
+                current.taken = current.taken || current.active;
+                return;
+            }
+            case 'else': {
+                const current = conditions[conditions.length - 1];
+                if (!current) return this.warn(hashToken, '#else without #if');
+                current.active = !current.taken && parentActive();
+                current.taken = true;
+                return;
+            }
+            case 'endif':
+                if (!conditions.pop()) this.warn(hashToken, '#endif without #if');
+                return;
+        }
+
+        if (!isActive()) return;
+        switch (directive) {
+            case 'include': {
+                const name = this.includeName(args);
+                if (!name) return this.warn(hashToken, 'Malformed #include');
+                const includePath = this.resolveInclude(name, file);
+                if (includePath) {
+                    (this.includes[file] = this.includes[file] || []).push(path.resolve(includePath));
+                    this.processFile(includePath);
+                }
+                return;
+            }
+            case 'define':
+                return this.defineMacro(args, hashToken);
+            case 'undef':
+                if (args[0]) this.macros.delete(args[0].value);
+                return;
+            case 'pragma':
+                if (args[0] && args[0].value === 'pack') {
+                    this.output.push({ type: 'pragma', value: 'pack', args: args.slice(1).filter(t => t.type !== 'punct' || t.value === ','), file, line: hashToken.line });
+                }
+                return;
+            case 'error':
+                return this.warn(hashToken, `#error ${args.map(t => t.value).join(' ')}`);
+        }
+    }
+
+    includeName(args) {
+        if (!args[0]) return null;
+        if (args[0].type === 'string') return args[0].value.slice(1, -1);
+        if (args[0].value === '<') {
+            const close = args.findIndex(t => t.value === '>');
+            if (close > 0) return args.slice(1, close).map(t => t.value).join('');
+        }
+        return null;
+    }
+
+    defineMacro(args, hashToken) {
+        const nameToken = args[0];
+        if (!nameToken || nameToken.type !== 'ident') return this.warn(hashToken, 'Malformed #define');
+        const next = args[1];
+        // A function-like macro has '(' immediately after the name, with no whitespace.
+        if (next && next.value === '(' && next.start === nameToken.end) {
+            const close = args.findIndex(t => t.value === ')');
+            const params = args.slice(2, close).filter(t => t.value !== ',').map(t => t.value);
+            const variadic = params.includes('...');
+            this.macros.set(nameToken.value, { params: params.filter(p => p !== '...'), variadic, body: args.slice(close + 1) });
+        } else {
+            this.macros.set(nameToken.value, { params: null, body: args.slice(1) });
+        }
+    }
+
+    evaluateCondition(args, hashToken) {
+        // Replace defined(X) / defined X before macro expansion.
+        const replaced = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i].value === 'defined') {
+                const parenthesized = args[i + 1] && args[i + 1].value === '(';
+                const nameToken = args[i + (parenthesized ? 2 : 1)];
+                replaced.push({ type: 'number', value: nameToken && this.macros.has(nameToken.value) ? '1' : '0' });
+                i += parenthesized ? 3 : 1;
+            } else {
+                replaced.push(args[i]);
+            }
+        }
+        const expanded = this.expandAll(replaced);
+        try {
+            return Boolean(evaluateExpression(expanded, { identifier: () => 0 }));
+        } catch (e) {
+            this.warn(hashToken, `Could not evaluate #if: ${e.message}`);
+            return false;
+        }
+    }
+
+    expandAll(tokens, disabled = new Set()) {
+        const result = [];
+        let i = 0;
+        while (i < tokens.length) {
+            const expansion = this.expandAt(tokens, i, disabled);
+            result.push(...expansion.tokens);
+            i = expansion.next;
+        }
+        return result;
+    }
+
+    // Expands the token at index i if it names a macro. Returns the replacement tokens
+    // and the index of the first token after the macro invocation.
+    expandAt(tokens, i, disabled) {
+        const token = tokens[i];
+        const expandable = token.type === 'ident' && !disabled.has(token.value) && !this.preserved.has(token.value);
+        const macro = expandable ? this.macros.get(token.value) : null;
+        if (!macro) return { tokens: [token], next: i + 1 };
+
+        const innerDisabled = new Set(disabled).add(token.value);
+        const relocate = (t) => ({ ...t, file: token.file, line: token.line, bol: false });
+        if (!macro.params) {
+            return { tokens: this.expandAll(macro.body.map(relocate), innerDisabled), next: i + 1 };
+        }
+
+        // Function-like macro names that are not followed by '(' are left alone.
+        if (!tokens[i + 1] || tokens[i + 1].value !== '(') return { tokens: [token], next: i + 1 };
+        const args = [[]];
+        let depth = 0, j = i + 2;
+        for (; j < tokens.length; j++) {
+            const t = tokens[j];
+            if (t.value === '(') depth++;
+            if (t.value === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            if (t.value === ',' && depth === 0 && !(macro.variadic && args.length > macro.params.length)) args.push([]);
+            else args[args.length - 1].push(t);
+        }
+
+        const argFor = (name) => {
+            if (name === '__VA_ARGS__') return args.slice(macro.params.length).reduce((all, arg, k) => all.concat(k > 0 ? [{ type: 'punct', value: ',' }] : [], arg), []);
+            const index = macro.params.indexOf(name);
+            return index === -1 ? null : (args[index] || []);
+        };
+        const substituted = [];
+        for (let k = 0; k < macro.body.length; k++) {
+            const part = macro.body[k];
+            if (part.value === '#' && macro.body[k + 1] && argFor(macro.body[k + 1].value)) {
+                const text = argFor(macro.body[k + 1].value).map(t => t.value).join(' ');
+                substituted.push({ type: 'string', value: JSON.stringify(text) });
+                k++;
+            } else if (part.value === '##' && substituted.length > 0 && macro.body[k + 1]) {
+                const right = argFor(macro.body[k + 1].value) || [macro.body[k + 1]];
+                const left = substituted.pop();
+                const pasted = tokenize(`${left.value}${right.map(t => t.value).join('')}`);
+                substituted.push(...pasted);
+                k++;
+            } else {
+                const arg = part.type === 'ident' ? argFor(part.value) : null;
+                substituted.push(...(arg ? this.expandAll(arg, disabled) : [part]));
+            }
+        }
+        return { tokens: this.expandAll(substituted.map(relocate), innerDisabled), next: j + 1 };
+    }
+}
+
+module.exports = {
+    tokenize,
+    evaluateExpression,
+    Preprocessor,
+};
@@ -0,0 +1,47 @@
+// src/call-graph.js - Call graph neighborhoods around a function for the Call Graph view
+
+const MAX_NODES = 200;
+
+// Collects the functions within `depth` calls of `root` in the asm index: callers get
+// negative levels (-1 calls root directly), callees positive ones. Functions rejected by
+// `include` are left out and not expanded further, except the root itself. Returns
+// { nodes: [{ name, file, size, level }], edges: [{ from, to }], truncated }, where
+// edges are the `bl`/tail-call edges between the collected nodes.
+function callNeighborhood(index, root, { depth = 2, include = () => true } = {}) {
+    const rootFn = index.functions.get(root);
+    if (!rootFn) return null;
+    const levels = new Map([[root, 0]]);
+    let truncated = false;
+
+    const expand = (direction, neighbors) => {
+        let frontier = [root];
+        for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+            const next = [];
+            for (const name of frontier) {
+                for (const neighbor of neighbors(name)) {
+                    if (levels.has(neighbor) || !include(neighbor)) continue;
+                    if (levels.size >= MAX_NODES) { truncated = true; return; }
+                    levels.set(neighbor, direction * distance);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+    };
+    expand(1, (name) => index.functions.get(name).callees);
+    expand(-1, (name) => (index.callers.get(name) || []).filter(caller => caller.kind === 'call').map(caller => caller.name));
+
+    const nodes = [...levels].map(([name, level]) => {
+        const fn = index.functions.get(name);
+        return { name, file: fn.file, size: fn.size, level };
+    });
+    const edges = [];
+    for (const { name } of nodes) {
+        index.functions.get(name).callees.filter(callee => levels.has(callee)).forEach(callee => edges.push({ from: name, to: callee }));
+    }
+    return { nodes, edges, truncated };
+}
+
+module.exports = {
+    callNeighborhood,
+};
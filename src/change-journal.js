@@ -0,0 +1,171 @@
+// src/change-journal.js - Journal of the files the dashboard writes, with per-entry undo and redo
+
+const fs = require('fs');
+const path = require('path');
+const { diffTexts, patchText } = require('./text-diff.js');
+
+// Bump whenever the shape of an entry changes.
+const JOURNAL_VERSION = 2;
+// Older entries are dropped past this many.
+const MAX_ENTRIES = 200;
+
+// Added and removed line counts of the change from `before` to `after`.
+function countLines(before, after) {
+    const lines = diffTexts(before || '', after || '').flatMap(hunk => hunk.lines);
+    return { added: lines.filter(line => line.type === 'insert').length, removed: lines.filter(line => line.type === 'delete').length };
+}
+
+// Writes `data` as JSON to `file` without blocking, through a temporary file so a crash
+// never leaves it half-written.
+async function writeJson(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(data));
+    await fs.promises.rename(tempFile, file);
+}
+
+// Opens the journal of the melee checkout at `meleePath`, stored in `journalFile`. Each
+// entry is one write made by the dashboard:
+//   { id, time, kind, description, undone, files: [{ file, added, removed }] }
+// with `file` relative to `meleePath`. The full before/after snapshots of an entry's
+// files (null for a file that did not exist) are kept in a file of their own next to the
+// journal, so only the small list of entries is rewritten when one is added, undone or
+// redone, and every write happens off the main thread. Entries are undone and redone one
+// at a time, in any order: the entry's change is replayed onto the files as they are now,
+// so later edits elsewhere in the same files survive.
+function openJournal(meleePath, journalFile) {
+    const snapshotDir = `${journalFile.replace(/\.json$/, '')}-entries`;
+    const snapshotFile = (id) => path.join(snapshotDir, `${id}.json`);
+    let journal = { version: JOURNAL_VERSION, meleePath, nextId: 1, entries: [] };
+    try {
+        const saved = JSON.parse(fs.readFileSync(journalFile, 'utf-8'));
+        if (saved.version === JOURNAL_VERSION && saved.meleePath === meleePath) journal = saved;
+    } catch (e) {
+        // No journal yet; a corrupt one is started afresh.
+    }
+
+    // Writes to the journal's files run one after another, in the order they were made.
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+    const save = () => enqueue(() => writeJson(journalFile, journal));
+
+    const resolve = (file) => {
+        const resolved = path.resolve(meleePath, file);
+        if (path.relative(meleePath, resolved).startsWith('..')) throw new Error(`${file} is outside the project.`);
+        return resolved;
+    };
+    const read = (file) => fs.existsSync(resolve(file)) ? fs.readFileSync(resolve(file), 'utf-8') : null;
+    const find = (id) => {
+        const entry = journal.entries.find(candidate => candidate.id === id);
+        if (!entry) throw new Error(`History entry ${id} no longer exists.`);
+        return entry;
+    };
+    // The entry's [{ file, before, after }].
+    const snapshots = async (id) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(snapshotFile(id), 'utf-8'));
+        } catch (e) {
+            throw new Error(`The snapshots of history entry ${id} could not be read.`);
+        }
+    };
+    const removeEntry = (id) => {
+        journal.entries = journal.entries.filter(entry => entry.id !== id);
+        return Promise.all([save(), enqueue(() => fs.promises.rm(snapshotFile(id), { force: true }))]);
+    };
+
+    // Writes the content each file should have after undoing (`from` 'after', `to`
+    // 'before') or redoing an entry. Every file is patched before any is written, so a
+    // conflict in one leaves all of them untouched.
+    const replay = async (entry, from, to) => {
+        const writes = (await snapshots(entry.id)).map(change => {
+            const current = read(change.file);
+            const content = patchText(current || '', change[from] || '', change[to] || '');
+            if (content === null) throw new Error(`${change.file} was changed in the same place since this entry; undo the later entries first.`);
+            return { file: change.file, content, remove: change[to] === null && content === '' };
+        });
+        for (const write of writes) {
+            if (write.remove) fs.rmSync(resolve(write.file), { force: true });
+            else fs.writeFileSync(resolve(write.file), write.content);
+        }
+        entry.undone = to === 'before';
+        await save();
+        return writes.map(write => write.file);
+    };
+
+    return {
+        // Records changes already made on disk, [{ path, before, after }] with absolute
+        // paths and null for a missing file. Unchanged files are left out; resolves to
+        // the new entry's id, or null when nothing changed.
+        async record(kind, description, changes) {
+            const files = changes.filter(change => change.before !== change.after).map(change => ({
+                file: path.relative(meleePath, change.path).replace(/\\/g, '/'),
+                before: change.before,
+                after: change.after,
+            }));
+            if (files.length === 0) return null;
+            const id = journal.nextId++;
+            journal.entries.push({
+                id, time: Date.now(), kind, description, undone: false,
+                files: files.map(({ file, before, after }) => ({ file, ...countLines(before, after) })),
+            });
+            const dropped = journal.entries.slice(0, Math.max(0, journal.entries.length - MAX_ENTRIES));
+            journal.entries = journal.entries.slice(-MAX_ENTRIES);
+            await Promise.all([
+                enqueue(() => writeJson(snapshotFile(id), files)),
+                save(),
+                ...dropped.map(entry => enqueue(() => fs.promises.rm(snapshotFile(entry.id), { force: true }))),
+            ]);
+            return id;
+        },
+        // Writes `files` ([{ path, content }]) and records them as one entry. The entry is
+        // recorded first; if a file then cannot be written, the files already written are
+        // put back and the entry is dropped, so the journal and the disk always agree.
+        async write(kind, description, files) {
+            const changes = files.map(file => ({ path: file.path, before: fs.existsSync(file.path) ? fs.readFileSync(file.path, 'utf-8') : null, after: file.content }))
+                .filter(change => change.before !== change.after);
+            const id = await this.record(kind, description, changes);
+            const written = [];
+            try {
+                for (const change of changes) {
+                    fs.writeFileSync(change.path, change.after);
+                    written.push(change);
+                }
+            } catch (error) {
+                for (const change of written) {
+                    if (change.before === null) fs.rmSync(change.path, { force: true });
+                    else fs.writeFileSync(change.path, change.before);
+                }
+                if (id !== null) await removeEntry(id);
+                throw error;
+            }
+            return id;
+        },
+        // The entries newest first.
+        list: () => [...journal.entries].reverse(),
+        // The hunks of each file in an entry: [{ file, hunks }].
+        async diff(id) {
+            find(id);
+            return (await snapshots(id)).map(change => ({ file: change.file, hunks: diffTexts(change.before || '', change.after || '') }));
+        },
+        // Reverts one entry; resolves to the files written.
+        undo(id) {
+            const entry = find(id);
+            if (entry.undone) throw new Error(`History entry ${id} is already undone.`);
+            return replay(entry, 'after', 'before');
+        },
+        // Reapplies an undone entry; resolves to the files written.
+        redo(id) {
+            const entry = find(id);
+            if (!entry.undone) throw new Error(`History entry ${id} is not undone.`);
+            return replay(entry, 'before', 'after');
+        },
+    };
+}
+
+module.exports = {
+    openJournal,
+};
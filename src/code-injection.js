@@ -0,0 +1,157 @@
+// src/code-injection.js - Merges pasted C code into a translation unit item by item
+
+const { listTopLevelItems, leadingCommentStart } = require('./c-functions.js');
+const { insertInclude } = require('./prototypes.js');
+
+const DECLARATION_KINDS = new Set(['typedef', 'type', 'prototype']);
+// Items whose use of a name means a new declaration of it must come first.
+const USER_KINDS = new Set(['function', 'data', ...DECLARATION_KINDS]);
+const normalize = (text) => text.replace(/\s+/g, '');
+const hex = (value) => `0x${value.toString(16).toUpperCase()}`;
+
+// Plans how `code` (e.g. a whole decomp.me result) is merged into the C file `content`.
+// The code is split into top-level items, each handled on its own:
+//   - includes and #defines missing from the file go after its existing ones
+//   - functions replace their existing definition or are inserted in address order,
+//     `addressOf(name)` giving a function's address from the asm (or null). Helpers with
+//     no address stay next to the pasted function that follows them.
+//   - data replaces the definition of the same name; new data, typedefs, struct
+//     declarations and prototypes go before the first item that uses them (a new
+//     function included, wherever it was inserted), or else before the first definition
+// Other preprocessor lines and stray macro invocations are skipped. Returns { content,
+// functions, summary }: the merged text, the pasted function items, and one
+// { action, kind, name, detail } entry per item, in the order they were pasted, saying
+// what happened to it.
+function planCodeInjection(content, code, { addressOf = () => null } = {}) {
+    const pasted = listTopLevelItems(code);
+    const summary = [];
+    const note = (action, item, detail = '') => summary.push({ action, kind: item.kind, name: item.name, detail, index: pasted.indexOf(item) });
+    let result = content;
+    const items = () => listTopLevelItems(result);
+    const lineAt = (offset) => result.slice(0, offset).split('\n').length;
+    // Above the item's leading comment, so the two stay together.
+    const insertBefore = (item, text) => {
+        const at = leadingCommentStart(result, item.start);
+        result = `${result.slice(0, at)}${text}\n\n${result.slice(at)}`;
+    };
+    const insertAfter = (item, text) => { result = `${result.slice(0, item.end)}\n\n${text}${result.slice(item.end)}`; };
+    const append = (text) => { result = result.trim() ? `${result.trimEnd()}\n\n${text}\n` : `${text}\n`; };
+    const replace = (item, text) => { result = `${result.slice(0, item.start)}${text}${result.slice(item.end)}`; };
+    const firstDefinition = () => items().find(item => item.kind === 'function' || (item.kind === 'data' && !item.isExtern));
+
+    // Includes and macros, after the last existing one.
+    for (const item of pasted.filter(entry => entry.kind === 'include')) {
+        const inserted = insertInclude(result, item.name);
+        if (!inserted) { note('skipped', item, 'already present'); continue; }
+        result = inserted.content;
+        note('added', item, `at line ${inserted.line}`);
+    }
+    for (const item of pasted.filter(entry => entry.kind === 'define')) {
+        const existing = items().filter(entry => entry.kind === 'include' || entry.kind === 'define');
+        const same = existing.find(entry => entry.kind === 'define' && entry.name === item.name);
+        if (same) {
+            note('skipped', item, normalize(same.text) === normalize(item.text) ? 'already present' : `already defined differently at line ${same.line}; kept the existing one`);
+            continue;
+        }
+        const anchor = existing[existing.length - 1];
+        if (anchor) result = `${result.slice(0, anchor.end)}\n${item.text}${result.slice(anchor.end)}`;
+        else result = `${item.text}\n${result.trim() ? '\n' : ''}${result.replace(/^\s+/, '')}`;
+        note('added', item, `at line ${lineAt(result.indexOf(item.text))}`);
+    }
+
+    // Functions: replacements first, then new ones by address, then helpers without one.
+    const functions = pasted.filter(entry => entry.kind === 'function');
+    const pending = [];
+    const newFunctions = new Set();
+    for (const item of functions) {
+        const existing = items().filter(entry => entry.kind === 'function' && entry.name === item.name);
+        const target = existing.find(entry => !entry.isAsm) || existing[0];
+        if (target) {
+            if (target.end === null) { note('skipped', item, `its existing definition at line ${target.line} is never closed`); continue; }
+            if (normalize(target.text) === normalize(item.text)) { note('unchanged', item); continue; }
+            replace(target, item.text);
+            note('replaced', item, `at line ${target.line}`);
+        } else {
+            pending.push(item);
+            newFunctions.add(item.name);
+        }
+    }
+    for (const item of pending.filter(entry => addressOf(entry.name) !== null)) {
+        const address = addressOf(item.name);
+        const placed = items().filter(entry => entry.kind === 'function' && addressOf(entry.name) !== null);
+        const after = placed.find(entry => addressOf(entry.name) > address);
+        const before = [...placed].reverse().find(entry => addressOf(entry.name) < address);
+        if (after) {
+            insertBefore(after, item.text);
+            note('inserted', item, `at ${hex(address)}, before ${after.name}`);
+        } else if (before) {
+            insertAfter(before, item.text);
+            note('inserted', item, `at ${hex(address)}, after ${before.name}`);
+        } else {
+            append(item.text);
+            note('inserted', item, `at ${hex(address)}, at the end of the file`);
+        }
+    }
+    for (const item of pending.filter(entry => addressOf(entry.name) === null)) {
+        const position = functions.indexOf(item);
+        const current = items().filter(entry => entry.kind === 'function');
+        const find = (candidate) => current.find(entry => entry.name === candidate.name);
+        const next = functions.slice(position + 1).map(find).find(Boolean);
+        const previous = functions.slice(0, position).reverse().map(find).find(Boolean);
+        if (next) {
+            insertBefore(next, item.text);
+            note('inserted', item, `not in the asm; placed before ${next.name}`);
+        } else if (previous) {
+            insertAfter(previous, item.text);
+            note('inserted', item, `not in the asm; placed after ${previous.name}`);
+        } else {
+            append(item.text);
+            note('inserted', item, 'not in the asm; placed at the end of the file');
+        }
+    }
+
+    // Declarations and data, once the functions are in place so that one used by a new
+    // function lands above wherever that function went. They are placed last to first,
+    // each above its first user and above every declaration pasted after it, so pasted
+    // declarations keep their order and one that another needs stays ahead of it.
+    const declarations = pasted.filter(entry => DECLARATION_KINDS.has(entry.kind) || entry.kind === 'data');
+    const placedTexts = new Set();
+    for (const item of [...declarations].reverse()) {
+        if (!item.name) { note('skipped', item, 'could not tell what it declares'); continue; }
+        const existing = items().find(entry => entry.name === item.name && entry.kind !== 'function' && entry.kind !== 'directive');
+        if (item.kind === 'data' && !item.isExtern && existing && existing.kind === 'data' && !existing.isExtern) {
+            if (normalize(existing.text) === normalize(item.text)) { note('unchanged', item); continue; }
+            replace(existing, item.text);
+            note('replaced', item, `at line ${existing.line}`);
+            continue;
+        }
+        const definition = item.kind === 'prototype' && items().find(entry => entry.kind === 'function' && entry.name === item.name && !newFunctions.has(entry.name));
+        if (existing || definition) {
+            note('skipped', item, `already declared at line ${(existing || definition).line}`);
+            continue;
+        }
+        const nameRegex = new RegExp(`\\b${item.name.replace(/\$/g, '\\$')}\\b`);
+        // Data is only looked for in function bodies, so a parameter of the same name is not a use.
+        const uses = (entry) => nameRegex.test(entry.kind === 'function' && item.kind === 'data' ? entry.text.slice(entry.bodyStart - entry.start) : entry.text);
+        const anchor = items().find(entry => placedTexts.has(entry.text) || (USER_KINDS.has(entry.kind) && entry.name !== item.name && uses(entry)))
+            || firstDefinition();
+        if (anchor) {
+            insertBefore(anchor, item.text);
+            note('added', item, `before ${anchor.name} (line ${anchor.line})`);
+        } else {
+            append(item.text);
+            note('added', item, 'at the end of the file');
+        }
+        placedTexts.add(item.text);
+    }
+
+    for (const item of pasted.filter(entry => entry.kind === 'directive' || entry.kind === 'other')) {
+        note('skipped', item, `${item.kind === 'directive' ? `#${item.name}` : item.name} lines are not injected`);
+    }
+    summary.sort((a, b) => a.index - b.index);
+    return { content: result, functions, summary: summary.map(({ index, ...entry }) => entry) };
+}
+
+module.exports = {
+    planCodeInjection,
+};
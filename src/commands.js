@@ -0,0 +1,40 @@
+// src/commands.js - Allow-list of named tool invocations
+
+// Object targets must be a relative path inside build/GALE01/src, e.g.
+// 'build/GALE01/src/melee/lb/lbcollision.o'.
+function validateObjectTarget(target) {
+    if (typeof target !== 'string' || !/^build\/GALE01\/src\/[\w/.-]+\.o$/.test(target) || target.split('/').includes('..')) {
+        throw new Error(`Invalid build target: ${target}`);
+    }
+    return target;
+}
+
+// Source files must be a relative .c or .h path inside the melee 'src' directory.
+function validateSourceFile(file) {
+    if (typeof file !== 'string' || !/^src\/[\w/.-]+\.[ch]$/.test(file) || file.split('/').includes('..')) {
+        throw new Error(`Invalid source file: ${file}`);
+    }
+    return file;
+}
+
+// Each operation names the toolchain entry it runs (a key of resolveToolchainPaths)
+// and builds its argv from the validated arguments.
+const COMMANDS = {
+    'build': { tool: 'ninja', args: () => [] },
+    'build-object': { tool: 'ninja', args: ({ target }) => [validateObjectTarget(target)] },
+    'report': { tool: 'objdiff', args: () => ['report', '--format', 'json'] },
+    'configure': { tool: 'python', args: () => ['configure.py'] },
+    'git-status': { tool: 'git', args: () => ['status', '--porcelain'] },
+    'git-diff': { tool: 'git', args: ({ file }) => ['diff', '--', validateSourceFile(file)] },
+};
+
+function resolveCommand(operation, args = {}) {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, operation)) throw new Error(`Unknown operation: ${operation}`);
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) throw new Error(`Invalid arguments for ${operation}.`);
+    const command = COMMANDS[operation];
+    return { tool: command.tool, args: command.args(args) };
+}
+
+module.exports = {
+    resolveCommand,
+};
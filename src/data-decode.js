@@ -0,0 +1,141 @@
+// src/data-decode.js - Decodes data objects from the asm into floats, strings and tables
+
+const MAX_SUMMARY_LENGTH = 80;
+const MAX_LISTED = 8;
+
+// --- Directive Parsing ---
+
+// Splits a directive's operands on commas outside string literals.
+function splitOperands(text) {
+    const operands = [];
+    let current = '', inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString && char === '\\') { current += char + text[++i]; continue; }
+        if (char === '"') inString = !inString;
+        if (char === ',' && !inString) { operands.push(current.trim()); current = ''; continue; }
+        current += char;
+    }
+    if (current.trim()) operands.push(current.trim());
+    return operands;
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '"': '"' };
+
+function parseStringLiteral(literal) {
+    const body = literal.replace(/^"|"$/g, '');
+    return body.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (_, escape) => {
+        if (escape[0] === 'x') return String.fromCharCode(parseInt(escape.slice(1), 16));
+        if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+        return ESCAPES[escape] !== undefined ? ESCAPES[escape] : escape;
+    });
+}
+
+// `.4byte 0x3F000000, lbl_803C0000` -> { directive: '4byte', operands: [...] }. Alignment
+// directives are dropped.
+function parseDirectives(lines) {
+    return lines
+        .map(line => line.replace(/\s+#.*$/, '').match(/^\.(\w+)\s*(.*)$/))
+        .filter(match => match && !['balign', 'align', 'p2align'].includes(match[1]))
+        .map(([, directive, operands]) => ({ directive, operands: splitOperands(operands) }));
+}
+
+// --- Formatting ---
+
+const isNumber = (operand) => /^-?(0x[0-9a-fA-F]+|\d+)$/.test(operand);
+const unquote = (operand) => operand.replace(/^"(.*)"$/, '$1');
+
+function formatFloat(value) {
+    if (!Number.isFinite(value)) return String(value);
+    return `${parseFloat(value.toPrecision(7))}f`;
+}
+
+// Doubles print with JavaScript's shortest round-tripping form, e.g. 0.5 or 4503601774854144.
+const formatDouble = (value) => String(value);
+
+// The 32-bit words `.4byte` numbers spell out.
+function wordsToBuffer(words) {
+    const buffer = Buffer.alloc(words.length * 4);
+    words.forEach((word, i) => buffer.writeUInt32BE(Number(BigInt.asUintN(32, BigInt(word))), i * 4));
+    return buffer;
+}
+
+const quote = (text) => JSON.stringify(text);
+
+function listSummary(label, items) {
+    const shown = items.slice(0, MAX_LISTED).join(', ');
+    return `${label}: ${shown}${items.length > MAX_LISTED ? `, ... (${items.length})` : ''}`;
+}
+
+const truncate = (text) => text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : text;
+
+// --- Decoding ---
+
+// Decodes a data object's definition lines (from extractObjects) given its section and
+// byte size. Returns { kind, summary, values } where kind is one of 'float', 'double',
+// 'string', 'pointers', 'jumptable', 'words', 'bytes' or 'empty'. Jump tables also
+// carry `labels`, the case labels in table order.
+function decodeData(lines, { section = '', size = null } = {}) {
+    const items = parseDirectives(lines);
+    const operandsOf = (...directives) => items.filter(item => directives.includes(item.directive)).flatMap(item => item.operands);
+    const only = (...directives) => items.length > 0 && items.every(item => directives.includes(item.directive));
+    const result = (kind, summary, values, extra) => ({ kind, summary: truncate(summary), values, ...extra });
+
+    if (items.length === 0) return result('empty', size ? `${size} zero bytes` : 'no data', []);
+    if (only('skip', 'space')) return result('empty', `${size || operandsOf('skip', 'space').reduce((total, operand) => total + Number(operand), 0)} zero bytes`, []);
+
+    // dtk writes jump tables as `.rel function, .L_label` entries.
+    if (items.some(item => item.directive === 'rel')) {
+        const labels = items.filter(item => item.directive === 'rel').map(item => item.operands[item.operands.length - 1]);
+        return result('jumptable', `jump table, ${labels.length} cases`, labels, { labels });
+    }
+    if (only('float')) {
+        const values = operandsOf('float').map(Number);
+        return result('float', values.length === 1 ? formatFloat(values[0]) : listSummary('floats', values.map(formatFloat)), values);
+    }
+    if (only('double')) {
+        const values = operandsOf('double').map(Number);
+        return result('double', values.length === 1 ? formatDouble(values[0]) : listSummary('doubles', values.map(formatDouble)), values);
+    }
+    if (only('asciz', 'string', 'ascii', 'skip', 'space', 'byte') && items.some(item => ['asciz', 'string', 'ascii'].includes(item.directive))) {
+        const values = items.filter(item => ['asciz', 'string', 'ascii'].includes(item.directive)).flatMap(item => item.operands.map(parseStringLiteral));
+        return result('string', values.length === 1 ? quote(values[0]) : listSummary('strings', values.map(quote)), values);
+    }
+    if (only('4byte', 'long', 'skip', 'space')) {
+        const words = operandsOf('4byte', 'long');
+        if (words.length > 0 && words.every(word => !isNumber(word) || Number(word) === 0) && words.some(word => !isNumber(word))) {
+            const pointers = words.map(word => isNumber(word) ? 'NULL' : unquote(word));
+            return result('pointers', listSummary(`${pointers.length} pointers`, pointers), pointers);
+        }
+        if (words.every(isNumber)) {
+            const buffer = wordsToBuffer(words);
+            // Lone words in the read-only constant sections are almost always floats and doubles.
+            const constantSection = /^\.(sdata2|rodata)$/.test(section);
+            if (constantSection && words.length === 1) {
+                const float = buffer.readFloatBE(0);
+                return result('float', `${formatFloat(float)} (${words[0]})`, [float]);
+            }
+            if (constantSection && words.length === 2 && size === 8) {
+                const double = buffer.readDoubleBE(0);
+                return result('double', `${formatDouble(double)} (${words.join(' ')})`, [double]);
+            }
+            return result('words', listSummary(`${words.length} words`, words), words);
+        }
+    }
+    if (only('byte')) {
+        const bytes = operandsOf('byte').map(Number);
+        const terminator = bytes.indexOf(0);
+        const text = bytes.slice(0, terminator === -1 ? bytes.length : terminator);
+        if (terminator > 0 && text.every(byte => (byte >= 0x20 && byte < 0x7f) || byte === 0x0a)) {
+            const value = String.fromCharCode(...text);
+            return result('string', quote(value), [value]);
+        }
+        return result('bytes', listSummary(`${bytes.length} bytes`, bytes.map(byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`)), bytes);
+    }
+    const values = items.flatMap(item => item.operands.map(operand => `.${item.directive} ${operand}`));
+    return result('words', listSummary('data', values), values);
+}
+
+module.exports = {
+    decodeData,
+};
@@ -0,0 +1,83 @@
+// src/diagnostics.js - Parses MWCC and ninja build output into structured diagnostics
+
+// GCC-style messages, which MWCC prints with `-msgstyle gcc`:
+//   src/melee/ft/ftcommon.c:123:5: error: undefined identifier 'x'
+const GCC_STYLE_REGEX = /^(.+?):(\d+):(?:(\d+):)?\s*(error|warning|note|fatal error)\s*:\s*(.*)$/i;
+// MWCC's own style, a block per message:
+//   ### mwcceppc.exe Compiler:
+//   #    File: src\melee\ft\ftcommon.c
+//   # ---------------------------------
+//   #     123:     x = y;
+//   #   Error:         ^
+//   #   undefined identifier 'y'
+const MW_HEADER_REGEX = /^### mwcc\w*(?:\.exe)? (?:Compiler|Linker|Driver)/i;
+const MW_FILE_REGEX = /^#\s+(?:File|In):\s*(.+?)\s*$/;
+const MW_SOURCE_REGEX = /^#\s*(\d+):\s?(.*)$/;
+const MW_SEVERITY_REGEX = /^#\s*(Error|Warning|Note):(\s*)(\^*)/;
+// ninja's own failures, e.g. `ninja: error: unknown target 'x'`.
+const NINJA_ERROR_REGEX = /^ninja: (error|warning): (.*)$/;
+
+const normalizePath = (file) => file.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+
+// Diagnostics in the combined stdout/stderr of a build, in the order they were printed:
+//   [{ file, line, column, severity, message }]
+// `file` is as printed with forward slashes (relative to the melee folder for MWCC run by
+// ninja), `line` and `column` are 1-based or null, and `severity` is 'error', 'warning'
+// or 'note'. Repeated messages are reported once.
+function parseBuildOutput(output) {
+    const lines = output.split(/\r?\n/);
+    const diagnostics = [];
+    const seen = new Set();
+    const add = (diagnostic) => {
+        const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.severity}:${diagnostic.message}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        diagnostics.push(diagnostic);
+    };
+
+    let file = null, source = null;
+    for (let i = 0; i < lines.length; i++) {
+        const text = lines[i];
+        if (MW_HEADER_REGEX.test(text)) { file = null; source = null; continue; }
+
+        const fileMatch = MW_FILE_REGEX.exec(text);
+        if (fileMatch) { file = normalizePath(fileMatch[1]); continue; }
+
+        const sourceMatch = MW_SOURCE_REGEX.exec(text);
+        if (sourceMatch && file) {
+            source = { line: parseInt(sourceMatch[1], 10), codeStart: text.length - sourceMatch[2].length };
+            continue;
+        }
+
+        const severityMatch = MW_SEVERITY_REGEX.exec(text);
+        if (severityMatch && file) {
+            // The carets line up under the echoed source line.
+            const caret = severityMatch[3] ? text.indexOf('^') : -1;
+            const column = source && caret >= source.codeStart ? caret - source.codeStart + 1 : null;
+            // The message is the rest of the block, up to the next separator or header.
+            const message = [];
+            while (i + 1 < lines.length && /^#(?!\s*-{3,})(?!##)/.test(lines[i + 1]) && !MW_SOURCE_REGEX.test(lines[i + 1])
+                && !MW_FILE_REGEX.test(lines[i + 1]) && !MW_SEVERITY_REGEX.test(lines[i + 1])) {
+                message.push(lines[++i].replace(/^#\s*/, ''));
+            }
+            add({ file, line: source ? source.line : null, column, severity: severityMatch[1].toLowerCase(), message: message.join(' ').trim() });
+            source = null;
+            continue;
+        }
+
+        const gccMatch = GCC_STYLE_REGEX.exec(text);
+        if (gccMatch) {
+            const severity = gccMatch[4].toLowerCase() === 'fatal error' ? 'error' : gccMatch[4].toLowerCase();
+            add({ file: normalizePath(gccMatch[1]), line: parseInt(gccMatch[2], 10), column: gccMatch[3] ? parseInt(gccMatch[3], 10) : null, severity, message: gccMatch[5].trim() });
+            continue;
+        }
+
+        const ninjaMatch = NINJA_ERROR_REGEX.exec(text);
+        if (ninjaMatch) add({ file: null, line: null, column: null, severity: ninjaMatch[1], message: ninjaMatch[2].trim() });
+    }
+    return diagnostics;
+}
+
+module.exports = {
+    parseBuildOutput,
+};
@@ -0,0 +1,77 @@
+// src/elf-symbols.js - Minimal ELF symbol table reader for compiled objects
+
+const fs = require('fs');
+
+const SHT_SYMTAB = 2;
+const SHN_UNDEF = 0;
+const SHN_LORESERVE = 0xff00;
+const SYMBOL_TYPES = { 0: 'notype', 1: 'object', 2: 'func', 3: 'section', 4: 'file' };
+const SYMBOL_BINDINGS = { 0: 'local', 1: 'global', 2: 'weak' };
+
+function readCString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    return buffer.toString('latin1', offset, end === -1 ? buffer.length : end);
+}
+
+// Reads the symbol table of an ELF object (32- or 64-bit, either byte order; the melee
+// objects are 32-bit big-endian PowerPC). Returns one entry per named symbol:
+//   { name, value, size, type, binding, section, defined }
+// where `section` is the name of the section the symbol is defined in, or null.
+// Throws if the file is not an ELF object.
+function readElfSymbols(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.length < 52 || buffer.readUInt32BE(0) !== 0x7f454c46) throw new Error(`Not an ELF file: ${filePath}`);
+    const is64 = buffer[4] === 2;
+    const littleEndian = buffer[5] === 1;
+    const u16 = (offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const u32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const addr = (offset) => is64 ? Number(littleEndian ? buffer.readBigUInt64LE(offset) : buffer.readBigUInt64BE(offset)) : u32(offset);
+
+    const sectionHeaderOffset = is64 ? addr(0x28) : u32(0x20);
+    const sectionHeaderSize = u16(is64 ? 0x3A : 0x2E);
+    const sectionCount = u16(is64 ? 0x3C : 0x30);
+    const sectionNameIndex = u16(is64 ? 0x3E : 0x32);
+
+    const sections = [];
+    for (let i = 0; i < sectionCount; i++) {
+        const base = sectionHeaderOffset + i * sectionHeaderSize;
+        sections.push({
+            nameOffset: u32(base),
+            type: u32(base + 4),
+            offset: is64 ? addr(base + 0x18) : u32(base + 0x10),
+            size: is64 ? addr(base + 0x20) : u32(base + 0x14),
+            link: u32(base + (is64 ? 0x28 : 0x18)),
+            entrySize: is64 ? addr(base + 0x38) : u32(base + 0x24),
+        });
+    }
+    const sectionNames = sections[sectionNameIndex];
+    sections.forEach(section => { section.name = sectionNames ? readCString(buffer, sectionNames.offset + section.nameOffset) : ''; });
+
+    const symtab = sections.find(section => section.type === SHT_SYMTAB);
+    if (!symtab) return [];
+    const strtab = sections[symtab.link];
+    const entrySize = symtab.entrySize || (is64 ? 24 : 16);
+
+    const symbols = [];
+    for (let offset = symtab.offset; offset + entrySize <= symtab.offset + symtab.size; offset += entrySize) {
+        const name = readCString(buffer, strtab.offset + u32(offset));
+        if (!name) continue;
+        const info = buffer[offset + (is64 ? 4 : 12)];
+        const sectionIndex = u16(offset + (is64 ? 6 : 14));
+        const defined = sectionIndex !== SHN_UNDEF;
+        symbols.push({
+            name,
+            value: is64 ? addr(offset + 8) : u32(offset + 4),
+            size: is64 ? addr(offset + 16) : u32(offset + 8),
+            type: SYMBOL_TYPES[info & 0xf] || 'other',
+            binding: SYMBOL_BINDINGS[info >> 4] || 'other',
+            section: defined && sectionIndex < SHN_LORESERVE && sections[sectionIndex] ? sections[sectionIndex].name : null,
+            defined,
+        });
+    }
+    return symbols;
+}
+
+module.exports = {
+    readElfSymbols,
+};
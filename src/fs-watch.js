@@ -0,0 +1,65 @@
+// src/fs-watch.js - Debounced recursive watching of a project directory
+
+const path = require('path');
+const fs = require('fs');
+
+// Calls `onChange(files)` with the paths that changed under `root`, batched until no
+// change has been seen for `debounceMs`. Recursive fs.watch is not available on Linux
+// in the Node version Electron ships, so there each directory gets its own watcher.
+// Returns { close }.
+function watchTree(root, { filter = () => true, debounceMs = 300, onChange }) {
+    const watchers = new Map();
+    const pending = new Set();
+    let timer = null;
+
+    const notify = (file) => {
+        if (!filter(file)) return;
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = [...pending];
+            pending.clear();
+            onChange(files);
+        }, debounceMs);
+    };
+
+    const watch = (dir, options, toPath) => {
+        try {
+            const watcher = fs.watch(dir, options, (eventType, name) => { if (name) toPath(name.toString()); });
+            watcher.on('error', () => { watcher.close(); watchers.delete(dir); });
+            watchers.set(dir, watcher);
+            return true;
+        } catch (e) {
+            return false; // The directory vanished before it could be watched.
+        }
+    };
+
+    const watchDirectory = (dir) => {
+        if (watchers.has(dir)) return;
+        const watching = watch(dir, {}, (name) => {
+            const fullPath = path.join(dir, name);
+            const stat = fs.statSync(fullPath, { throwIfNoEntry: false });
+            if (stat && stat.isDirectory()) watchDirectory(fullPath);
+            notify(fullPath);
+        });
+        if (!watching) return;
+        let entries = [];
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { /* removed meanwhile */ }
+        entries.filter(entry => entry.isDirectory()).forEach(entry => watchDirectory(path.join(dir, entry.name)));
+    };
+
+    if (process.platform === 'linux') watchDirectory(root);
+    else watch(root, { recursive: true }, (name) => notify(path.join(root, name)));
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        },
+    };
+}
+
+module.exports = {
+    watchTree,
+};
@@ -0,0 +1,139 @@
+// src/function-status.js - Classifies asm functions as vacant, in progress or matched
+
+const path = require('path');
+const fs = require('fs');
+const { readElfSymbols } = require('./elf-symbols.js');
+const { field } = require('./objdiff-handler.js');
+const { listFunctionDefinitions } = require('./c-functions.js');
+
+const STATUS = { VACANT: 'vacant', IN_PROGRESS: 'in-progress', MATCHED: 'matched' };
+
+// Preprocessor conditions that guard code known not to match, e.g. '#ifdef MUST_MATCH'
+// around an asm fallback or '#if NONMATCHING' around a C attempt.
+const NONMATCHING_CONDITION = /\b(NONMATCHING|MUST_MATCH)\b/;
+
+// --- Project Data ---
+
+const unitsCache = new Map(); // meleePath -> { mtimeMs, units }
+
+// Unit name -> { basePath, sourcePath, complete } from the objdiff.json that configure.py writes,
+// or an empty map if there is none. Re-read only when the file changes.
+function readObjdiffUnits(meleePath) {
+    const configPath = path.join(meleePath, 'objdiff.json');
+    const stat = fs.statSync(configPath, { throwIfNoEntry: false });
+    const cached = unitsCache.get(meleePath);
+    if (cached && stat && cached.mtimeMs === stat.mtimeMs) return cached.units;
+    const units = new Map();
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        for (const unit of config.units || []) {
+            const metadata = unit.metadata || {};
+            units.set(unit.name, {
+                basePath: unit.base_path ? path.join(meleePath, unit.base_path) : null,
+                sourcePath: field(metadata, 'source_path') ? path.join(meleePath, field(metadata, 'source_path')) : null,
+                complete: Boolean(metadata.complete),
+            });
+        }
+    } catch (e) {
+        // No objdiff.json yet (project not configured); callers fall back to path mapping.
+    }
+    if (stat) unitsCache.set(meleePath, { mtimeMs: stat.mtimeMs, units });
+    return units;
+}
+
+const percentOf = (entry) => {
+    const fuzzy = field(entry, 'fuzzy_match_percent');
+    if (fuzzy !== undefined) return fuzzy;
+    const measures = field(entry, 'measures');
+    if (measures && field(measures, 'fuzzy_match_percent') !== undefined) return field(measures, 'fuzzy_match_percent');
+    const ratio = field(entry, 'match_percent');
+    return ratio === undefined ? undefined : ratio * 100;
+};
+
+// Unit name -> Map(function name -> match percent 0-100) from an objdiff report.
+function reportMatches(report) {
+    const matches = new Map();
+    if (!report || !Array.isArray(report.units)) return matches;
+    for (const unit of report.units) {
+        const functions = new Map();
+        for (const fn of unit.functions || unit.symbols || []) {
+            const percent = percentOf(fn);
+            if (fn.name && percent !== undefined) functions.set(fn.name, percent);
+        }
+        matches.set(unit.name, functions);
+    }
+    return matches;
+}
+
+// Names of the functions an object file defines, or null if it has not been built.
+function definedFunctions(objectPath) {
+    if (!objectPath || !fs.existsSync(objectPath)) return null;
+    try {
+        return new Set(readElfSymbols(objectPath).filter(symbol => symbol.defined && symbol.type === 'func').map(symbol => symbol.name));
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Source Scanning ---
+
+// For each line, whether it sits inside a NONMATCHING/MUST_MATCH conditional (either branch).
+function nonmatchingLines(lines) {
+    const stack = [];
+    return lines.map(line => {
+        const directive = line.match(/^\s*#\s*(if|ifdef|ifndef|elif|else|endif)\b(.*)$/);
+        if (directive) {
+            const [, keyword, condition] = directive;
+            if (keyword.startsWith('if')) stack.push(NONMATCHING_CONDITION.test(condition));
+            else if (keyword === 'elif' && stack.length) stack[stack.length - 1] = stack[stack.length - 1] || NONMATCHING_CONDITION.test(condition);
+            else if (keyword === 'endif') stack.pop();
+        }
+        return stack.some(Boolean);
+    });
+}
+
+// Scans a C source for function definitions. Returns { defined, nonmatching }: the names
+// defined at all, and those defined as inline asm, inside a NONMATCHING/MUST_MATCH
+// conditional, or with a NOT_IMPLEMENTED body.
+function scanSource(content) {
+    const defined = new Set(), nonmatching = new Set();
+    if (!content) return { defined, nonmatching };
+    const guarded = nonmatchingLines(content.split('\n'));
+    for (const definition of listFunctionDefinitions(content)) {
+        defined.add(definition.name);
+        const body = content.slice(definition.bodyStart, definition.end === null ? content.length : definition.end);
+        if (definition.isAsm || guarded[definition.line - 1] || /\bNOT_IMPLEMENTED\b/.test(body)) nonmatching.add(definition.name);
+    }
+    return { defined, nonmatching };
+}
+
+// --- Classification ---
+
+// Decides the status of each function in `names`:
+//   - matched: compiled into the object (or, if it is not built, defined in C) and 100%
+//     in the objdiff report when the report covers it
+//   - in-progress: below 100%, inline asm, NONMATCHING/MUST_MATCH-guarded or NOT_IMPLEMENTED
+//   - vacant: not compiled from C at all
+// Returns Map(name -> { status, matchPercent }).
+function classifyFunctions(names, { definedSymbols, source, matches }) {
+    const result = new Map();
+    for (const name of names) {
+        const matchPercent = matches ? matches.get(name) : undefined;
+        const compiled = definedSymbols ? definedSymbols.has(name) : source.defined.has(name);
+        let status;
+        if (source.nonmatching.has(name)) status = STATUS.IN_PROGRESS;
+        else if (!compiled) status = STATUS.VACANT;
+        else status = matchPercent === undefined || matchPercent >= 100 ? STATUS.MATCHED : STATUS.IN_PROGRESS;
+        result.set(name, { status, matchPercent });
+    }
+    return result;
+}
+
+module.exports = {
+    STATUS,
+    readObjdiffUnits,
+    reportMatches,
+    definedFunctions,
+    scanSource,
+    classifyFunctions,
+};
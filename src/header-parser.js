@@ -0,0 +1,816 @@
+// src/header-parser.js - C declaration parser and Metrowerks PowerPC struct layout
+
+const path = require('path');
+const fs = require('fs');
+const { Preprocessor, tokenize, evaluateExpression } = require('./c-preprocessor.js');
+
+// --- Type Descriptors ---
+// Types are plain, serializable objects:
+//   { kind: 'scalar', name, size, align }     { kind: 'pointer', to }
+//   { kind: 'array', of, length }             { kind: 'record', name }  (struct/union, by name)
+//   { kind: 'enum', name }                    { kind: 'void' }
+//   { kind: 'function', returns, params }     (params is null when unprototyped or unparsed)
+// A type reached through a typedef carries the typedef's name in `alias`.
+
+// Sizes and alignments under the Metrowerks PowerPC EABI.
+const SCALARS = {
+    'char': 1, 'signed char': 1, 'unsigned char': 1, '_Bool': 1,
+    'short': 2, 'unsigned short': 2,
+    'int': 4, 'unsigned int': 4, 'long': 4, 'unsigned long': 4,
+    'long long': 8, 'unsigned long long': 8,
+    'float': 4, 'double': 8, 'long double': 8,
+};
+const POINTER_SIZE = 4;
+const ENUM_SIZE = 4;
+
+const STORAGE_KEYWORDS = new Set(['typedef', 'extern', 'static', 'inline', '__inline', '__inline__', 'register', 'auto', 'asm', '__asm']);
+const QUALIFIER_KEYWORDS = new Set(['const', 'volatile', 'restrict', '__restrict', '__volatile__', '__const']);
+const BASE_KEYWORDS = new Set(['void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', '_Bool']);
+
+function scalarFromKeywords(keywords) {
+    if (keywords.includes('void')) return { kind: 'void' };
+    const longs = keywords.filter(k => k === 'long').length;
+    const isUnsigned = keywords.includes('unsigned');
+    let name;
+    if (keywords.includes('char')) name = keywords.includes('signed') ? 'signed char' : isUnsigned ? 'unsigned char' : 'char';
+    else if (keywords.includes('_Bool')) name = '_Bool';
+    else if (keywords.includes('float')) name = 'float';
+    else if (keywords.includes('double')) name = longs ? 'long double' : 'double';
+    else if (keywords.includes('short')) name = isUnsigned ? 'unsigned short' : 'short';
+    else if (longs >= 2) name = isUnsigned ? 'unsigned long long' : 'long long';
+    else if (longs === 1) name = isUnsigned ? 'unsigned long' : 'long';
+    else name = isUnsigned ? 'unsigned int' : 'int';
+    return { kind: 'scalar', name, size: SCALARS[name], align: SCALARS[name] };
+}
+
+function typeToString(type) {
+    if (!type) return '?';
+    if (type.alias) return type.alias;
+    switch (type.kind) {
+        case 'scalar': return type.name;
+        case 'void': return 'void';
+        case 'record': return type.name;
+        case 'enum': return type.name;
+        case 'pointer': return type.to.kind === 'function' && !type.to.alias ? `${typeToString(type.to.returns)} (*)()` : `${typeToString(type.to)}*`;
+        case 'array': return `${typeToString(type.of)}[${type.length === null ? '' : type.length}]`;
+        case 'function': return 'function';
+        case 'unresolved': return type.name;
+        case 'varargs': return '...';
+    }
+    return '?';
+}
+
+const alignUp = (value, align) => align > 1 ? Math.ceil(value / align) * align : value;
+
+class ParseError extends Error {}
+
+// Names an anonymous struct, union or enum after where it is declared, e.g.
+// '<anonymous struct ft/types.h:15#2>'. The counter is per file so names do not depend
+// on which other headers were parsed in the same pass.
+function anonymousName(keyword, counts) {
+    counts[keyword.file] = (counts[keyword.file] || 0) + 1;
+    const location = `${path.basename(path.dirname(keyword.file))}/${path.basename(keyword.file)}`;
+    return `<anonymous ${keyword.value} ${location}:${keyword.line}#${counts[keyword.file]}>`;
+}
+
+// --- Parser ---
+
+class HeaderParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.records = {};       // name -> { name, kind, members, complete, pack, alignAttr, file, line }
+        this.typedefs = {};      // name -> type
+        this.enumConstants = {}; // name -> value
+        this.staticAsserts = []; // { tokens, file, line }
+        this.functions = {};     // name -> { returns, params, file }
+        this.origins = { typedefs: {}, enumConstants: {} }; // name -> file that declared it
+        this.diagnostics = [];
+        this.pack = null;
+        this.packStack = [];
+        this.anonymousCounts = {}; // file -> anonymous records declared so far
+    }
+
+    peek(offset = 0) { return this.tokens[this.pos + offset]; }
+    next() { return this.tokens[this.pos++]; }
+    isValue(value, offset = 0) { const t = this.peek(offset); return Boolean(t) && t.value === value && t.type !== 'string'; }
+    expect(value) {
+        const token = this.next();
+        if (!token || token.value !== value) throw new ParseError(`Expected '${value}' but found '${token ? token.value : 'end of input'}'`);
+        return token;
+    }
+
+    warn(token, message) {
+        this.diagnostics.push({ file: token ? token.file : '', line: token ? token.line : 0, message });
+    }
+
+    parse() {
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (token.type === 'pragma') { this.handlePragma(this.next()); continue; }
+            if (token.value === ';' || token.value === '}') { this.pos++; continue; }
+            const start = this.pos;
+            try {
+                this.parseExternalDeclaration();
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this.warn(this.tokens[start], error.message);
+                this.pos = Math.max(this.pos, start + 1);
+                this.skipToDeclarationEnd();
+            }
+        }
+        return this;
+    }
+
+    handlePragma(token) {
+        const [first, second] = token.args.filter(t => t.value !== ',');
+        if (!first) this.pack = null;
+        else if (first.value === 'push') { this.packStack.push(this.pack); if (second) this.pack = Number(second.value) || null; }
+        else if (first.value === 'pop') this.pack = this.packStack.length ? this.packStack.pop() : null;
+        else this.pack = Number(first.value) || null;
+    }
+
+    // Skips to the end of the current declaration: a ';' at depth 0, or a closing '}'
+    // that ends a block the declaration opened.
+    skipToDeclarationEnd() {
+        let depth = 0;
+        while (this.pos < this.tokens.length) {
+            const token = this.next();
+            if (token.value === '{' || token.value === '(' || token.value === '[') depth++;
+            else if (token.value === '}' || token.value === ')' || token.value === ']') {
+                depth--;
+                if (depth <= 0 && token.value === '}') {
+                    if (this.isValue(';')) this.pos++;
+                    return;
+                }
+            } else if (token.value === ';' && depth <= 0) return;
+        }
+    }
+
+    skipBalanced(open, close) {
+        let depth = 0;
+        do {
+            const token = this.next();
+            if (!token) throw new ParseError(`Unbalanced '${open}'`);
+            if (token.value === open) depth++;
+            else if (token.value === close) depth--;
+        } while (depth > 0);
+    }
+
+    parseExternalDeclaration() {
+        const first = this.peek();
+        if (first.value === 'extern' && this.peek(1) && this.peek(1).type === 'string') {
+            this.pos += 2; // extern "C" { ... } - the braces are skipped by the top-level loop
+            return;
+        }
+        if (first.value === 'STATIC_ASSERT' || first.value === '_Static_assert' || first.value === 'static_assert') {
+            this.parseStaticAssert();
+            return;
+        }
+
+        const specifiers = this.parseSpecifiers();
+        if (this.isValue(';')) { this.pos++; return; }
+
+        for (;;) {
+            const declarator = this.parseDeclarator(specifiers.type);
+            if (specifiers.isTypedef && declarator.name) this.defineTypedef(declarator.name, declarator.type, first.file);
+            else if (declarator.name && declarator.type.kind === 'function' && !this.functions[declarator.name]) {
+                this.functions[declarator.name] = { returns: declarator.type.returns, params: declarator.type.params, file: first.file };
+            }
+            if (declarator.type.kind === 'function' && this.isValue('{')) {
+                this.skipBalanced('{', '}');
+                return;
+            }
+            while (this.isValue('__attribute__')) this.parseAttribute();
+            if (this.isValue('=')) this.skipInitializer();
+            if (this.isValue(',')) { this.pos++; continue; }
+            this.expect(';');
+            return;
+        }
+    }
+
+    parseStaticAssert() {
+        const token = this.next();
+        const start = this.pos;
+        this.skipBalanced('(', ')');
+        this.staticAsserts.push({ tokens: this.tokens.slice(start + 1, this.pos - 1), file: token.file, line: token.line });
+        if (this.isValue(';')) this.pos++;
+    }
+
+    skipInitializer() {
+        let depth = 0;
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (depth === 0 && (token.value === ',' || token.value === ';')) return;
+            if (token.value === '{' || token.value === '(') depth++;
+            if (token.value === '}' || token.value === ')') depth--;
+            this.pos++;
+        }
+    }
+
+    defineTypedef(name, type, file) {
+        // Name an anonymous struct/union/enum after the first typedef that refers to it directly.
+        if ((type.kind === 'record' || type.kind === 'enum') && type.anonymous) {
+            if (type.kind === 'record') {
+                const record = this.records[type.name];
+                delete this.records[type.name];
+                record.name = name;
+                this.records[name] = record;
+            }
+            type.name = name;
+            delete type.anonymous;
+        }
+        if (type.kind === 'unresolved' && type.name === name) return;
+        if (this.typedefs[name] === undefined || this.typedefs[name].kind === 'unresolved') {
+            this.typedefs[name] = type;
+            this.origins.typedefs[name] = file;
+        }
+    }
+
+    // Returns the alignment from __attribute__((aligned(n))), or 0.
+    parseAttribute() {
+        this.expect('__attribute__');
+        const start = this.pos;
+        this.skipBalanced('(', ')');
+        const body = this.tokens.slice(start, this.pos);
+        const index = body.findIndex(t => t.value === 'aligned' || t.value === '__aligned__');
+        if (index === -1) return 0;
+        const number = body.slice(index + 1).find(t => t.type === 'number');
+        return number ? Number(number.value) : 8;
+    }
+
+    parseSpecifiers() {
+        const keywords = [];
+        let type = null, isTypedef = false, alignAttr = 0;
+
+        for (;;) {
+            const token = this.peek();
+            if (!token) break;
+            if (token.type === 'pragma') { this.handlePragma(this.next()); continue; }
+            if (token.type !== 'ident') break;
+            const word = token.value;
+            if (word === 'typedef') { isTypedef = true; this.pos++; continue; }
+            if (STORAGE_KEYWORDS.has(word) || QUALIFIER_KEYWORDS.has(word)) { this.pos++; continue; }
+            if (word === '__attribute__') { alignAttr = Math.max(alignAttr, this.parseAttribute()); continue; }
+            if (word === '__declspec') { this.pos++; this.skipBalanced('(', ')'); continue; }
+            if (BASE_KEYWORDS.has(word)) { keywords.push(word); this.pos++; continue; }
+            if (type || keywords.length) break;
+            if (word === 'struct' || word === 'union') { type = this.parseRecordSpecifier(); continue; }
+            if (word === 'enum') { type = this.parseEnumSpecifier(); continue; }
+            if (this.typedefs[word] !== undefined) {
+                type = { ...this.typedefs[word], alias: word };
+                this.pos++;
+                continue;
+            }
+            // An unknown identifier followed by a declarator is most likely a typedef from a
+            // header that has not been parsed yet; it is looked up again once all are parsed.
+            const following = this.peek(1);
+            if (following && (following.type === 'ident' || following.value === '*' || following.value === '(')) {
+                type = { kind: 'unresolved', name: word };
+                this.pos++;
+                continue;
+            }
+            break;
+        }
+
+        if (!type && keywords.length === 0) throw new ParseError(`Expected a type but found '${this.peek() ? this.peek().value : 'end of input'}'`);
+        if (!type) type = scalarFromKeywords(keywords);
+        return { type, isTypedef, alignAttr };
+    }
+
+    parseRecordSpecifier() {
+        const keyword = this.next();
+        let alignAttr = 0;
+        while (this.isValue('__attribute__')) alignAttr = Math.max(alignAttr, this.parseAttribute());
+
+        let name = null, anonymous = false;
+        if (this.peek() && this.peek().type === 'ident') name = this.next().value;
+        if (!this.isValue('{')) {
+            if (!name) throw new ParseError(`Expected a name or body after '${keyword.value}'`);
+            if (!this.records[name]) this.records[name] = { name, kind: keyword.value, members: [], complete: false, file: keyword.file, line: keyword.line };
+            return { kind: 'record', name };
+        }
+        if (!name) {
+            name = anonymousName(keyword, this.anonymousCounts);
+            anonymous = true;
+        }
+
+        const existing = this.records[name];
+        if (existing && existing.complete) {
+            // Duplicate definition (e.g. in another #if branch we could not rule out). Keep the first.
+            this.skipBalanced('{', '}');
+        } else {
+            const record = { name, kind: keyword.value, members: [], complete: true, pack: this.pack, alignAttr, file: keyword.file, line: keyword.line };
+            this.records[name] = record;
+            this.expect('{');
+            while (!this.isValue('}')) {
+                if (this.pos >= this.tokens.length) throw new ParseError(`Unterminated ${keyword.value} ${name}`);
+                const start = this.pos;
+                try {
+                    this.parseMemberDeclaration(record);
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    this.warn(this.tokens[start], `${name}: ${error.message}`);
+                    this.pos = Math.max(this.pos, start + 1);
+                    this.skipToMemberEnd();
+                }
+            }
+            this.expect('}');
+        }
+        while (this.isValue('__attribute__')) {
+            const align = this.parseAttribute();
+            if (this.records[name]) this.records[name].alignAttr = Math.max(this.records[name].alignAttr || 0, align);
+        }
+        const type = { kind: 'record', name };
+        if (anonymous) type.anonymous = true;
+        return type;
+    }
+
+    skipToMemberEnd() {
+        let depth = 0;
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (depth === 0 && token.value === '}') return;
+            this.pos++;
+            if (token.value === '{' || token.value === '(') depth++;
+            else if (token.value === '}' || token.value === ')') depth--;
+            else if (token.value === ';' && depth === 0) return;
+        }
+    }
+
+    parseMemberDeclaration(record) {
+        if (this.peek().type === 'pragma') { this.handlePragma(this.next()); return; }
+        if (this.isValue(';')) { this.pos++; return; }
+        if (['STATIC_ASSERT', '_Static_assert', 'static_assert'].includes(this.peek().value)) { this.parseStaticAssert(); return; }
+
+        const specifiers = this.parseSpecifiers();
+        if (this.isValue(';')) {
+            // Anonymous struct/union member: its fields are accessed as if they belonged to the parent.
+            this.pos++;
+            if (specifiers.type.kind === 'record' && specifiers.type.anonymous) {
+                record.members.push({ name: null, type: specifiers.type, alignAttr: specifiers.alignAttr });
+            }
+            return;
+        }
+
+        for (;;) {
+            const declarator = this.isValue(':') ? { name: null, type: specifiers.type } : this.parseDeclarator(specifiers.type);
+            const member = { name: declarator.name, type: declarator.type, alignAttr: specifiers.alignAttr };
+            if (this.isValue(':')) {
+                this.pos++;
+                const start = this.pos;
+                while (!this.isValue(',') && !this.isValue(';') && this.pos < this.tokens.length) this.pos++;
+                member.bitWidth = this.evaluate(this.tokens.slice(start, this.pos));
+            }
+            while (this.isValue('__attribute__')) member.alignAttr = Math.max(member.alignAttr, this.parseAttribute());
+            record.members.push(member);
+            if (this.isValue(',')) { this.pos++; continue; }
+            this.expect(';');
+            return;
+        }
+    }
+
+    parseEnumSpecifier() {
+        const keyword = this.next();
+        let name = null;
+        if (this.peek() && this.peek().type === 'ident') name = this.next().value;
+        const type = { kind: 'enum', name: name || anonymousName(keyword, this.anonymousCounts) };
+        if (!name) type.anonymous = true;
+        if (!this.isValue('{')) return type;
+
+        this.pos++;
+        let value = -1;
+        while (!this.isValue('}')) {
+            const constant = this.next();
+            if (!constant || constant.type !== 'ident') throw new ParseError('Expected an enumerator name');
+            if (this.isValue('=')) {
+                this.pos++;
+                const start = this.pos;
+                let depth = 0;
+                while (this.pos < this.tokens.length && !(depth === 0 && (this.isValue(',') || this.isValue('}')))) {
+                    if (this.isValue('(')) depth++;
+                    if (this.isValue(')')) depth--;
+                    this.pos++;
+                }
+                value = this.evaluate(this.tokens.slice(start, this.pos), constant);
+            } else {
+                value++;
+            }
+            this.enumConstants[constant.value] = value;
+            this.origins.enumConstants[constant.value] = constant.file;
+            if (this.isValue(',')) this.pos++;
+        }
+        this.pos++;
+        return type;
+    }
+
+    // Parses a declarator and returns { name, type }, applying pointers, arrays and
+    // function parameters to the base type in C's inside-out order.
+    parseDeclarator(baseType) {
+        let pointerDepth = 0;
+        while (this.isValue('*') || (this.peek() && (QUALIFIER_KEYWORDS.has(this.peek().value) || this.peek().value === '__attribute__'))) {
+            if (this.isValue('__attribute__')) { this.parseAttribute(); continue; }
+            if (this.isValue('*')) pointerDepth++;
+            this.pos++;
+        }
+
+        let name = null, inner = null;
+        if (this.isValue('(') && this.isNestedDeclarator()) {
+            this.pos++;
+            inner = this.parseDeclarator({ kind: 'placeholder' });
+            this.expect(')');
+            name = inner.name;
+        } else if (this.peek() && this.peek().type === 'ident') {
+            name = this.next().value;
+        }
+
+        const suffixes = [];
+        for (;;) {
+            if (this.isValue('[')) {
+                this.pos++;
+                const start = this.pos;
+                let depth = 0;
+                while (this.pos < this.tokens.length && !(depth === 0 && this.isValue(']'))) {
+                    if (this.isValue('[')) depth++;
+                    if (this.isValue(']')) depth--;
+                    this.pos++;
+                }
+                const sizeTokens = this.tokens.slice(start, this.pos);
+                this.expect(']');
+                suffixes.push({ kind: 'array', length: sizeTokens.length ? this.evaluate(sizeTokens, this.tokens[start]) : null });
+            } else if (this.isValue('(')) {
+                suffixes.push({ kind: 'function', params: this.parseParameters() });
+            } else {
+                break;
+            }
+        }
+
+        let type = baseType;
+        for (let i = 0; i < pointerDepth; i++) type = { kind: 'pointer', to: type };
+        for (let i = suffixes.length - 1; i >= 0; i--) {
+            type = suffixes[i].kind === 'array' ? { kind: 'array', of: type, length: suffixes[i].length } : { kind: 'function', returns: type, params: suffixes[i].params };
+        }
+        if (inner) type = substitutePlaceholder(inner.type, type);
+        return { name, type };
+    }
+
+    // Parses a parameter list starting at '(' and returns the parameter types, with
+    // arrays and functions decayed to pointers. Returns null for '()', K&R-style
+    // identifier lists and anything else that does not parse as declarations.
+    parseParameters() {
+        const start = this.pos;
+        this.expect('(');
+        if (this.isValue(')')) { this.pos++; return null; }
+        if (this.isValue('void') && this.isValue(')', 1)) { this.pos += 2; return []; }
+        const params = [];
+        try {
+            for (;;) {
+                if (this.isValue('...')) {
+                    this.pos++;
+                    params.push({ kind: 'varargs' });
+                } else {
+                    const { type } = this.parseDeclarator(this.parseSpecifiers().type);
+                    if (type.kind === 'array') params.push({ kind: 'pointer', to: type.of });
+                    else if (type.kind === 'function') params.push({ kind: 'pointer', to: type });
+                    else params.push(type);
+                }
+                if (this.isValue(',')) { this.pos++; continue; }
+                this.expect(')');
+                return params;
+            }
+        } catch (error) {
+            if (!(error instanceof ParseError)) throw error;
+            this.pos = start;
+            this.skipBalanced('(', ')');
+            return null;
+        }
+    }
+
+    // Distinguishes '(*name)' / '(name)' declarators from a function parameter list.
+    isNestedDeclarator() {
+        const next = this.peek(1);
+        if (!next) return false;
+        if (next.value === '*' || next.value === '(' || next.value === '__attribute__') return true;
+        return next.type === 'ident' && this.typedefs[next.value] === undefined && !BASE_KEYWORDS.has(next.value)
+            && !QUALIFIER_KEYWORDS.has(next.value) && next.value !== 'struct' && next.value !== 'union' && next.value !== 'enum';
+    }
+
+    evaluate(tokens, token) {
+        try {
+            return evaluateExpression(tokens, {
+                identifier: (name) => this.enumConstants[name],
+                sizeof: (typeTokens) => this.sizeofTokens(typeTokens),
+            });
+        } catch (error) {
+            this.warn(token || tokens[0], `Could not evaluate '${tokens.map(t => t.value).join(' ')}': ${error.message}`);
+            return 1;
+        }
+    }
+
+    sizeofTokens(typeTokens) {
+        const sub = new HeaderParser(typeTokens);
+        sub.records = this.records;
+        sub.typedefs = this.typedefs;
+        sub.enumConstants = this.enumConstants;
+        const { type } = sub.parseSpecifiers();
+        const { type: full } = sub.parseDeclarator(type);
+        return new Layout(this.records, this.typedefs).sizeOf(full);
+    }
+}
+
+// Replaces types that were unknown at their point of use with the typedef of the same name.
+function resolveLateTypedefs(type, typedefs, depth = 0) {
+    if (depth > 32) return type;
+    switch (type.kind) {
+        case 'unresolved': {
+            const target = typedefs[type.name];
+            return target && target.kind !== 'unresolved' ? { ...target, alias: type.name } : type;
+        }
+        case 'pointer': return { ...type, to: resolveLateTypedefs(type.to, typedefs, depth + 1) };
+        case 'array': return { ...type, of: resolveLateTypedefs(type.of, typedefs, depth + 1) };
+        case 'function': return {
+            ...type,
+            returns: resolveLateTypedefs(type.returns, typedefs, depth + 1),
+            params: type.params && type.params.map(param => resolveLateTypedefs(param, typedefs, depth + 1)),
+        };
+    }
+    return type;
+}
+
+function substitutePlaceholder(type, replacement) {
+    if (type.kind === 'placeholder') return replacement;
+    if (type.kind === 'pointer') return { ...type, to: substitutePlaceholder(type.to, replacement) };
+    if (type.kind === 'array') return { ...type, of: substitutePlaceholder(type.of, replacement) };
+    if (type.kind === 'function') return { ...type, returns: substitutePlaceholder(type.returns, replacement) };
+    return type;
+}
+
+// --- Layout ---
+
+// Computes sizes, alignments and member offsets. Structs are laid out in declaration
+// order with each member aligned to its natural alignment (capped by #pragma pack,
+// raised by __attribute__((aligned))). Bitfields are allocated from the most
+// significant bit of a storage unit of their declared type, starting a new unit when
+// a field would straddle one, as Metrowerks does on big-endian PowerPC.
+class Layout {
+    constructor(records, typedefs = {}) {
+        this.records = records;
+        this.typedefs = typedefs;
+        this.inProgress = new Set();
+    }
+
+    sizeOf(type) { return this.sizeAlign(type).size; }
+
+    sizeAlign(type) {
+        switch (type.kind) {
+            case 'scalar': return { size: type.size, align: type.align };
+            case 'pointer': return { size: POINTER_SIZE, align: POINTER_SIZE };
+            case 'enum': return { size: ENUM_SIZE, align: ENUM_SIZE };
+            case 'array': {
+                const element = this.sizeAlign(type.of);
+                return { size: element.size * (type.length || 0), align: element.align };
+            }
+            case 'record': {
+                const record = this.records[type.name];
+                if (!record || !record.complete) return { size: 0, align: 1, incomplete: true };
+                this.layoutRecord(record);
+                return { size: record.size, align: record.align };
+            }
+            case 'unresolved': {
+                const target = this.typedefs[type.name];
+                if (target && target.kind !== 'unresolved') return this.sizeAlign(target);
+                return { size: 4, align: 4, unresolved: true };
+            }
+            default: return { size: 0, align: 1 };
+        }
+    }
+
+    layoutRecord(record) {
+        if (record.size !== undefined) return;
+        if (this.inProgress.has(record.name)) { record.size = 0; record.align = 1; return; }
+        this.inProgress.add(record.name);
+
+        const isUnion = record.kind === 'union';
+        let bitPos = 0, maxAlign = 1, unionSize = 0;
+        for (const member of record.members) {
+            const natural = this.sizeAlign(member.type);
+            let align = Math.max(natural.align, member.alignAttr || 0);
+            if (record.pack) align = Math.min(align, record.pack);
+            maxAlign = Math.max(maxAlign, align);
+            member.size = natural.size;
+            member.align = align;
+            if (natural.unresolved) member.unresolved = true;
+
+            if (member.bitWidth !== undefined) {
+                const unitBits = natural.size * 8;
+                if (isUnion) {
+                    member.offset = 0;
+                    member.bitOffset = 0;
+                    unionSize = Math.max(unionSize, natural.size);
+                    continue;
+                }
+                if (member.bitWidth === 0 || unitBits === 0) {
+                    bitPos = alignUp(bitPos, unitBits || 8);
+                    continue;
+                }
+                const unitStart = Math.floor(bitPos / unitBits) * unitBits;
+                if (bitPos + member.bitWidth > unitStart + unitBits) bitPos = unitStart + unitBits;
+                const storageStart = Math.floor(bitPos / unitBits) * unitBits;
+                member.offset = storageStart / 8;
+                member.bitOffset = bitPos - storageStart;
+                bitPos += member.bitWidth;
+                continue;
+            }
+
+            if (isUnion) {
+                member.offset = 0;
+                unionSize = Math.max(unionSize, natural.size);
+            } else {
+                const offset = alignUp(Math.ceil(bitPos / 8), align);
+                member.offset = offset;
+                bitPos = (offset + natural.size) * 8;
+            }
+        }
+
+        const align = Math.max(maxAlign, record.alignAttr || 0);
+        const rawSize = isUnion ? unionSize : Math.ceil(bitPos / 8);
+        record.align = align;
+        record.size = alignUp(rawSize, align);
+        this.inProgress.delete(record.name);
+    }
+}
+
+// --- Public API ---
+
+function findHeaderFiles(dir, allFiles = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) findHeaderFiles(fullPath, allFiles);
+        else if (entry.name.endsWith('.h')) allFiles.push(fullPath);
+    });
+    return allFiles;
+}
+
+// Include search order used by the melee build for headers under 'src'.
+function defaultIncludeDirs(srcDir) {
+    return [srcDir, ...['melee', 'MSL', 'Runtime', 'sysdolphin', 'dolphin'].map(dir => path.join(srcDir, dir))]
+        .filter(dir => fs.existsSync(dir));
+}
+
+// Preprocesses and parses `files` into plain, JSON-serializable declarations, each
+// tagged with the header that declared it:
+//   { records, typedefs: { [name]: { type, file } }, functions, enumConstants: { [name]: { value, file } },
+//     staticAsserts, diagnostics, includes: { [file]: [included files] } }
+// Struct layout is not computed here; see buildDatabase.
+function collectDeclarations(files, { includeDirs = [], defines = {} } = {}) {
+    const preprocessor = new Preprocessor({ includeDirs, defines, preserve: ['STATIC_ASSERT'] });
+    files.forEach(file => preprocessor.processFile(file));
+    const parser = new HeaderParser(preprocessor.output).parse();
+
+    const withOrigins = (values, origins, key) => Object.fromEntries(Object.entries(values).map(([name, value]) => [name, { [key]: value, file: origins[name] }]));
+    const records = {};
+    for (const record of Object.values(parser.records)) {
+        const { size, align, ...declaration } = record; // drop layouts computed for sizeof() while parsing
+        records[record.name] = { ...declaration, members: record.members.map(({ offset, size, align, bitOffset, unresolved, ...member }) => member) };
+    }
+    return {
+        records,
+        typedefs: withOrigins(parser.typedefs, parser.origins.typedefs, 'type'),
+        functions: parser.functions,
+        enumConstants: withOrigins(parser.enumConstants, parser.origins.enumConstants, 'value'),
+        staticAsserts: parser.staticAsserts.map(({ tokens, file, line }) => ({ tokens: tokens.map(({ type, value }) => ({ type, value })), file, line })),
+        diagnostics: [...preprocessor.diagnostics, ...parser.diagnostics],
+        includes: preprocessor.includes,
+    };
+}
+
+// Lays out the records in a set of declarations and returns the type database:
+//   { structs: { [name]: { name, kind, size, align, file, line, members } }, typedefs, functions,
+//     enumConstants, staticAsserts, diagnostics }
+// Each member is { name, type, typeInfo, offset, size, align, bitOffset?, bitWidth? }, where
+// `type` is the C spelling and `typeInfo` the resolved type descriptor. The declarations
+// are modified in place.
+function buildDatabase(declarations) {
+    const typedefs = Object.fromEntries(Object.entries(declarations.typedefs).map(([name, entry]) => [name, entry.type]));
+    const enumConstants = Object.fromEntries(Object.entries(declarations.enumConstants).map(([name, entry]) => [name, entry.value]));
+    const { records, functions } = declarations;
+
+    for (const name of Object.keys(typedefs)) typedefs[name] = resolveLateTypedefs(typedefs[name], typedefs);
+    for (const fn of Object.values(functions)) {
+        fn.returns = resolveLateTypedefs(fn.returns, typedefs);
+        if (fn.params) fn.params = fn.params.map(param => resolveLateTypedefs(param, typedefs));
+    }
+    for (const record of Object.values(records)) {
+        record.members.forEach(member => { member.type = resolveLateTypedefs(member.type, typedefs); });
+    }
+
+    const layout = new Layout(records, typedefs);
+    const diagnostics = [...declarations.diagnostics];
+    const structs = {};
+    for (const record of Object.values(records)) {
+        if (!record.complete) continue;
+        layout.layoutRecord(record);
+        record.members.filter(member => member.unresolved).forEach(member => {
+            diagnostics.push({ file: record.file, line: record.line, message: `${record.name}.${member.name}: unknown type '${typeToString(member.type)}'` });
+        });
+        structs[record.name] = {
+            name: record.name,
+            kind: record.kind,
+            size: record.size,
+            align: record.align,
+            file: record.file,
+            line: record.line,
+            members: record.members.map(member => {
+                const entry = { name: member.name, type: typeToString(member.type), typeInfo: member.type, offset: member.offset, size: member.size, align: member.align };
+                if (member.bitWidth !== undefined) { entry.bitWidth = member.bitWidth; entry.bitOffset = member.bitOffset; }
+                if (member.unresolved) entry.unresolved = true;
+                return entry;
+            }),
+        };
+    }
+
+    // STATIC_ASSERT(sizeof(T) == N) is evaluated against the final layout.
+    const evaluator = new HeaderParser([]);
+    Object.assign(evaluator, { records, typedefs, enumConstants });
+    const staticAsserts = declarations.staticAsserts.map(({ tokens, file, line }) => ({
+        file,
+        line,
+        expression: tokens.map(t => t.value).join(' '),
+        passed: Boolean(evaluator.evaluate(tokens)),
+        ...sizeAssertion(evaluator, tokens),
+    }));
+
+    return {
+        structs,
+        typedefs,
+        functions,
+        enumConstants,
+        staticAsserts,
+        diagnostics: [...diagnostics, ...evaluator.diagnostics],
+    };
+}
+
+// For an assertion of the form 'sizeof(T) == N' where T is a struct or union, returns
+// { structName, actual, expected }; otherwise an empty object.
+function sizeAssertion(evaluator, tokens) {
+    if (!tokens[0] || tokens[0].value !== 'sizeof' || !tokens[1] || tokens[1].value !== '(') return {};
+    let depth = 0, close = -1;
+    for (let i = 1; i < tokens.length && close === -1; i++) {
+        if (tokens[i].value === '(') depth++;
+        else if (tokens[i].value === ')' && --depth === 0) close = i;
+    }
+    if (close === -1 || !tokens[close + 1] || tokens[close + 1].value !== '==') return {};
+
+    const sub = new HeaderParser(tokens.slice(2, close));
+    Object.assign(sub, { records: evaluator.records, typedefs: evaluator.typedefs, enumConstants: evaluator.enumConstants });
+    try {
+        const { type } = sub.parseDeclarator(sub.parseSpecifiers().type);
+        if (type.kind !== 'record') return {};
+        return {
+            structName: type.name,
+            actual: new Layout(evaluator.records, evaluator.typedefs).sizeOf(type),
+            expected: evaluator.evaluate(tokens.slice(close + 2)),
+        };
+    } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        return {};
+    }
+}
+
+function parseHeaders(files, options) {
+    return buildDatabase(collectDeclarations(files, options));
+}
+
+function parseCHeadersForStructs(includeDir) {
+    return parseHeaders(findHeaderFiles(includeDir), { includeDirs: defaultIncludeDirs(includeDir) });
+}
+
+// Parses one function declaration or definition header, e.g. a signature taken from a
+// .c file, against the typedefs of a database from parseHeaders. Macros are not expanded.
+// Returns { name, returns, params } or null if the text is not a function declarator.
+function parsePrototype(text, db) {
+    const parser = new HeaderParser(tokenize(text));
+    parser.typedefs = db.typedefs;
+    parser.enumConstants = db.enumConstants;
+    try {
+        const { type } = parser.parseSpecifiers();
+        const declarator = parser.parseDeclarator(type);
+        if (!declarator.name || declarator.type.kind !== 'function') return null;
+        const resolved = resolveLateTypedefs(declarator.type, db.typedefs);
+        return { name: declarator.name, returns: resolved.returns, params: resolved.params };
+    } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        return null;
+    }
+}
+
+module.exports = {
+    parseCHeadersForStructs,
+    parseHeaders,
+    collectDeclarations,
+    buildDatabase,
+    parsePrototype,
+    findHeaderFiles,
+    defaultIncludeDirs,
+    typeToString,
+};
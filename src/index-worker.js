@@ -0,0 +1,207 @@
+// src/index-worker.js - Worker thread that indexes a project's asm, C sources, headers and objects
+
+const path = require('path');
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { parseAsm } = require('./asm-index.js');
+const { scanSource, definedFunctions } = require('./function-status.js');
+const { writeCache } = require('./struct-cache.js');
+const { watchTree } = require('./fs-watch.js');
+const { listTopLevelItems } = require('./c-functions.js');
+
+// Bump whenever the shape of an entry's data changes.
+const CACHE_VERSION = 3;
+const SAVE_DELAY_MS = 5000;
+
+const { meleePath, cacheFile } = workerData;
+const buildDir = path.join(meleePath, 'build', 'GALE01');
+const srcDir = path.join(meleePath, 'src');
+
+// Names of the functions a header declares, and the headers it includes (without the
+// quotes or angle brackets).
+function scanHeader(content) {
+    const items = listTopLevelItems(content);
+    return {
+        functions: [...new Set(items.filter(item => item.kind === 'prototype').map(item => item.name))],
+        includes: items.filter(item => item.kind === 'include').map(item => item.name.slice(1, -1)),
+    };
+}
+
+// What is indexed under each directory, and how a file's entry data is made.
+const KINDS = [
+    { kind: 'asm', root: path.join(buildDir, 'asm', 'melee'), extension: '.s', read: (file) => parseAsm(fs.readFileSync(file, 'utf-8')) },
+    {
+        kind: 'object', root: path.join(buildDir, 'src'), extension: '.o', read: (file) => {
+            const names = definedFunctions(file);
+            return { functions: names ? [...names] : null };
+        },
+    },
+    {
+        kind: 'source', root: srcDir, extension: '.c', read: (file) => {
+            const content = fs.readFileSync(file, 'utf-8');
+            const { defined, nonmatching } = scanSource(content);
+            const includes = [...content.matchAll(/#include\s*(<[^>]+>|"[^"]+")/g)].map(match => match[0]);
+            return { defined: [...defined], nonmatching: [...nonmatching], includes };
+        },
+    },
+    { kind: 'header', root: srcDir, extension: '.h', read: (file) => scanHeader(fs.readFileSync(file, 'utf-8')) },
+];
+
+const kindOf = (file) => KINDS.find(({ root, extension }) => file.endsWith(extension) && file.startsWith(root + path.sep));
+
+// --- Index State ---
+
+let entries = {}; // absolute path -> { kind, mtimeMs, size, data }
+let saveTimer = null;
+
+function readCache() {
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+        return cache.version === CACHE_VERSION && cache.meleePath === meleePath ? cache.entries : {};
+    } catch (e) {
+        return {}; // Missing or corrupt caches are rebuilt from scratch.
+    }
+}
+
+const saveCache = () => writeCache(cacheFile, { version: CACHE_VERSION, meleePath, entries });
+
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => { saveTimer = null; saveCache(); }, SAVE_DELAY_MS);
+}
+
+// Every indexable file under `dir`.
+function walk(dir, files = []) {
+    let dirents = [];
+    try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return files; }
+    for (const dirent of dirents) {
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) walk(fullPath, files);
+        else if (kindOf(fullPath)) files.push(fullPath);
+    }
+    return files;
+}
+
+// Re-reads `file` unless its mtime and size match `previous`. Returns the new entry, the
+// previous one when it is unchanged, or null when the file is gone or unreadable.
+function indexFile(file, previous) {
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile()) return null;
+    if (previous && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) return previous;
+    try {
+        return { kind: kindOf(file).kind, mtimeMs: stat.mtimeMs, size: stat.size, data: kindOf(file).read(file) };
+    } catch (e) {
+        return null; // Half-written files are picked up again on their next change.
+    }
+}
+
+// The entries as posted to the main thread: { path: { kind, data } }.
+const toUpdate = (files) => Object.fromEntries(files.map(file => [file, { kind: entries[file].kind, data: entries[file].data }]));
+
+// --- Building & Watching ---
+
+function buildIndex() {
+    const cached = readCache();
+    const files = [...new Set(KINDS.map(({ root }) => root))].flatMap(root => walk(root));
+    let parsed = 0;
+    entries = {};
+    for (const file of files) {
+        const entry = indexFile(file, cached[file]);
+        if (!entry) continue;
+        if (entry !== cached[file]) parsed++;
+        entries[file] = entry;
+    }
+    if (parsed > 0 || Object.keys(cached).length !== Object.keys(entries).length) scheduleSave();
+    parentPort.postMessage({ type: 'update', full: true, entries: toUpdate(Object.keys(entries)), removed: [], parsed, total: Object.keys(entries).length });
+}
+
+// Applies a batch of changed paths from the watcher. A path may be a file, a directory
+// that appeared (its files are indexed) or one that vanished (its entries are dropped).
+function applyChanges(paths) {
+    const changed = [], removed = [];
+    const update = (file) => {
+        const entry = indexFile(file, entries[file]);
+        if (entry === entries[file]) return;
+        if (entry) { entries[file] = entry; changed.push(file); }
+        else if (entries[file]) { delete entries[file]; removed.push(file); }
+    };
+    for (const changedPath of paths) {
+        const stat = fs.statSync(changedPath, { throwIfNoEntry: false });
+        if (stat && stat.isDirectory()) walk(changedPath).forEach(update);
+        else if (kindOf(changedPath)) update(changedPath);
+        else if (!stat) Object.keys(entries).filter(file => file.startsWith(changedPath + path.sep)).forEach(update);
+    }
+    if (changed.length === 0 && removed.length === 0) return;
+    scheduleSave();
+    parentPort.postMessage({ type: 'update', full: false, entries: toUpdate(changed), removed, parsed: changed.length, total: Object.keys(entries).length });
+}
+
+// Paths without an extension may be directories, which matter when they appear or vanish.
+const relevant = (file) => Boolean(kindOf(file)) || !path.extname(file);
+const watchers = [];
+
+function onChange(paths) {
+    try {
+        applyChanges(paths);
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', error: error.message });
+    }
+}
+
+// Watches one indexed build directory, and nothing else under the build folder (obj,
+// orig and the rest would only use up inotify watches). Until a build creates the
+// directory, its nearest existing parent is watched on its own for it to appear.
+function watchBuildRoot(root) {
+    const handle = { watcher: null, close() { if (this.watcher) this.watcher.close(); } };
+    const start = () => {
+        if (fs.existsSync(root)) {
+            handle.watcher = watchTree(root, { filter: relevant, debounceMs: 500, onChange });
+            return true;
+        }
+        let parent = path.dirname(root);
+        while (!fs.existsSync(parent) && parent.startsWith(meleePath + path.sep)) parent = path.dirname(parent);
+        let waiting = true, watcher = null;
+        const restart = () => {
+            if (!waiting) return;
+            waiting = false;
+            watcher.close();
+            if (start()) onChange([root]);
+        };
+        try {
+            watcher = fs.watch(parent, restart);
+            watcher.on('error', () => watcher.close());
+            handle.watcher = watcher;
+        } catch (e) {
+            return false; // The melee folder itself is gone.
+        }
+        // A directory created before the watcher was in place sends no event.
+        if (fs.existsSync(path.join(parent, path.relative(parent, root).split(path.sep)[0]))) restart();
+        return false;
+    };
+    start();
+    return handle;
+}
+
+try {
+    // Watching starts first so nothing written during the initial build is missed; the
+    // events are only handled once it is done. 'src' is watched by the main process,
+    // which sends its changes here.
+    [...new Set(KINDS.map(({ root }) => root))].filter(root => root !== srcDir).forEach(root => watchers.push(watchBuildRoot(root)));
+    buildIndex();
+} catch (error) {
+    parentPort.postMessage({ type: 'error', error: error.message });
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'changes') {
+        onChange(message.paths);
+        return;
+    }
+    if (message.type !== 'stop') return;
+    watchers.forEach(watcher => watcher.close());
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveCache();
+    }
+    parentPort.close();
+});
@@ -0,0 +1,184 @@
+// src/ipc-validation.js - Payload schemas and path sandboxing for every IPC channel
+
+const path = require('path');
+const fs = require('fs');
+
+class IpcValidationError extends Error {
+    // type is one of: 'INVALID_PAYLOAD', 'PROJECT_NOT_SET', 'PATH_OUTSIDE_PROJECT', 'INVALID_SYMBOL'
+    constructor(type, message) {
+        super(message);
+        this.name = 'IpcValidationError';
+        this.type = type;
+    }
+
+    toResponse() {
+        return { success: false, error: this.message, errorType: this.type };
+    }
+}
+
+// --- Paths & Symbols ---
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Symbols as they appear in the melee asm, e.g. 'ftCo_800C0694', 'lbl_804D5A50' or '@1234'.
+const SYMBOL_REGEX = /^[A-Za-z_@$][\w@$.]{0,255}$/;
+
+function validateSymbol(name) {
+    if (typeof name !== 'string' || !SYMBOL_REGEX.test(name)) {
+        throw new IpcValidationError('INVALID_SYMBOL', `Invalid symbol name: ${String(name).slice(0, 64)}`);
+    }
+    return name;
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`)) return false;
+    return !path.isAbsolute(relative);
+}
+
+// Resolves path segments against the project folder and rejects anything that lands
+// outside it, including through a symlink that already exists on disk.
+function resolveInsideProject(projectPath, ...segments) {
+    const root = path.resolve(projectPath);
+    const target = path.resolve(root, ...segments);
+    if (!isInside(root, target)) {
+        throw new IpcValidationError('PATH_OUTSIDE_PROJECT', `Path escapes the project folder: ${path.join(...segments)}`);
+    }
+    if (fs.existsSync(target) && fs.existsSync(root) && !isInside(fs.realpathSync(root), fs.realpathSync(target))) {
+        throw new IpcValidationError('PATH_OUTSIDE_PROJECT', `Path resolves outside the project folder: ${path.join(...segments)}`);
+    }
+    return target;
+}
+
+// --- Field Types ---
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const MAX_CODE_LENGTH = 1024 * 1024;
+// The pages under src/ the window may be navigated to.
+const NAVIGABLE_PAGES = ['index', 'objdiff', 'refactor'];
+
+function isWebUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Each type checks a single field and returns its normalized value. `context.projectPath`
+// is the project folder the user configured, which the renderer may not override.
+const FIELD_TYPES = {
+    string: (value) => typeof value === 'string',
+    boolean: (value) => typeof value === 'boolean',
+    number: (value) => Number.isFinite(value),
+    object: isPlainObject,
+    code: (value) => typeof value === 'string' && value.length <= MAX_CODE_LENGTH,
+    absolutePath: (value) => typeof value === 'string' && path.isAbsolute(value),
+    projectPath: (value, context) => {
+        if (typeof value !== 'string') return false;
+        if (!context.projectPath) throw new IpcValidationError('PROJECT_NOT_SET', 'Project path is not set.');
+        if (path.resolve(value) !== path.resolve(context.projectPath)) {
+            throw new IpcValidationError('PATH_OUTSIDE_PROJECT', 'Requests must target the configured project folder.');
+        }
+        return true;
+    },
+    // A .s file relative to build/GALE01/asm/melee, e.g. 'lb/lbcollision.s'.
+    asmPath: (value) => {
+        if (typeof value !== 'string' || !/^[\w/.-]+\.s$/.test(value)) return false;
+        if (path.isAbsolute(value) || value.split('/').includes('..')) {
+            throw new IpcValidationError('PATH_OUTSIDE_PROJECT', `Path escapes the project folder: ${value}`);
+        }
+        return true;
+    },
+    // An objdiff unit name, e.g. 'main/melee/lb/lbcollision'.
+    unitName: (value) => typeof value === 'string' && /^[\w/.-]+$/.test(value) && !value.split('/').includes('..'),
+    symbol: (value) => validateSymbol(value) !== undefined,
+    pageName: (value) => NAVIGABLE_PAGES.includes(value),
+    webUrl: (value) => typeof value === 'string' && isWebUrl(value),
+};
+
+// --- Channel Schemas ---
+
+// A schema is either a single field type (for scalar payloads) or an object mapping
+// payload keys to field types. A trailing '?' marks a field as optional.
+const SCHEMAS = {
+    'dialog:openFile': 'object?',
+    'project:run-setup': { projectPath: 'projectPath', dolPath: 'absolutePath' },
+    'exec:command': { operation: 'string', args: 'object?' },
+    'jobs:list': null,
+    'jobs:output': { id: 'number' },
+    'jobs:cancel': { id: 'number' },
+    'settings:get': null,
+    'settings:set': { git: 'string?', python: 'string?', ninja: 'string?', objdiff: 'string?' },
+    'paths:get': null,
+    'paths:selectProjectFolder': null,
+    'paths:set': { dolPath: 'absolutePath?' },
+    'structs:load': 'projectPath',
+    'structs:lookup': { offset: 'number', structName: 'string?' },
+    'structs:list': null,
+    'structs:describe': 'string',
+    'structs:inferRegisters': { projectPath: 'projectPath', relativePath: 'asmPath', functionName: 'symbol' },
+    'objdiff:run-report': null,
+    'objdiff:diff-function': { unitName: 'unitName', functionName: 'symbol' },
+    'ai:getRefactoringSuggestion': { targetAssembly: 'code', currentCCode: 'code' },
+    'files:getAsmFiles': { projectPath: 'projectPath', hideCompleted: 'boolean?' },
+    'files:analyze': { projectPath: 'projectPath', relativePath: 'asmPath' },
+    'files:recommend': { projectPath: 'projectPath', limit: 'number?' },
+    'symbols:list': { projectPath: 'projectPath' },
+    'files:getFunctionAsm': { projectPath: 'projectPath', relativePath: 'asmPath', functionName: 'symbol' },
+    'files:getFunctionInfo': { projectPath: 'projectPath', functionName: 'symbol' },
+    'files:getSymbolDefinition': { projectPath: 'projectPath', symbol: 'symbol' },
+    'callgraph:neighborhood': { projectPath: 'projectPath', functionName: 'symbol', depth: 'number?', unmatchedOnly: 'boolean?' },
+    'files:getFunctionCode': { projectPath: 'projectPath', relativePath: 'asmPath', functionName: 'symbol' },
+    'files:previewInjection': { projectPath: 'projectPath', relativePath: 'asmPath', code: 'code' },
+    'files:applyInjection': { projectPath: 'projectPath', relativePath: 'asmPath', code: 'code', accepted: 'object' },
+    'files:revertChanges': { projectPath: 'projectPath', relativePath: 'asmPath' },
+    'build:run': { projectPath: 'projectPath', relativePath: 'asmPath?' },
+    'history:list': { projectPath: 'projectPath' },
+    'history:diff': { projectPath: 'projectPath', id: 'number' },
+    'history:undo': { projectPath: 'projectPath', id: 'number' },
+    'history:redo': { projectPath: 'projectPath', id: 'number' },
+    'refactor:verify': { projectPath: 'projectPath', relativePath: 'asmPath', functionName: 'symbol', newCCode: 'code' },
+    'navigate': 'pageName',
+    'shell:openExternal': 'webUrl',
+};
+
+function checkField(spec, value, label, context) {
+    const optional = spec.endsWith('?');
+    const typeName = optional ? spec.slice(0, -1) : spec;
+    if (value === undefined || value === null) {
+        if (optional) return;
+        throw new IpcValidationError('INVALID_PAYLOAD', `Missing required field: ${label}`);
+    }
+    if (!FIELD_TYPES[typeName](value, context)) {
+        throw new IpcValidationError('INVALID_PAYLOAD', `Invalid value for ${label}: expected ${typeName}`);
+    }
+}
+
+function validateIpcPayload(channel, payload, context = {}) {
+    if (!Object.prototype.hasOwnProperty.call(SCHEMAS, channel)) {
+        throw new IpcValidationError('INVALID_PAYLOAD', `No schema registered for channel: ${channel}`);
+    }
+    const schema = SCHEMAS[channel];
+    if (schema === null) return payload;
+    if (typeof schema === 'string') {
+        checkField(schema, payload, channel, context);
+        return payload;
+    }
+
+    if (!isPlainObject(payload)) throw new IpcValidationError('INVALID_PAYLOAD', `Expected an object payload for ${channel}.`);
+    const unknownKey = Object.keys(payload).find(key => !Object.prototype.hasOwnProperty.call(schema, key));
+    if (unknownKey) throw new IpcValidationError('INVALID_PAYLOAD', `Unexpected field for ${channel}: ${unknownKey}`);
+    for (const [key, spec] of Object.entries(schema)) {
+        checkField(spec, payload[key], key, context);
+    }
+    return payload;
+}
+
+module.exports = {
+    IpcValidationError,
+    validateIpcPayload,
+    resolveInsideProject,
+    validateSymbol,
+    escapeRegExp,
+};
@@ -0,0 +1,115 @@
+// src/job-manager.js - Runs external processes as jobs that can be queued, listed and cancelled
+
+const { spawn } = require('child_process');
+const { resolveSpawn, killProcessTree, describeCommand } = require('./platform.js');
+
+// Characters of combined output kept per job for the task list; older output is dropped.
+const MAX_OUTPUT = 256 * 1024;
+// Finished jobs kept in the list after they end.
+const MAX_FINISHED = 30;
+
+// Creates the job manager. Every process becomes a job:
+//   { id, label, lock, status, code, queuedAt, startedAt, endedAt }
+// with status 'queued', 'running', 'succeeded', 'failed' or 'cancelled'. Jobs sharing a
+// `lock` run one at a time in the order they were submitted; jobs without one start
+// straight away. `onChange(jobs)` is called with the new list whenever a job changes.
+function createJobManager({ onChange = () => {} } = {}) {
+    let nextId = 1;
+    const jobs = new Map();  // id -> job, including its process, output and completion callback
+    const locks = new Map(); // lock -> id of the running job holding it
+
+    const describe = ({ id, label, lock, status, code, queuedAt, startedAt, endedAt }) => ({ id, label, lock, status, code, queuedAt, startedAt, endedAt });
+    const list = () => [...jobs.values()].map(describe);
+    const changed = () => onChange(list());
+
+    function prune() {
+        const finished = [...jobs.values()].filter(job => job.endedAt !== null);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED)).forEach(job => jobs.delete(job.id));
+    }
+
+    function finish(job, status, result) {
+        if (job.endedAt !== null) return;
+        job.status = status;
+        job.code = result.code;
+        job.endedAt = Date.now();
+        job.child = null;
+        if (job.lock && locks.get(job.lock) === job.id) locks.delete(job.lock);
+        job.resolve({ ...result, stdout: job.stdout, stderr: job.stderr, ...(status === 'cancelled' ? { cancelled: true } : {}) });
+        prune();
+        changed();
+        startQueued();
+    }
+
+    function append(job, text, stream) {
+        job[stream] += text;
+        job.output = (job.output + text).slice(-MAX_OUTPUT);
+        job.onOutput(text, stream);
+    }
+
+    function start(job) {
+        if (job.lock) locks.set(job.lock, job.id);
+        job.status = 'running';
+        job.startedAt = Date.now();
+        let child;
+        try {
+            const spawnSpec = resolveSpawn(job.executable, job.args);
+            child = spawn(spawnSpec.command, spawnSpec.args, { ...job.options, shell: spawnSpec.shell, detached: spawnSpec.detached, windowsHide: true });
+        } catch (error) {
+            finish(job, 'failed', { code: 1, error: error.message });
+            return;
+        }
+        job.child = child;
+        child.stdout.on('data', (data) => append(job, data.toString(), 'stdout'));
+        child.stderr.on('data', (data) => append(job, data.toString(), 'stderr'));
+        child.on('close', (code) => finish(job, job.cancelled ? 'cancelled' : code === 0 ? 'succeeded' : 'failed', { code: job.cancelled ? 1 : code }));
+        child.on('error', (error) => finish(job, job.cancelled ? 'cancelled' : 'failed', { code: 1, error: error.message }));
+        changed();
+    }
+
+    function startQueued() {
+        for (const job of jobs.values()) {
+            if (job.status === 'queued' && (!job.lock || !locks.has(job.lock))) start(job);
+        }
+    }
+
+    return {
+        // Submits `executable` with `args` (spawn `options` such as cwd and env). `label`
+        // names the job in the task list and `onOutput(text, stream)` receives its output
+        // as it arrives. Returns { id, queued, result }: `queued` when the job waits for
+        // its lock, and `result` a promise of { code, stdout, stderr, error?, cancelled? }.
+        run({ executable, args = [], options = {}, label = describeCommand(executable, args), lock = null, onOutput = () => {} }) {
+            const job = {
+                id: nextId++, label, lock, status: 'queued', code: null, queuedAt: Date.now(), startedAt: null, endedAt: null,
+                executable, args, options, onOutput, child: null, cancelled: false, stdout: '', stderr: '', output: '',
+            };
+            const result = new Promise((resolve) => { job.resolve = resolve; });
+            jobs.set(job.id, job);
+            const queued = Boolean(lock && locks.has(lock));
+            if (queued) changed();
+            else start(job);
+            return { id: job.id, queued, result };
+        },
+        // Cancels a queued job, or kills a running one with every process it started.
+        // Returns false when the job is unknown or already finished.
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job || job.endedAt !== null) return false;
+            job.cancelled = true;
+            if (job.status === 'queued') finish(job, 'cancelled', { code: 1, error: 'Cancelled before it started.' });
+            else if (job.child) killProcessTree(job.child);
+            return true;
+        },
+        cancelAll() {
+            [...jobs.keys()].forEach(id => this.cancel(id));
+        },
+        list,
+        // The output a job has printed so far, or null for an unknown job.
+        output: (id) => jobs.has(id) ? jobs.get(id).output : null,
+        // The running job holding `lock`, or null.
+        holder: (lock) => locks.has(lock) ? describe(jobs.get(locks.get(lock))) : null,
+    };
+}
+
+module.exports = {
+    createJobManager,
+};
@@ -0,0 +1,121 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// --- objdiff-cli JSON Helpers ---
+
+// objdiff-cli serializes its protobuf messages with either snake_case or
+// camelCase keys depending on the release, so look up both spellings.
+function field(obj, name) {
+    if (!obj) return undefined;
+    if (obj[name] !== undefined) return obj[name];
+    return obj[name.replace(/_(\w)/g, (_, c) => c.toUpperCase())];
+}
+
+// Finds a function's diff in objdiff-cli's `diff --format json` output. The left
+// object is the target (original) and the right object is the base (our build).
+function findFunctionDiff(objectDiff, functionName) {
+    if (!objectDiff || !objectDiff.sections) return null;
+    for (const section of objectDiff.sections) {
+        const match = (section.functions || []).find(fn => fn.symbol && fn.symbol.name === functionName);
+        if (match) return match;
+    }
+    return null;
+}
+
+async function runFunctionDiff(event, { meleePath, unitName, functionName }, resolvedPaths, executeAndLog, env) {
+    const diffPath = path.join(os.tmpdir(), `objdiff-${functionName}-${Date.now()}.json`);
+    const args = ['diff', '-p', '.', '-u', unitName, '-o', diffPath, '--format', 'json', functionName];
+    const result = await executeAndLog(event, resolvedPaths.objdiff, args, { cwd: meleePath, env });
+    if (result.code !== 0 || !fs.existsSync(diffPath)) {
+        return { error: `objdiff-cli could not diff ${functionName} in ${unitName}.` };
+    }
+
+    let diff;
+    try {
+        diff = JSON.parse(fs.readFileSync(diffPath, 'utf-8'));
+    } catch (e) {
+        return { error: `Failed to parse objdiff output: ${e.message}` };
+    } finally {
+        fs.unlinkSync(diffPath);
+    }
+
+    const target = findFunctionDiff(diff.left, functionName);
+    const base = findFunctionDiff(diff.right, functionName);
+    if (!base) return { error: `${functionName} was not found in the compiled object.` };
+    return { target, base, matchPercent: field(base, 'match_percent') || 0 };
+}
+
+// --- Instruction Row Builder ---
+
+const REGISTER_REGEX = /^(r\d{1,2}|f\d{1,2}|cr\d|sp|rtoc|lr|ctr|qr\d)$/;
+const OPERAND_TOKEN_REGEX = /,\s*|\s+|\(|\)|[^\s,()]+/g;
+
+function tokenizeInstruction(formatted) {
+    return (formatted.match(OPERAND_TOKEN_REGEX) || []).map(text => ({ text, isWord: /^[^\s,()]/.test(text), diff: null }));
+}
+
+function buildSide(instructionDiff) {
+    const instruction = instructionDiff && instructionDiff.instruction;
+    if (!instruction) return null;
+    const branchTo = field(instructionDiff, 'branch_to');
+    const branchIndex = branchTo ? field(branchTo, 'instruction_index') : undefined;
+    return {
+        address: Number(instruction.address || 0),
+        tokens: tokenizeInstruction(instruction.formatted || instruction.mnemonic || ''),
+        branchTo: branchIndex !== undefined ? Number(branchIndex) : null,
+    };
+}
+
+// Compares the operand words of two aligned instructions and tags each differing
+// word as a register or immediate/offset mismatch. Branch destinations are compared
+// by the row they point to instead of their raw address.
+function markOperandDiffs(target, base) {
+    const targetWords = target.tokens.filter(t => t.isWord);
+    const baseWords = base.tokens.filter(t => t.isWord);
+    if (targetWords[0] && baseWords[0] && targetWords[0].text !== baseWords[0].text) {
+        targetWords[0].diff = baseWords[0].diff = 'opcode';
+        return 'opcode';
+    }
+
+    let kind = 'match';
+    const count = Math.max(targetWords.length, baseWords.length);
+    for (let i = 1; i < count; i++) {
+        const t = targetWords[i], b = baseWords[i];
+        const isBranchDest = i === count - 1 && target.branchTo !== null && base.branchTo !== null;
+        const differs = isBranchDest ? target.branchTo !== base.branchTo : (!t || !b || t.text !== b.text);
+        if (!differs) continue;
+        const diffKind = (t && REGISTER_REGEX.test(t.text)) || (b && REGISTER_REGEX.test(b.text)) ? 'register' : 'immediate';
+        if (t) t.diff = diffKind;
+        if (b) b.diff = diffKind;
+        kind = 'arg';
+    }
+    return kind;
+}
+
+// Builds the two-column rows for the diff view. objdiff already aligns both
+// instruction lists, so row N on the left corresponds to row N on the right.
+function buildInstructionRows(targetFunction, baseFunction) {
+    const targetInstructions = (targetFunction && targetFunction.instructions) || [];
+    const baseInstructions = (baseFunction && baseFunction.instructions) || [];
+    const rowCount = Math.max(targetInstructions.length, baseInstructions.length);
+    const rows = [];
+
+    for (let i = 0; i < rowCount; i++) {
+        const target = buildSide(targetInstructions[i]);
+        const base = buildSide(baseInstructions[i]);
+        let kind;
+        if (target && !base) kind = 'delete';
+        else if (!target && base) kind = 'insert';
+        else if (!target && !base) continue;
+        else kind = markOperandDiffs(target, base);
+        rows.push({ index: i, kind, target, base });
+    }
+    return rows;
+}
+
+module.exports = {
+    field,
+    runFunctionDiff,
+    buildInstructionRows,
+};
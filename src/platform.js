@@ -0,0 +1,75 @@
+// src/platform.js - Per-OS details for running and locating external tools
+
+const { execFile } = require('child_process');
+
+const isWindows = process.platform === 'win32';
+
+// Appends the platform's executable extension, e.g. 'objdiff-cli' -> 'objdiff-cli.exe' on Windows.
+function executableName(name) {
+    return isWindows ? `${name}.exe` : name;
+}
+
+// Decides how to spawn an executable with an argv array. Executables are always run
+// directly, without a shell. The exception is Windows batch scripts (e.g. gcloud.cmd),
+// which can only be started through cmd.exe, so their arguments are restricted to
+// characters cmd.exe does not interpret.
+function resolveSpawn(executable, args = []) {
+    if (isWindows && /\.(cmd|bat)$/i.test(executable)) {
+        const unsafeArg = args.find(arg => /[&|<>^%!"\r\n]/.test(arg));
+        if (unsafeArg !== undefined) throw new Error(`Refusing to pass unsafe argument to ${executable}: ${unsafeArg}`);
+        return { command: `"${executable}"`, args: args.map(arg => `"${arg}"`), shell: true, detached: false };
+    }
+    // Elsewhere the child leads its own process group, so killProcessTree can end
+    // everything it starts (ninja's compilers, wibo) along with it.
+    return { command: executable, args, shell: false, detached: !isWindows };
+}
+
+// Ends a child spawned as resolveSpawn describes and every process it started. Windows'
+// taskkill walks the tree itself; elsewhere the child's process group is sent SIGTERM,
+// then SIGKILL after `graceMs` for anything still running.
+function killProcessTree(child, graceMs = 3000) {
+    if (!child.pid) return;
+    if (isWindows) {
+        execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true }, () => {});
+        return;
+    }
+    const signal = (name) => {
+        try { process.kill(-child.pid, name); } catch (e) { /* The group is already gone. */ }
+    };
+    signal('SIGTERM');
+    setTimeout(() => signal('SIGKILL'), graceMs).unref();
+}
+
+// Human-readable command line for the output console. Never executed.
+function describeCommand(executable, args = []) {
+    return [executable, ...args].map(part => /\s/.test(part) ? `"${part}"` : part).join(' ');
+}
+
+// Names to try, in order, when searching PATH for a Python interpreter.
+function pythonCandidates() {
+    return isWindows ? ['py', 'python'] : ['python3', 'python'];
+}
+
+// Release asset name for the objdiff-cli binary matching this OS and CPU architecture.
+function getObjdiffAssetName() {
+    const platformNames = { win32: 'windows', darwin: 'macos', linux: 'linux' };
+    const archNames = {
+        win32: { x64: 'x86_64', arm64: 'arm64' },
+        darwin: { x64: 'x86_64', arm64: 'arm64' },
+        linux: { x64: 'x86_64', arm64: 'aarch64' },
+    };
+    const os = platformNames[process.platform];
+    const arch = archNames[process.platform] && archNames[process.platform][process.arch];
+    if (!os || !arch) return null;
+    return executableName(`objdiff-cli-${os}-${arch}`);
+}
+
+module.exports = {
+    isWindows,
+    executableName,
+    resolveSpawn,
+    killProcessTree,
+    describeCommand,
+    pythonCandidates,
+    getObjdiffAssetName,
+};
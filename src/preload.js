@@ -3,11 +3,12 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
+  platform: process.platform,
+
   // --- Navigation ---
-  navigate: (page) => ipcRenderer.send('navigate', page),
+  navigate: (page) => ipcRenderer.invoke('navigate', page),
 
   // --- Dialogs ---
-  selectDirectory: () => ipcRenderer.invoke('dialog:openDirectory'),
   selectFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
 
   // --- Settings ---
@@ -17,10 +18,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // --- Project Paths ---
   getPaths: () => ipcRenderer.invoke('paths:get'),
   setPaths: (paths) => ipcRenderer.invoke('paths:set', paths),
+  selectProjectFolder: () => ipcRenderer.invoke('paths:selectProjectFolder'),
 
   // --- Project Setup & Commands ---
   runProjectSetup: (args) => ipcRenderer.invoke('project:run-setup', args),
-  execCommand: (command, cwd, env) => ipcRenderer.invoke('exec:command', { command, cwd, env }),
+  execCommand: (operation, args) => ipcRenderer.invoke('exec:command', { operation, args }),
+
+  // --- Jobs ---
+  jobs: {
+    list: () => ipcRenderer.invoke('jobs:list'),
+    output: (id) => ipcRenderer.invoke('jobs:output', { id }),
+    cancel: (id) => ipcRenderer.invoke('jobs:cancel', { id }),
+    onChanged: (callback) => {
+      const handler = (_event, value) => callback(value);
+      ipcRenderer.on('jobs:changed', handler);
+      return () => ipcRenderer.removeListener('jobs:changed', handler);
+    },
+  },
 
   // --- Logging from Main Process ---
   onLogMessage: (callback) => {
@@ -35,20 +49,59 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   
   // --- External Links ---
-  openExternal: (url) => ipcRenderer.send('shell:openExternal', url),
+  openExternal: (url) => ipcRenderer.invoke('shell:openExternal', url),
 
   // --- Decompilation & Analysis ---
   structs: {
     load: (projectPath) => ipcRenderer.invoke('structs:load', projectPath),
-    lookup: (offset) => ipcRenderer.invoke('structs:lookup', offset),
+    lookup: (offset, structName) => ipcRenderer.invoke('structs:lookup', { offset, structName }),
+    list: () => ipcRenderer.invoke('structs:list'),
+    describe: (name) => ipcRenderer.invoke('structs:describe', name),
+    inferRegisters: (args) => ipcRenderer.invoke('structs:inferRegisters', args),
+    onUpdated: (callback) => {
+      const handler = (_event, value) => callback(value);
+      ipcRenderer.on('structs:updated', handler);
+      return () => ipcRenderer.removeListener('structs:updated', handler);
+    },
   },
   getAsmFiles: (args) => ipcRenderer.invoke('files:getAsmFiles', args),
   analyzeFiles: (args) => ipcRenderer.invoke('files:analyze', args),
+  recommendFunctions: (args) => ipcRenderer.invoke('files:recommend', args),
   getFunctionCode: (args) => ipcRenderer.invoke('files:getFunctionCode', args),
   getFunctionAsm: (args) => ipcRenderer.invoke('files:getFunctionAsm', args),
-  injectCode: (args) => ipcRenderer.invoke('files:injectCode', args),
+  getFunctionInfo: (args) => ipcRenderer.invoke('files:getFunctionInfo', args),
+  getSymbolDefinition: (args) => ipcRenderer.invoke('files:getSymbolDefinition', args),
+  listSymbols: (args) => ipcRenderer.invoke('symbols:list', args),
+  onIndexUpdated: (callback) => {
+    const handler = (_event, value) => callback(value);
+    ipcRenderer.on('files:indexUpdated', handler);
+    return () => ipcRenderer.removeListener('files:indexUpdated', handler);
+  },
+  callGraph: {
+    neighborhood: (args) => ipcRenderer.invoke('callgraph:neighborhood', args),
+  },
+  previewInjection: (args) => ipcRenderer.invoke('files:previewInjection', args),
+  applyInjection: (args) => ipcRenderer.invoke('files:applyInjection', args),
   revertChanges: (args) => ipcRenderer.invoke('files:revertChanges', args),
 
+  // --- Builds ---
+  build: {
+    run: (args) => ipcRenderer.invoke('build:run', args),
+  },
+
+  // --- History ---
+  history: {
+    list: (args) => ipcRenderer.invoke('history:list', args),
+    diff: (args) => ipcRenderer.invoke('history:diff', args),
+    undo: (args) => ipcRenderer.invoke('history:undo', args),
+    redo: (args) => ipcRenderer.invoke('history:redo', args),
+    onChanged: (callback) => {
+      const handler = () => callback();
+      ipcRenderer.on('history:changed', handler);
+      return () => ipcRenderer.removeListener('history:changed', handler);
+    },
+  },
+
   // --- AI Copilot ---
   ai: {
     getSuggestion: (args) => ipcRenderer.invoke('ai:getRefactoringSuggestion', args),
@@ -62,6 +115,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // --- Verification ---
   objdiff: {
     runReport: () => ipcRenderer.invoke('objdiff:run-report'),
+    diffFunction: (args) => ipcRenderer.invoke('objdiff:diff-function', args),
   },
 
   // --- Cleanup ---
@@ -0,0 +1,110 @@
+// src/project-index.js - In-memory project index kept up to date by the index worker
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { buildAsmIndex } = require('./asm-index.js');
+const { definedFunctions } = require('./function-status.js');
+const { defaultIncludeDirs } = require('./header-parser.js');
+
+const NO_SOURCE = { defined: new Set(), nonmatching: new Set(), includes: [] };
+
+// Starts src/index-worker.js for the melee checkout at `meleePath` and mirrors what it
+// reports: parsed asm files, C definitions, header declarations and the functions each
+// built object defines. The worker keeps watching the project, so after `ready` resolves
+// every lookup is answered from memory. `onUpdate({ full, parsed, total, changed })` is
+// called after each batch the worker applies and `onError(message)` when it fails.
+function startProjectIndex(meleePath, { cacheFile, onUpdate = () => {}, onError = () => {} }) {
+    const asmDir = path.join(meleePath, 'build', 'GALE01', 'asm', 'melee');
+    const objectDir = path.join(meleePath, 'build', 'GALE01', 'src');
+    const asmFiles = new Map();  // path relative to asmDir -> parseAsm result
+    const sources = new Map();   // .c path -> { defined, nonmatching, includes }
+    const headers = new Map();   // .h path -> { functions, includes }
+    const objects = new Map();   // .o path -> Set of defined functions, or null if unreadable
+    let asmIndex = null;         // buildAsmIndex result, rebuilt on demand after asm changes
+
+    const apply = ({ entries, removed }) => {
+        const remove = (file) => {
+            asmFiles.delete(path.relative(asmDir, file).replace(/\\/g, '/'));
+            sources.delete(file);
+            headers.delete(file);
+            objects.delete(file);
+        };
+        removed.forEach(remove);
+        for (const [file, { kind, data }] of Object.entries(entries)) {
+            if (kind === 'asm') asmFiles.set(path.relative(asmDir, file).replace(/\\/g, '/'), data);
+            else if (kind === 'source') sources.set(file, { defined: new Set(data.defined), nonmatching: new Set(data.nonmatching), includes: data.includes });
+            else if (kind === 'header') headers.set(file, data);
+            else if (kind === 'object') objects.set(file, data.functions && new Set(data.functions));
+        }
+        if (removed.length > 0 || Object.values(entries).some(entry => entry.kind === 'asm')) asmIndex = null;
+    };
+
+    const worker = new Worker(path.join(__dirname, 'index-worker.js'), { workerData: { meleePath, cacheFile } });
+    let closed = false;
+    const ready = new Promise((resolve, reject) => {
+        worker.on('message', (message) => {
+            if (message.type === 'error') {
+                reject(new Error(message.error));
+                onError(message.error);
+                return;
+            }
+            apply(message);
+            if (message.full) resolve();
+            onUpdate({ full: message.full, parsed: message.parsed, total: message.total, changed: Object.keys(message.entries).length + message.removed.length });
+        });
+        worker.on('error', (error) => { reject(error); onError(error.message); });
+        worker.on('exit', (code) => reject(new Error(closed ? 'The project index was closed.' : `Index worker exited with code ${code}`)));
+    });
+
+    return {
+        meleePath,
+        ready,
+        // Relative paths of every asm file, with forward slashes.
+        asmFiles: () => [...asmFiles.keys()],
+        // The functions of one asm file, [] if it is not indexed.
+        asmFunctions: (relativePath) => (asmFiles.get(relativePath) || { functions: [] }).functions,
+        asmIndex() {
+            if (!asmIndex) asmIndex = buildAsmIndex([...asmFiles].map(([file, parsed]) => ({ file, parsed })));
+            return asmIndex;
+        },
+        hasSource: (cPath) => sources.has(cPath),
+        // scanSource-style { defined, nonmatching } plus the `#include` lines of a C file.
+        source: (cPath) => sources.get(cPath) || NO_SOURCE,
+        // Set of functions the object defines, or null if it is not built. Objects outside
+        // the indexed build directory are read directly.
+        definedFunctions(objectPath) {
+            if (!objectPath.startsWith(objectDir + path.sep)) return definedFunctions(objectPath);
+            return objects.get(objectPath) || null;
+        },
+        // Headers that declare a prototype for `name`.
+        declaringHeaders: (name) => [...headers].filter(([, header]) => header.functions.includes(name)).map(([file]) => file),
+        // Set of the indexed headers a file including `names` (as written between the
+        // quotes) pulls in, directly or through other headers. Names are looked up next
+        // to the including file first, then in the project's include directories.
+        includeClosure(fromFile, names) {
+            const includeDirs = defaultIncludeDirs(path.join(meleePath, 'src'));
+            const closure = new Set();
+            const visit = (from, included) => included.forEach(name => {
+                const file = [path.dirname(from), ...includeDirs].map(dir => path.join(dir, name)).find(candidate => headers.has(candidate));
+                if (!file || closure.has(file)) return;
+                closure.add(file);
+                visit(file, headers.get(file).includes);
+            });
+            visit(fromFile, names);
+            return closure;
+        },
+        // Passes paths changed under the melee 'src' directory, which the main process
+        // watches, on to the worker.
+        notifyChanges(paths) {
+            if (!closed) worker.postMessage({ type: 'changes', paths });
+        },
+        close() {
+            closed = true;
+            worker.postMessage({ type: 'stop' });
+        },
+    };
+}
+
+module.exports = {
+    startProjectIndex,
+};
@@ -0,0 +1,162 @@
+// src/prototypes.js - Updates, inserts and removes prototypes and #include lines in C files
+
+const { tokenize } = require('./c-preprocessor.js');
+const { listTopLevelItems, leadingCommentStart } = require('./c-functions.js');
+
+const normalize = (text) => text.replace(/\s+/g, '');
+
+// Specifiers that only belong on a definition, never on a header prototype.
+const DEFINITION_ONLY = new Set(['inline', '__inline', '__inline__', 'asm', '__asm', '__asm__']);
+
+// The text of `tokens` (a subsequence of the tokens of `source`, in order) on one line:
+// tokens that were adjacent keep their spacing, collapsed to a single space, and a gap
+// left by a dropped token becomes one space.
+function renderTokens(source, tokens) {
+    return tokens.map((token, i) => {
+        if (i === 0) return token.text;
+        const previous = tokens[i - 1];
+        const gap = previous.index + 1 === token.index ? source.slice(previous.end, token.start).replace(/\s+/g, ' ') : ' ';
+        return gap + token.text;
+    }).join('');
+}
+
+// Splits tokens on top-level `separator` tokens, dropping empty groups.
+function splitTopLevel(tokens, separator) {
+    const groups = [[]];
+    let depth = 0;
+    for (const token of tokens) {
+        if (['(', '[', '{'].includes(token.value)) depth++;
+        else if ([')', ']', '}'].includes(token.value)) depth--;
+        if (depth === 0 && token.value === separator) groups.push([]);
+        else groups[groups.length - 1].push(token);
+    }
+    return groups.filter(group => group.length > 0);
+}
+
+// The one-line prototype for a function definition item: `void fn(s32 a);`. It is built
+// from the declarator rather than copied: definition-only specifiers (`inline`, `asm`)
+// are dropped, and K&R parameter lists are rewritten from their declarations, so
+// `int f(a, b) int a; char* b;` becomes `int f(int a, char* b);`.
+function prototypeFor(definition) {
+    const source = definition.signature;
+    const tokens = tokenize(source).map((token, index) => ({ ...token, index, text: source.slice(token.start, token.end) }));
+    const nameIndex = tokens.findIndex((token, i) => token.value === definition.name && tokens[i + 1] && tokens[i + 1].value === '(');
+    if (nameIndex === -1) return `${source.replace(/\s+/g, ' ').trim()};`;
+    let close = nameIndex + 1;
+    for (let depth = 0; close < tokens.length; close++) {
+        if (tokens[close].value === '(') depth++;
+        else if (tokens[close].value === ')' && --depth === 0) break;
+    }
+    const head = tokens.slice(0, nameIndex).filter((token, i, list) => !(DEFINITION_ONLY.has(token.value) && (!list[i + 1] || list[i + 1].value !== '(')));
+    const params = tokens.slice(nameIndex + 2, close);
+    const trailing = tokens.slice(close + 1);
+
+    const names = splitTopLevel(params, ',');
+    const isKnR = names.length > 0 && names.every(group => group.length === 1 && group[0].type === 'ident' && group[0].value !== 'void')
+        && trailing.some(token => token.value === ';');
+    if (!isKnR) return `${renderTokens(source, [...head, ...tokens.slice(nameIndex, close + 1), ...trailing])};`;
+
+    // Each K&R declaration (`char *a, b;`) gives its base type to every declarator in it.
+    const declared = new Map();
+    for (const declaration of splitTopLevel(trailing, ';')) {
+        const [first, ...rest] = splitTopLevel(declaration, ',');
+        const firstName = [...first].reverse().find(token => token.type === 'ident');
+        const baseEnd = first.findIndex(token => token === firstName || token.value === '*' || token.value === '(');
+        const base = renderTokens(source, first.slice(0, baseEnd));
+        declared.set(firstName.value, renderTokens(source, first));
+        for (const declarator of rest) {
+            const name = [...declarator].reverse().find(token => token.type === 'ident');
+            if (name) declared.set(name.value, `${base} ${renderTokens(source, declarator)}`);
+        }
+    }
+    // Parameters without a declaration are `int`.
+    const list = names.map(([name]) => declared.get(name.value) || `int ${name.value}`).join(', ');
+    return `${renderTokens(source, [...head, tokens[nameIndex]])}(${list});`;
+}
+
+// The `#endif` closing a `#ifndef X` / `#define X` include guard, or null.
+function includeGuardEnd(items) {
+    const [first, second] = items;
+    if (!first || !second || first.kind !== 'directive' || first.name !== 'ifndef' || second.kind !== 'define') return null;
+    if (first.text.split(/\s+/)[1] !== second.name) return null;
+    return [...items].reverse().find(item => item.kind === 'directive' && item.name === 'endif') || null;
+}
+
+// Replaces every non-static prototype of `name` in `content` with `prototype`, keeping the
+// `extern` of a declaration that had one. Returns { content, found, lines }: how many
+// prototypes there were and the 1-based lines of those that actually changed.
+function updatePrototypes(content, name, prototype) {
+    const matches = listTopLevelItems(content).filter(item => item.kind === 'prototype' && item.name === name && !item.isStatic);
+    let result = content;
+    const lines = [];
+    for (const item of [...matches].reverse()) {
+        const text = /^extern\b/.test(item.text) && !/^extern\b/.test(prototype) ? `extern ${prototype}` : prototype;
+        if (normalize(item.text) === normalize(text)) continue;
+        result = result.slice(0, item.start) + text + result.slice(item.end);
+        lines.unshift(item.line);
+    }
+    return { content: result, found: matches.length, lines };
+}
+
+// Adds `prototype` for `name` to a header among its other prototypes, in address order
+// when `addressOf(name)` is known: before the first one with a higher address or after
+// the last one with a lower address. Otherwise it goes after the last prototype, before
+// the include guard's `#endif` or at the end of the file. Returns { content, detail }.
+function insertPrototype(content, name, prototype, addressOf = () => null) {
+    const items = listTopLevelItems(content);
+    const prototypes = items.filter(item => item.kind === 'prototype');
+    const address = addressOf(name);
+    const placed = address === null ? [] : prototypes.filter(item => addressOf(item.name) !== null);
+    const next = placed.find(item => addressOf(item.name) > address);
+    const previous = [...placed].reverse().find(item => addressOf(item.name) < address) || prototypes[prototypes.length - 1];
+    const insertAt = (offset, text) => content.slice(0, offset) + text + content.slice(offset);
+    // Above the next prototype's leading comment, so the two stay together.
+    if (next) return { content: insertAt(leadingCommentStart(content, next.start), `${prototype}\n`), detail: `before ${next.name}` };
+    if (previous) return { content: insertAt(previous.end, `\n${prototype}`), detail: `after ${previous.name}` };
+    const guardEnd = includeGuardEnd(items);
+    if (guardEnd) return { content: insertAt(guardEnd.start, `${prototype}\n\n`), detail: 'inside the include guard' };
+    return { content: `${content.trimEnd()}\n\n${prototype}\n`, detail: 'at the end of the file' };
+}
+
+// Removes the non-static prototypes of `names` (a Set) from `content`, each with the
+// rest of its line and any blank line it leaves doubled. Returns
+// { content, removed: [{ name, line }] }.
+function removePrototypes(content, names) {
+    const matches = listTopLevelItems(content).filter(item => item.kind === 'prototype' && names.has(item.name) && !item.isStatic);
+    let result = content;
+    for (const item of [...matches].reverse()) {
+        const lineStart = result.lastIndexOf('\n', item.start - 1) + 1;
+        const start = /^[ \t]*$/.test(result.slice(lineStart, item.start)) ? lineStart : item.start;
+        const trailing = /^[ \t]*(\r?\n|$)/.exec(result.slice(item.end));
+        const before = result.slice(0, start);
+        let after = result.slice(item.end + (trailing ? trailing[0].length : 0));
+        // Don't leave two blank lines where a block of declarations was.
+        if (/\n\s*\n$/.test(before)) after = after.replace(/^[ \t]*\r?\n/, '');
+        result = before + after;
+    }
+    return { content: result, removed: matches.map(item => ({ name: item.name, line: item.line })) };
+}
+
+// Adds the line `#include <name>` (`name` keeps its quotes or angle brackets) after the
+// last include in `content`, or before its first item. Returns { content, line }, or
+// null when the file already includes it.
+function insertInclude(content, name) {
+    const items = listTopLevelItems(content);
+    const includes = items.filter(item => item.kind === 'include');
+    if (includes.some(item => normalize(item.name) === normalize(name))) return null;
+    const text = `#include ${name}`;
+    const last = includes[includes.length - 1];
+    let result;
+    if (last) result = `${content.slice(0, last.end)}\n${text}${content.slice(last.end)}`;
+    else if (items.length > 0) result = `${content.slice(0, items[0].start)}${text}\n\n${content.slice(items[0].start)}`;
+    else result = content.trim() ? `${content.trimEnd()}\n\n${text}\n` : `${text}\n`;
+    return { content: result, line: result.slice(0, result.indexOf(text, last ? last.end : 0)).split('\n').length };
+}
+
+module.exports = {
+    prototypeFor,
+    updatePrototypes,
+    insertPrototype,
+    removePrototypes,
+    insertInclude,
+};
@@ -0,0 +1,70 @@
+// src/recommendations.js - Ranks vacant functions by how approachable they are to decompile
+
+const BASE_SCORE = 85; // The positive rules add up to at most 15.
+
+// One scoring rule per input. Each returns a signed adjustment and the reason shown to
+// the user, or null when it does not apply.
+const RULES = [
+    // Size dominates: a 2,000-instruction function is rarely a good first pick.
+    (fn) => {
+        const delta = -Math.min(45, Math.round(fn.size / 40));
+        return { delta, reason: `${fn.size} bytes` };
+    },
+    (fn) => fn.stats.branches === 0 ? null : {
+        delta: -Math.min(20, fn.stats.branches * 2),
+        reason: `${fn.stats.branches} branch${fn.stats.branches === 1 ? '' : 'es'}`,
+    },
+    (fn) => fn.stats.floats === 0 ? null : {
+        delta: -Math.min(10, Math.ceil(fn.stats.floats / 2)),
+        reason: `${fn.stats.floats} float instruction${fn.stats.floats === 1 ? '' : 's'}`,
+    },
+    // MWCC's paired-single output is hard to coax from C.
+    (fn) => fn.stats.pairedSingles === 0 ? null : {
+        delta: -15 - Math.min(10, fn.stats.pairedSingles),
+        reason: `${fn.stats.pairedSingles} paired-single instruction${fn.stats.pairedSingles === 1 ? '' : 's'}`,
+    },
+    (fn) => fn.stats.jumpTables === 0 ? null : {
+        delta: -Math.min(20, fn.stats.jumpTables * 10),
+        reason: `switch with jump table${fn.stats.jumpTables === 1 ? '' : 's'}`,
+    },
+    // Matched callees come with known prototypes.
+    (fn, { statusOf }) => {
+        if (fn.callees.length === 0) return { delta: 5, reason: 'leaf function' };
+        const matched = fn.callees.filter(name => statusOf(name) === 'matched').length;
+        const delta = Math.round(10 * matched / fn.callees.length) - 5;
+        return { delta, reason: `${matched}/${fn.callees.length} callees matched` };
+    },
+    // A TU that already has matching C has its compiler flags figured out.
+    (fn, { unitInfo }) => {
+        const unit = unitInfo(fn.file);
+        if (unit.complete || unit.matched > 0) return { delta: 10, reason: 'TU flags known (already has matched C)' };
+        if (!unit.hasSource) return { delta: -10, reason: 'no C file for this TU yet' };
+        return { delta: -5, reason: 'TU has no matched C yet' };
+    },
+];
+
+// Scores one function from its asm index entry. `statusOf(name)` gives the match status
+// of other functions and `unitInfo(file)` returns { hasSource, matched, complete } for
+// the TU an asm file belongs to. Higher is easier; the score is clamped to 0-100.
+function scoreFunction(fn, context) {
+    const factors = RULES.map(rule => rule(fn, context)).filter(Boolean);
+    const score = factors.reduce((total, factor) => total + factor.delta, BASE_SCORE);
+    return { score: Math.max(0, Math.min(100, score)), factors };
+}
+
+// Ranks the vacant functions in `index` (from buildAsmIndex), best first. Returns
+// [{ name, file, size, stats, score, factors }].
+function recommendFunctions(index, context) {
+    const results = [];
+    for (const fn of index.functions.values()) {
+        if (context.statusOf(fn.name) !== 'vacant' || fn.section !== '.text') continue;
+        const { score, factors } = scoreFunction(fn, context);
+        results.push({ name: fn.name, file: fn.file, size: fn.size, stats: fn.stats, score, factors });
+    }
+    return results.sort((a, b) => b.score - a.score || a.size - b.size);
+}
+
+module.exports = {
+    scoreFunction,
+    recommendFunctions,
+};
@@ -0,0 +1,139 @@
+// src/register-types.js - Infers which struct each GPR points to across a function's asm
+
+const { findMemberPaths } = require('./struct-lookup.js');
+const { parsePrototype, typeToString } = require('./header-parser.js');
+const { escapeRegExp } = require('./ipc-validation.js');
+
+// HSD_GObj::user_data holds the object's own data struct. Which struct that is depends
+// on the kind of object, which melee function names encode in their prefix.
+const USER_DATA_OFFSET = 0x2C;
+const USER_DATA_TYPES = [
+    [/^ft/, 'Fighter'],
+    [/^it/, 'Item'],
+    [/^gr/, 'Ground'],
+];
+// Calls that return a GObj's user_data (GET_FIGHTER/GET_ITEM are inlined to a plain lwz).
+const USER_DATA_CALLS = new Set(['HSD_GObjGetUserData']);
+
+const FIRST_ARG_GPR = 3, LAST_ARG_GPR = 10;
+const VOLATILE_GPRS = [0, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+const pointerTo = (structName) => ({ kind: 'pointer', to: { kind: 'record', name: structName, alias: structName } });
+const pointeeStruct = (type) => type && type.kind === 'pointer' && type.to.kind === 'record' ? type.to.name : null;
+
+function userDataType(db, functionName) {
+    const entry = USER_DATA_TYPES.find(([pattern]) => pattern.test(functionName));
+    return entry && db.structs[entry[1]] ? pointerTo(entry[1]) : null;
+}
+
+// Finds the prototype of `functionName`: a declaration in the parsed headers, or else the
+// definition's signature in the unit's .c source.
+function findPrototype(db, functionName, cContent = '') {
+    if (db.functions && db.functions[functionName]) return db.functions[functionName];
+    const match = cContent.match(new RegExp(`(?:^|[;}\\n])\\s*([^;{}#]*\\b${escapeRegExp(functionName)}\\s*\\([^;{}]*\\))\\s*\\{`));
+    return match ? parsePrototype(match[1], db) : null;
+}
+
+// Assigns parameters to r3-r10 per the PowerPC EABI: floating-point parameters use FPRs,
+// 64-bit integers take an aligned register pair, and everything else one GPR.
+function argumentRegisters(prototype) {
+    const registers = {};
+    if (!prototype || !prototype.params) return registers;
+    let gpr = FIRST_ARG_GPR;
+    for (const param of prototype.params) {
+        if (param.kind === 'varargs' || gpr > LAST_ARG_GPR) break;
+        if (param.kind === 'scalar' && /float|double/.test(param.name)) continue;
+        if (param.kind === 'scalar' && param.size === 8) {
+            if (gpr % 2 === 0) gpr++;
+            gpr += 2;
+            continue;
+        }
+        registers[`r${gpr}`] = param;
+        gpr++;
+    }
+    return registers;
+}
+
+const UPDATE_FORM = /^(lbz|lhz|lha|lwz|lfs|lfd|stb|sth|stw|stfs|stfd|psq_l|psq_st)ux?$/;
+const MEMORY_OPERAND = /^(-?(?:0x[\da-fA-F]+|\d+))\((r\d{1,2})\)$/;
+
+function parseInstruction(line) {
+    const match = line.trim().match(/^([a-z][\w.+-]*)\s*(.*)$/i);
+    if (!match || match[1].endsWith(':')) return null;
+    const operands = match[2] ? match[2].split(',').map(op => op.trim()) : [];
+    const memoryIndex = operands.findIndex(op => MEMORY_OPERAND.test(op));
+    let memory = null;
+    if (memoryIndex !== -1) {
+        const [, offset, base] = operands[memoryIndex].match(MEMORY_OPERAND);
+        memory = { offset: parseInt(offset, offset.toLowerCase().includes('0x') ? 16 : 10), base };
+    }
+    return { mnemonic: match[1].toLowerCase(), operands, memory };
+}
+
+// Which GPR an instruction overwrites, if any. Stores, compares, branches and moves to
+// special registers leave their first operand untouched.
+function writtenRegister({ mnemonic, operands }) {
+    if (/^(st|psq_st|cmp|b|mt|dcb|icb|tw|sync|isync|crxor|cror|crclr|crset)/.test(mnemonic)) return null;
+    return /^r\d{1,2}$/.test(operands[0]) ? operands[0] : null;
+}
+
+// Runs a single forward pass over the function's instruction lines (no control-flow
+// graph: state simply flows through labels) and returns, for each line that accesses
+// memory through a register, { register, type, structName } describing that base
+// register, or null when nothing is known about it.
+function inferRegisterTypes(db, lines, { functionName = '', prototype = null } = {}) {
+    const registers = argumentRegisters(prototype);
+    const userData = userDataType(db, functionName);
+
+    return lines.map(line => {
+        const instruction = parseInstruction(line);
+        if (!instruction) return null;
+        const { mnemonic, operands, memory } = instruction;
+
+        let info = null;
+        if (memory && registers[memory.base]) {
+            const type = registers[memory.base];
+            info = { register: memory.base, type: typeToString(type), structName: pointeeStruct(type) };
+        }
+
+        if (mnemonic === 'bl') {
+            VOLATILE_GPRS.forEach(n => delete registers[`r${n}`]);
+            const callee = operands[0];
+            const fn = db.functions && db.functions[callee];
+            if (USER_DATA_CALLS.has(callee) && userData) registers.r3 = userData;
+            else if (fn && pointeeStruct(fn.returns)) registers.r3 = fn.returns;
+            return info;
+        }
+        if (mnemonic === 'lmw') {
+            const first = parseInt(operands[0].slice(1), 10);
+            for (let n = first; n <= 31; n++) delete registers[`r${n}`];
+            return info;
+        }
+
+        const written = writtenRegister(instruction);
+        let result = null;
+        if ((mnemonic === 'mr' || mnemonic === 'mr.') && registers[operands[1]]) {
+            result = registers[operands[1]];
+        } else if (mnemonic === 'lwz' && memory && info && info.structName) {
+            if (info.structName === 'HSD_GObj' && memory.offset === USER_DATA_OFFSET && userData) {
+                result = userData;
+            } else {
+                const pointer = findMemberPaths(db, memory.offset, [info.structName]).find(leaf => pointeeStruct(leaf.typeInfo));
+                if (pointer) result = pointer.typeInfo;
+            }
+        }
+        // Update forms (lwzu, stwu, ...) also write the new address back to the base register.
+        if (memory && UPDATE_FORM.test(mnemonic) && memory.base !== 'r1') delete registers[memory.base];
+
+        if (written) {
+            if (result) registers[written] = result;
+            else delete registers[written];
+        }
+        return info;
+    });
+}
+
+module.exports = {
+    inferRegisterTypes,
+    findPrototype,
+};
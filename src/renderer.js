@@ -12,6 +12,32 @@ document.addEventListener('DOMContentLoaded', () => {
         dashboardFilterQuery: '',
         dashboardSortKey: 'match_percent',
         dashboardSortDirection: 'asc',
+        // Decompilation-specific state: inferred base register type per Target Assembly line
+        registerTypes: [],
+        targetAsmLines: [],
+        highlightedRegister: null,
+        recommendations: [],
+        // Struct Browser state
+        structList: [],
+        structDetails: new Map(),
+        structsExpanded: new Set(),
+        structsFilterQuery: '',
+        structsMismatchesOnly: false,
+        // Call Graph state
+        callGraphRoot: null,
+        callGraphClickTimer: null,
+        // Command Palette state
+        paletteSymbols: null,
+        paletteLoadedAt: 0,
+        paletteResults: [],
+        paletteSelected: 0,
+        // Diagnostics of the last build, as shown in the Problems panel
+        problems: [],
+        // Jobs from the main process, and the ids whose output is expanded in the task list
+        jobs: [],
+        jobOutputsOpen: new Set(),
+        // Injection preview awaiting review: { relativePath, code, functions, summary, files }
+        injectionPreview: null,
         // Refactor-specific state
         refactorContext: {
             relativePath: null,
@@ -32,6 +58,9 @@ document.addEventListener('DOMContentLoaded', () => {
             decomp: document.getElementById('nav-decomp'),
             build: document.getElementById('nav-build'),
             dashboard: document.getElementById('nav-dashboard'),
+            structs: document.getElementById('nav-structs'),
+            callgraph: document.getElementById('nav-callgraph'),
+            history: document.getElementById('nav-history'),
             refactor: document.getElementById('nav-refactor'),
             settings: document.getElementById('nav-settings'),
         },
@@ -72,6 +101,11 @@ document.addEventListener('DOMContentLoaded', () => {
             refactorWithAIBtn: document.getElementById('refactor-with-ai-btn'),
             targetAssemblyBox: document.getElementById('target-assembly-box'),
             structInspectorBox: document.getElementById('struct-inspector-box'),
+            functionInfoBox: document.getElementById('function-info-box'),
+            recommendedList: document.getElementById('recommended-functions'),
+            recommendFilterInput: document.getElementById('recommend-filter-input'),
+            recommendNoFloatCheckbox: document.getElementById('recommend-no-float-checkbox'),
+            recommendRefreshBtn: document.getElementById('recommend-refresh-btn'),
             copyAssemblyBtn: document.getElementById('copy-assembly-btn'),
             copyContextBtn: document.getElementById('copy-context-btn'),
             contextBox: document.getElementById('context-box'),
@@ -83,9 +117,26 @@ document.addEventListener('DOMContentLoaded', () => {
             injectCodeBtn: document.getElementById('inject-code-btn'),
             revertChangesBtn: document.getElementById('revert-changes-btn'),
             runNinjaBtn: document.getElementById('run-ninja-btn'),
+            buildObjectBtn: document.getElementById('build-object-btn'),
+            problemsSummary: document.getElementById('problems-summary'),
+            problemsList: document.getElementById('problems-list'),
             decompMeLink: document.getElementById('decomp-me-link'),
             submitGithubBtn: document.getElementById('submit-github-btn'),
         },
+        jobs: {
+            toggle: document.getElementById('job-status-toggle'),
+            list: document.getElementById('job-list'),
+        },
+        injectPreview: {
+            overlay: document.getElementById('inject-preview-overlay'),
+            title: document.getElementById('inject-preview-title'),
+            files: document.getElementById('inject-preview-files'),
+            summary: document.getElementById('inject-preview-summary'),
+            acceptAllBtn: document.getElementById('inject-preview-accept-all-btn'),
+            rejectAllBtn: document.getElementById('inject-preview-reject-all-btn'),
+            cancelBtn: document.getElementById('inject-preview-cancel-btn'),
+            applyBtn: document.getElementById('inject-preview-apply-btn'),
+        },
         
         // Verification Dashboard View
         dashboard: {
@@ -102,6 +153,45 @@ document.addEventListener('DOMContentLoaded', () => {
             tableHeader: document.querySelector('#dashboard-results-table thead'),
             tableBody: document.getElementById('dashboard-table-body'),
             reportPlaceholder: document.getElementById('dashboard-report-placeholder'),
+            diffSection: document.getElementById('dashboard-diff-section'),
+            diffTitle: document.getElementById('dashboard-diff-title'),
+            diffContainer: document.getElementById('dashboard-diff-container'),
+            diffCloseBtn: document.getElementById('dashboard-diff-close-btn'),
+        },
+
+        // Struct Browser View
+        structs: {
+            summary: document.getElementById('structs-summary'),
+            filterInput: document.getElementById('structs-filter-input'),
+            mismatchCheckbox: document.getElementById('structs-mismatch-checkbox'),
+            list: document.getElementById('structs-list'),
+        },
+
+        // Call Graph View
+        callGraph: {
+            summary: document.getElementById('callgraph-summary'),
+            functionInput: document.getElementById('callgraph-function-input'),
+            depthInput: document.getElementById('callgraph-depth-input'),
+            unmatchedCheckbox: document.getElementById('callgraph-unmatched-checkbox'),
+            exploreBtn: document.getElementById('callgraph-explore-btn'),
+            container: document.getElementById('callgraph-container'),
+        },
+
+        // History View
+        history: {
+            summary: document.getElementById('history-summary'),
+            list: document.getElementById('history-list'),
+            diffSection: document.getElementById('history-diff-section'),
+            diffTitle: document.getElementById('history-diff-title'),
+            diffContainer: document.getElementById('history-diff-container'),
+            diffCloseBtn: document.getElementById('history-diff-close-btn'),
+        },
+
+        // Command Palette
+        palette: {
+            overlay: document.getElementById('palette-overlay'),
+            input: document.getElementById('palette-input'),
+            results: document.getElementById('palette-results'),
         },
 
         // AI Refactor View
@@ -133,6 +223,9 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.consoleLog.scrollTop = elements.consoleLog.scrollHeight;
     }
 
+    const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const hex = (value) => `0x${value.toString(16).toUpperCase()}`;
+
     // --- Navigation ---
     function showView(viewId, title) {
         elements.views.forEach(view => view.classList.add('hidden'));
@@ -150,7 +243,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function updateNavState() {
-        ['decomp', 'build', 'dashboard', 'refactor'].forEach(navId => {
+        ['decomp', 'build', 'dashboard', 'structs', 'callgraph', 'history', 'refactor'].forEach(navId => {
             const navItem = elements.nav[navId];
             if (state.isSetupComplete) {
                 navItem.classList.remove('disabled');
@@ -172,6 +265,8 @@ document.addEventListener('DOMContentLoaded', () => {
             state.isSetupComplete = true; 
             updateNavState();
             await populateAsmFiles();
+            await loadStructDatabase();
+            loadRecommendations();
         }
         if (paths.dolPath) {
             state.dolPath = paths.dolPath;
@@ -180,6 +275,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function loadStructDatabase() {
+        logMessage("Pre-loading project headers for Struct Inspector...", "info");
+        const structResult = await window.electronAPI.structs.load(state.projectPath);
+        if (structResult.success) logMessage(`Header cache built: ${structResult.count} structs (${structResult.parsed} of ${structResult.total} headers parsed).`, "success");
+        else logMessage(`Could not parse project headers: ${structResult.error}`, "error");
+    }
+
     async function loadSettings() {
         logMessage('Loading settings...');
         const settings = await window.electronAPI.getSettings();
@@ -197,18 +299,19 @@ document.addEventListener('DOMContentLoaded', () => {
             ninja: elements.settings.ninjaPath.value,
             objdiff: elements.settings.objdiffPath.value
         };
-        await window.electronAPI.setSettings(settings);
+        const result = await window.electronAPI.setSettings(settings);
+        if (!result.success) { logMessage(`Settings not saved: ${result.error}`, 'error'); return; }
         logMessage('Settings saved successfully. They will be used on the next run.', 'success');
         showView('view-setup', 'Project Setup');
     }
 
     async function selectProjectFolder() {
-        const selectedPath = await window.electronAPI.selectDirectory();
+        // The main process stores the folder picked in its dialog as the project root.
+        const selectedPath = await window.electronAPI.selectProjectFolder();
         if (selectedPath) {
             state.projectPath = selectedPath;
             elements.projectFolderInput.value = state.projectPath;
             logMessage(`Project folder set to: ${state.projectPath}`, 'success');
-            await window.electronAPI.setPaths({ projectPath: state.projectPath });
         }
     }
 
@@ -238,10 +341,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 logMessage("--- Project Setup Finished Successfully! ---", "success");
                 state.sessionEnv = result.env;
                 state.isSetupComplete = true;
-                logMessage("Pre-loading project headers for Struct Inspector...", "info");
-                await window.electronAPI.structs.load(state.projectPath);
-                logMessage("Header cache built.", "success");
+                await loadStructDatabase();
                 await populateAsmFiles();
+                loadRecommendations();
                 updateNavState();
                 showView('view-decomp', 'Decompilation');
             } else {
@@ -279,7 +381,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 option.className = 'custom-select-option';
                 option.dataset.value = fileData.path;
                 const vacantClass = fileData.vacant === 0 ? 'claimed-count' : 'vacant-count';
-                option.innerHTML = `${fileData.path} (<span class="${vacantClass}">${fileData.vacant}</span>/<span class="claimed-count">${fileData.claimed}</span>)`;
+                option.title = `${fileData.vacant} vacant, ${fileData.inProgress} in progress, ${fileData.matched} matched`;
+                option.innerHTML = `${fileData.path} (<span class="${vacantClass}">${fileData.vacant}</span>/<span class="in-progress-count">${fileData.inProgress}</span>/<span class="claimed-count">${fileData.matched}</span>)`;
                 option.addEventListener('click', () => {
                     asmSelectValue.querySelector('span').innerHTML = option.innerHTML;
                     asmSelectValue.dataset.value = fileData.path;
@@ -302,6 +405,7 @@ document.addEventListener('DOMContentLoaded', () => {
         claimedFunctionsList.innerHTML = '';
         contextBox.value = '';
         targetAssemblyBox.innerHTML = '';
+        elements.decomp.functionInfoBox.innerHTML = '<p class="text-slate-400 italic">Select a function...</p>';
         selectedTarget.textContent = 'None';
         checkDecompMeBtn.disabled = true;
         refactorWithAIBtn.disabled = true;
@@ -313,23 +417,32 @@ document.addEventListener('DOMContentLoaded', () => {
             
             result.vacant.forEach(func => {
                 const li = document.createElement('li');
-                li.textContent = `${func.name} (${func.size} lines)`;
+                li.textContent = `${func.name} (${func.size} bytes)`;
                 li.className = 'p-1 hover:bg-indigo-100 rounded cursor-pointer font-mono text-sm';
                 li.onclick = () => selectTarget(func.name, selectedFile);
                 vacantFunctionsList.appendChild(li);
             });
             if (result.vacant.length === 0) vacantFunctionsList.innerHTML = '<li class="text-slate-400 italic">No vacant functions found.</li>';
             
-            result.claimed.forEach(funcName => {
+            // In-progress functions are listed first and stay selectable so they can be finished.
+            result.inProgress.forEach(func => {
+                const li = document.createElement('li');
+                const percent = func.matchPercent === undefined ? 'nonmatching' : `${func.matchPercent.toFixed(1)}%`;
+                li.textContent = `${func.name} (${percent})`;
+                li.className = 'p-1 bg-amber-50 hover:bg-amber-100 rounded cursor-pointer font-mono text-sm text-amber-700';
+                li.onclick = () => selectTarget(func.name, selectedFile);
+                claimedFunctionsList.appendChild(li);
+            });
+            result.matched.forEach(funcName => {
                 const li = document.createElement('li');
                 li.textContent = funcName;
                 li.className = 'p-1 bg-green-50 rounded font-mono text-sm text-slate-500';
                 claimedFunctionsList.appendChild(li);
             });
-             if (result.claimed.length === 0) claimedFunctionsList.innerHTML = '<li class="text-slate-400 italic">No claimed functions found.</li>';
+            if (result.inProgress.length + result.matched.length === 0) claimedFunctionsList.innerHTML = '<li class="text-slate-400 italic">No claimed functions found.</li>';
 
             contextBox.value = result.includes;
-            logMessage(`Analysis complete. Found ${result.vacant.length} vacant functions.`, 'success');
+            logMessage(`Analysis complete. Found ${result.vacant.length} vacant and ${result.inProgress.length} in-progress functions.`, 'success');
         } catch (error) {
             logMessage(`Error analyzing file: ${error.message}`, 'error');
             vacantFunctionsList.innerHTML = `<li class="text-red-500 italic">Error loading functions.</li>`;
@@ -339,28 +452,214 @@ document.addEventListener('DOMContentLoaded', () => {
     async function selectTarget(funcName, relativePath) {
         logMessage(`Selected target: ${funcName}`);
         state.refactorContext = { functionName: funcName, relativePath };
+        state.registerTypes = [];
         const { selectedTarget, checkDecompMeBtn, refactorWithAIBtn, targetAssemblyBox } = elements.decomp;
         selectedTarget.textContent = funcName;
         checkDecompMeBtn.disabled = false;
         refactorWithAIBtn.disabled = false;
         
+        loadFunctionInfo(funcName);
         const result = await window.electronAPI.getFunctionAsm({ projectPath: state.projectPath, relativePath, functionName: funcName });
         targetAssemblyBox.innerHTML = '';
+        state.targetAsmLines = [];
+        state.highlightedRegister = null;
         if (result.error) {
             logMessage(`Error fetching assembly for ${funcName}: ${result.error}`, 'error');
             targetAssemblyBox.textContent = `Error: ${result.error}`;
         } else {
-            result.asm.split('\n').forEach(line => {
-                const lineDiv = document.createElement('div');
-                lineDiv.textContent = line;
-                lineDiv.onclick = () => inspectAssemblyLine(line);
-                targetAssemblyBox.appendChild(lineDiv);
-            });
+            state.targetAsmLines = result.asm.split('\n');
+            renderTargetAssembly(result.lines);
             logMessage(`Successfully loaded assembly for ${funcName}.`, 'success');
+            const inference = await window.electronAPI.structs.inferRegisters({ projectPath: state.projectPath, relativePath, functionName: funcName });
+            state.registerTypes = inference.lines || [];
+        }
+    }
+
+    // --- Target Assembly Rendering ---
+    const ASM_LINE_HEIGHT = 18, ASM_LANE_WIDTH = 7, ASM_MAX_LANES = 8;
+
+    // Gives each local branch the innermost free lane so nested jumps do not cross.
+    function assignBranchLanes(lines) {
+        const branches = lines.map((line, from) => line.branchTo === null || line.branchTo === undefined ? null : { from, to: line.branchTo })
+            .filter(Boolean)
+            .sort((a, b) => Math.abs(a.to - a.from) - Math.abs(b.to - b.from));
+        const lanes = [];
+        branches.forEach(branch => {
+            const low = Math.min(branch.from, branch.to), high = Math.max(branch.from, branch.to);
+            let lane = lanes.findIndex(used => used.every(other => other.high < low || other.low > high));
+            if (lane === -1) lane = Math.min(lanes.push([]) - 1, ASM_MAX_LANES - 1);
+            lanes[lane].push({ low, high });
+            branch.lane = lane;
+        });
+        return { branches, laneCount: Math.min(lanes.length, ASM_MAX_LANES) };
+    }
+
+    function renderBranchGutter(lines) {
+        const { branches, laneCount } = assignBranchLanes(lines);
+        const width = (laneCount + 1) * ASM_LANE_WIDTH + 4;
+        const y = (line) => line * ASM_LINE_HEIGHT + ASM_LINE_HEIGHT / 2;
+        const paths = branches.map(({ from, to, lane }) => {
+            const x = width - (lane + 1) * ASM_LANE_WIDTH - 2;
+            return `<path class="asm-branch${to < from ? ' asm-branch-back' : ''}" d="M${width},${y(from)} H${x} V${y(to)} H${width - 1}" marker-end="url(#asm-branch-arrow)"></path>`;
+        }).join('');
+        return `<svg class="asm-gutter" width="${width}" height="${lines.length * ASM_LINE_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+                <defs><marker id="asm-branch-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,0 L10,5 L0,10 z"></path></marker></defs>
+                ${paths}
+            </svg>`;
+    }
+
+    function renderAsmToken(token) {
+        const text = escapeHtml(token.text);
+        if (token.type === 'register') return `<span class="asm-register" data-register="${escapeHtml(token.register)}">${text}</span>`;
+        if (token.target) {
+            const { kind, name, file, line } = token.target;
+            const title = kind === 'label' ? 'Go to label' : kind === 'function' ? `Open ${name} (${file})` : `Show definition (${file})`;
+            return `<span class="asm-${token.type} asm-link" data-target-kind="${kind}" data-symbol="${escapeHtml(name || token.text)}" data-file="${escapeHtml(file || '')}" data-line="${line === undefined ? '' : line}" title="${escapeHtml(title)}">${text}</span>`;
+        }
+        return `<span class="asm-${token.type}">${text}</span>`;
+    }
+
+    // Decoded values of the data a line references, e.g. `; @1234 = 0.5f`. Jump table
+    // cases link to their labels.
+    function renderAsmData(entry) {
+        const symbol = escapeHtml(entry.symbol);
+        if (entry.kind === 'jumptable') {
+            const cases = entry.labels.map(({ label, line }) => line === null
+                ? escapeHtml(label)
+                : `<span class="asm-label asm-link" data-target-kind="label" data-line="${line}" title="Go to label">${escapeHtml(label)}</span>`).join(', ');
+            return `<span class="asm-data"> ; ${symbol}: ${escapeHtml(entry.summary)} [${cases}]</span>`;
+        }
+        return `<span class="asm-data asm-data-${entry.kind}"> ; ${symbol} = ${escapeHtml(entry.summary)}</span>`;
+    }
+
+    function renderTargetAssembly(lines) {
+        const { targetAssemblyBox } = elements.decomp;
+        const rows = lines.map((line, index) => `
+                <div class="asm-line${line.kind === 'label' ? ' asm-label-line' : ''}" data-index="${index}"${line.description ? ` title="${escapeHtml(line.description)}"` : ''}>${line.tokens.map(renderAsmToken).join('')}${(line.data || []).map(renderAsmData).join('')}</div>`).join('');
+        targetAssemblyBox.innerHTML = `<div class="asm-view">${renderBranchGutter(lines)}<div class="asm-lines">${rows}</div></div>`;
+    }
+
+    function highlightRegister(register) {
+        state.highlightedRegister = state.highlightedRegister === register ? null : register;
+        elements.decomp.targetAssemblyBox.querySelectorAll('.asm-register').forEach(span => {
+            span.classList.toggle('asm-register-active', span.dataset.register === state.highlightedRegister);
+        });
+    }
+
+    function scrollToAsmLine(index) {
+        const line = elements.decomp.targetAssemblyBox.querySelector(`.asm-line[data-index="${index}"]`);
+        if (!line) return;
+        line.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        line.classList.add('asm-line-flash');
+        setTimeout(() => line.classList.remove('asm-line-flash'), 1200);
+    }
+
+    async function showSymbolDefinition(symbol) {
+        const inspectorBox = elements.decomp.structInspectorBox;
+        inspectorBox.innerHTML = '<p class="text-slate-400 italic">Loading...</p>';
+        const definition = await window.electronAPI.getSymbolDefinition({ projectPath: state.projectPath, symbol });
+        if (definition.error) {
+            inspectorBox.innerHTML = `<p class="text-red-500 italic">${escapeHtml(definition.error)}</p>`;
+            return;
+        }
+        inspectorBox.innerHTML = `
+            <p><strong>${escapeHtml(definition.name)}</strong></p>
+            <p class="text-slate-500">${escapeHtml(definition.section)}${definition.address === null ? '' : ` at ${hex(definition.address)}`}, ${definition.size === null ? '?' : hex(definition.size)} bytes, ${escapeHtml(definition.file)}</p>
+            <p class="mt-1"><strong>Value:</strong> <code class="bg-indigo-100 text-indigo-800 rounded px-1">${escapeHtml(definition.decoded.summary)}</code></p>
+            ${definition.decoded.labels ? `<p class="mt-1"><strong>Cases:</strong> ${definition.decoded.labels.map(escapeHtml).join(', ')}</p>` : ''}
+            <pre class="mt-1 whitespace-pre-wrap">${escapeHtml(definition.lines.join('\n'))}</pre>`;
+    }
+
+    // Symbols navigate, registers toggle highlighting, and any instruction line is also
+    // passed to the Struct Inspector.
+    function handleTargetAssemblyClick(e) {
+        const link = e.target.closest('.asm-link');
+        if (link) {
+            const { targetKind, symbol, file, line } = link.dataset;
+            if (targetKind === 'label') scrollToAsmLine(line);
+            else if (targetKind === 'function') openFunction(symbol, file);
+            else showSymbolDefinition(symbol);
+            return;
+        }
+        const register = e.target.closest('.asm-register');
+        if (register) highlightRegister(register.dataset.register);
+        const lineDiv = e.target.closest('.asm-line');
+        if (lineDiv) {
+            const index = parseInt(lineDiv.dataset.index, 10);
+            inspectAssemblyLine(state.targetAsmLines[index], index);
+        }
+    }
+
+    async function loadRecommendations() {
+        const { recommendedList } = elements.decomp;
+        recommendedList.innerHTML = '<li class="text-slate-400 italic">Scoring vacant functions...</li>';
+        const result = await window.electronAPI.recommendFunctions({ projectPath: state.projectPath });
+        if (result.error) {
+            recommendedList.innerHTML = `<li class="text-red-500 italic">${escapeHtml(result.error)}</li>`;
+            return;
+        }
+        state.recommendations = result.functions;
+        logMessage(`Ranked ${result.total} vacant functions.`, 'success');
+        renderRecommendations();
+    }
+
+    function renderRecommendations() {
+        const { recommendedList, recommendFilterInput, recommendNoFloatCheckbox } = elements.decomp;
+        const query = recommendFilterInput.value.trim().toLowerCase();
+        const shown = state.recommendations.filter(fn =>
+            (!query || fn.name.toLowerCase().includes(query) || fn.file.toLowerCase().includes(query)) &&
+            (!recommendNoFloatCheckbox.checked || fn.stats.floats + fn.stats.pairedSingles === 0));
+        if (shown.length === 0) {
+            recommendedList.innerHTML = '<li class="text-slate-400 italic">No matching functions.</li>';
+            return;
+        }
+        const signed = (delta) => delta >= 0 ? `+${delta}` : `${delta}`;
+        recommendedList.innerHTML = shown.map(fn => `
+            <li class="recommendation p-1 hover:bg-indigo-100 rounded cursor-pointer" data-function="${escapeHtml(fn.name)}" data-file="${escapeHtml(fn.file)}">
+                <div class="flex justify-between font-mono text-sm"><span>${escapeHtml(fn.name)}</span><span class="recommendation-score">${fn.score}</span></div>
+                <div class="text-xs text-slate-500">${escapeHtml(fn.file)}: ${fn.factors.map(factor => `${escapeHtml(factor.reason)} (${signed(factor.delta)})`).join(', ')}</div>
+            </li>`).join('');
+    }
+
+    // Switches the file picker to an asm file, unless it is already selected.
+    async function openAsmFile(relativePath) {
+        const { asmSelectValue } = elements.decomp;
+        if (asmSelectValue.dataset.value === relativePath) return;
+        asmSelectValue.dataset.value = relativePath;
+        asmSelectValue.querySelector('span').textContent = relativePath;
+        await findVacantFunctions();
+    }
+
+    // Selects a function that may live in another asm file, switching the file picker first.
+    async function openFunction(funcName, relativePath) {
+        await openAsmFile(relativePath);
+        await selectTarget(funcName, relativePath);
+    }
+
+    async function loadFunctionInfo(funcName) {
+        const infoBox = elements.decomp.functionInfoBox;
+        infoBox.innerHTML = '<p class="text-slate-400 italic">Loading...</p>';
+        const info = await window.electronAPI.getFunctionInfo({ projectPath: state.projectPath, functionName: funcName });
+        if (state.refactorContext.functionName !== funcName) return; // Another function was selected meanwhile.
+        if (info.error) {
+            infoBox.innerHTML = `<p class="text-red-500 italic">${escapeHtml(info.error)}</p>`;
+            return;
         }
+        const link = (fn) => fn.kind === 'data'
+            ? `<span class="function-info-data" title="Referenced from data in ${escapeHtml(fn.file)}">${escapeHtml(fn.name)}</span>`
+            : `<a class="function-info-link${fn.kind === 'reference' ? ' function-info-reference' : ''}" data-function="${escapeHtml(fn.name)}" data-file="${escapeHtml(fn.file)}" title="${escapeHtml(fn.file)}${fn.kind === 'reference' ? ' (takes its address)' : ''}">${escapeHtml(fn.name)}</a>`;
+        const list = (title, functions) => `
+            <p class="mt-1"><strong>${title} (${functions.length}):</strong> ${functions.length > 0 ? functions.map(link).join(', ') : '<span class="text-slate-400">none</span>'}</p>`;
+        infoBox.innerHTML = `
+            <p><strong>Address:</strong> ${info.address === null ? '?' : hex(info.address)} &nbsp; <strong>Size:</strong> ${hex(info.size)} (${info.size} bytes) &nbsp; <strong>Section:</strong> ${escapeHtml(info.section)}</p>
+            <p><strong>File:</strong> ${escapeHtml(info.file)} &nbsp; <a class="function-info-link" data-callgraph="${escapeHtml(info.name)}">Show call graph</a></p>
+            <p><strong>Declared in:</strong> ${info.declaredIn.length > 0 ? info.declaredIn.map(escapeHtml).join(', ') : '<span class="text-slate-400">no header</span>'}</p>
+            ${list('Callees', info.callees)}
+            ${info.references.length > 0 ? list('References', info.references) : ''}
+            ${list('Callers', info.callers)}`;
     }
 
-    async function inspectAssemblyLine(lineText) {
+    async function inspectAssemblyLine(lineText, lineIndex) {
         const inspectorBox = elements.decomp.structInspectorBox;
         const match = lineText.match(/0x[a-fA-F0-9]+\((r\d{1,2})\)/);
         if (!match) {
@@ -370,46 +669,201 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const offsetHex = match[0].split('(')[0];
         const offset = parseInt(offsetHex, 16);
+        const baseType = state.registerTypes[lineIndex];
         inspectorBox.innerHTML = '<p class="text-slate-400 italic">Searching...</p>';
         
-        const results = await window.electronAPI.structs.lookup(offset);
-        if (results && results.length > 0) {
-            inspectorBox.innerHTML = results.map(res => `
+        const results = await window.electronAPI.structs.lookup(offset, baseType ? baseType.structName : undefined);
+        const renderResult = (res) => `
                 <div class="p-1 border-b">
-                    <p><strong>Struct:</strong> ${res.structName}</p>
-                    <p><strong>Member:</strong> ${res.member.type} ${res.member.name}</p>
-                    <p><strong>Syntax:</strong> <code class="bg-indigo-100 text-indigo-800 rounded px-1">gobj->${res.member.name}</code></p>
-                </div>`).join('');
-            logMessage(`Found ${results.length} matches for offset ${offsetHex}.`, 'success');
+                    <p><strong>Struct:</strong> ${escapeHtml(res.structName)}</p>
+                    <p><strong>Type:</strong> ${escapeHtml(res.type)}</p>
+                    <p><strong>Syntax:</strong> <code class="bg-indigo-100 text-indigo-800 rounded px-1">${escapeHtml(res.path)}</code></p>
+                </div>`;
+        const baseNote = baseType ? `<p class="text-xs text-slate-500 mb-1">${escapeHtml(baseType.register)} is <code>${escapeHtml(baseType.type)}</code></p>` : '';
+        if (results && results.length > 0) {
+            const inferred = results.filter(res => res.inferred);
+            const others = results.filter(res => !res.inferred);
+            if (inferred.length > 0) {
+                inspectorBox.innerHTML = baseNote + inferred.map(renderResult).join('') + (others.length > 0 ? `
+                    <details class="mt-1">
+                        <summary class="text-xs text-slate-500 cursor-pointer">${others.length} other candidate${others.length === 1 ? '' : 's'}</summary>
+                        ${others.map(renderResult).join('')}
+                    </details>` : '');
+            } else {
+                inspectorBox.innerHTML = baseNote + others.map(renderResult).join('');
+            }
+            logMessage(`Found ${results.length} matches for offset ${offsetHex}${inferred.length > 0 ? ` (${inferred.length} in ${baseType.structName})` : ''}.`, 'success');
         } else {
-            inspectorBox.innerHTML = '<p class="text-slate-400 italic">No matching struct members found.</p>';
+            inspectorBox.innerHTML = baseNote + '<p class="text-slate-400 italic">No matching struct members found.</p>';
         }
     }
 
     // --- Build View Logic ---
+    // Injection is previewed first: nothing is written until the hunks are reviewed.
     async function injectCode() {
         const code = elements.build.matchedCode.value;
         const file = elements.decomp.asmSelectValue.dataset.value;
         if (!code || !file || !state.projectPath) { logMessage("Missing code, file, or project path.", "error"); return; }
-        logMessage(`Injecting code into C/H files for ${file}...`);
-        const result = await window.electronAPI.injectCode({ projectPath: state.projectPath, relativePath: file, code });
-        if (result.success) logMessage("Code injected successfully.", "success");
+        logMessage(`Preparing injection into C/H files for ${file}...`);
+        const preview = await window.electronAPI.previewInjection({ projectPath: state.projectPath, relativePath: file, code });
+        if (preview.error) { logMessage(`Error injecting code: ${preview.error}`, "error"); return; }
+        if (preview.files.length === 0) { logMessage(`Nothing to inject: ${preview.functions.join(', ') || 'the code'} is already up to date.`, "info"); return; }
+        state.injectionPreview = { relativePath: file, code, ...preview };
+        renderInjectionPreview();
+        elements.injectPreview.overlay.classList.remove('hidden');
+    }
+
+    // A hunk from text-diff as table rows with old and new line numbers.
+    function renderHunkRows(hunk) {
+        let oldLine = hunk.oldStart + 1, newLine = hunk.newStart + 1;
+        return hunk.lines.map(line => {
+            const [oldNumber, newNumber] = line.type === 'insert' ? ['', newLine++] : line.type === 'delete' ? [oldLine++, ''] : [oldLine++, newLine++];
+            const marker = { equal: ' ', delete: '-', insert: '+' }[line.type];
+            return `<tr class="hunk-${line.type}"><td class="diff-line-no">${oldNumber}</td><td class="diff-line-no">${newNumber}</td><td>${marker} ${escapeHtml(line.text)}</td></tr>`;
+        }).join('');
+    }
+
+    const hunkRange = (hunk) => `@@ -${hunk.oldStart + 1},${hunk.oldLines} +${hunk.newStart + 1},${hunk.newLines} @@`;
+
+    function renderInjectionHunk(fileIndex, hunk) {
+        return `
+            <div class="inject-hunk" data-file="${fileIndex}" data-hunk="${hunk.index}">
+                <label class="inject-hunk-header"><input type="checkbox" class="inject-hunk-toggle" checked> Accept <span class="font-mono">${hunkRange(hunk)}</span></label>
+                <table class="diff-table">${renderHunkRows(hunk)}</table>
+            </div>`;
+    }
+
+    function renderInjectionPreview() {
+        const { functions, summary, files } = state.injectionPreview;
+        elements.injectPreview.title.textContent = functions.join(', ') || 'declarations';
+        // One line per pasted item: what was added, replaced or skipped, and where.
+        const items = summary.map(item => `
+            <li class="inject-summary-${item.action}"><span class="inject-summary-action">${item.action}</span> ${escapeHtml(item.kind)} <span class="font-mono">${escapeHtml(item.name || '')}</span>${item.detail ? ` <span class="text-slate-500">${escapeHtml(item.detail)}</span>` : ''}</li>`).join('');
+        elements.injectPreview.files.innerHTML = `<ul class="inject-summary">${items}</ul>` + files.map((file, fileIndex) => `
+            <div class="inject-file">
+                <h4 class="inject-file-name">${escapeHtml(file.file)}${file.isNew ? ' <span class="inject-file-new">new file</span>' : ''}</h4>
+                ${file.hunks.map(hunk => renderInjectionHunk(fileIndex, hunk)).join('')}
+            </div>`).join('');
+        updateInjectionSummary();
+    }
+
+    function updateInjectionSummary() {
+        const toggles = [...elements.injectPreview.files.querySelectorAll('.inject-hunk-toggle')];
+        toggles.forEach(toggle => toggle.closest('.inject-hunk').classList.toggle('rejected', !toggle.checked));
+        const accepted = toggles.filter(toggle => toggle.checked).length;
+        elements.injectPreview.summary.textContent = `${accepted} of ${toggles.length} hunk${toggles.length === 1 ? '' : 's'} accepted`;
+        elements.injectPreview.applyBtn.disabled = accepted === 0;
+    }
+
+    function setAllInjectionHunks(checked) {
+        elements.injectPreview.files.querySelectorAll('.inject-hunk-toggle').forEach(toggle => { toggle.checked = checked; });
+        updateInjectionSummary();
+    }
+
+    function closeInjectionPreview() {
+        elements.injectPreview.overlay.classList.add('hidden');
+        state.injectionPreview = null;
+    }
+
+    async function applyInjectionPreview() {
+        const preview = state.injectionPreview;
+        if (!preview) return;
+        // { file: { baseHash, hunks } } for the hunks left checked.
+        const accepted = {};
+        elements.injectPreview.files.querySelectorAll('.inject-hunk').forEach(hunk => {
+            if (!hunk.querySelector('.inject-hunk-toggle').checked) return;
+            const file = preview.files[hunk.dataset.file];
+            if (!accepted[file.file]) accepted[file.file] = { baseHash: file.baseHash, hunks: [] };
+            accepted[file.file].hunks.push(parseInt(hunk.dataset.hunk, 10));
+        });
+        closeInjectionPreview();
+        const result = await window.electronAPI.applyInjection({ projectPath: state.projectPath, relativePath: preview.relativePath, code: preview.code, accepted });
+        if (result.success) logMessage(`Code injected successfully into ${result.written.join(', ')}.`, "success");
         else logMessage(`Error injecting code: ${result.error}`, "error");
     }
 
     async function revertChanges() {
         const file = elements.decomp.asmSelectValue.dataset.value;
         if (!file || !state.projectPath) { logMessage("Missing file or project path.", "error"); return; }
-        logMessage(`Reverting changes for ${file}...`);
+        logMessage(`Restoring the C and header files of ${file} from git...`);
         const result = await window.electronAPI.revertChanges({ projectPath: state.projectPath, relativePath: file });
-        if (result.success) logMessage("File changes reverted successfully.", "success");
+        if (result.success) logMessage("Files restored from git. The restore can be undone from History.", "success");
         else logMessage(`Error reverting changes: ${result.error}`, "error");
     }
 
     async function runNinjaVerification() {
         if (!state.projectPath) { logMessage("Project path not set.", "error"); return; }
         logMessage("--- Running local verification build ---", "info");
-        await window.electronAPI.execCommand('ninja', state.projectPath + '\\melee', state.sessionEnv);
+        renderProblems(await window.electronAPI.build.run({ projectPath: state.projectPath }));
+    }
+
+    // Builds only the object of the file selected in the Decompilation view.
+    // Runs one of the main process's named operations (see src/commands.js); the output
+    // goes to the console.
+    async function runProjectCommand(operation, args) {
+        if (!state.projectPath) { logMessage("Please select a project folder first.", "error"); return; }
+        const result = await window.electronAPI.execCommand(operation, args);
+        if (result.errorType) logMessage(`Could not run ${operation}: ${result.error}`, "error");
+    }
+
+    function diffSelectedFile() {
+        const file = elements.decomp.asmSelectValue.dataset.value;
+        if (!file) { logMessage("Select an assembly file first.", "error"); return; }
+        runProjectCommand('git-diff', { file: `src/melee/${file.replace(/\.s$/, '.c')}` });
+    }
+
+    async function buildSelectedObject() {
+        const file = elements.decomp.asmSelectValue.dataset.value;
+        if (!file || !state.projectPath) { logMessage("Missing file or project path.", "error"); return; }
+        logMessage(`--- Building the object for ${file} ---`, "info");
+        renderProblems(await window.electronAPI.build.run({ projectPath: state.projectPath, relativePath: file }));
+    }
+
+    // --- Problems Panel ---
+    function renderProblems(result) {
+        const { problemsSummary, problemsList } = elements.build;
+        if (result.error) {
+            logMessage(`Build error: ${result.error}`, "error");
+            return;
+        }
+        state.problems = result.diagnostics;
+        const count = (severity) => result.diagnostics.filter(d => d.severity === severity).length;
+        const errors = count('error'), warnings = count('warning');
+        problemsSummary.textContent = `${result.target || 'Full build'}: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+        if (result.diagnostics.length === 0) {
+            problemsList.innerHTML = `<li class="text-slate-400 italic">${result.success ? 'Build succeeded with no problems.' : 'Build failed; see the console for its output.'}</li>`;
+        } else {
+            problemsList.innerHTML = result.diagnostics.map((problem, index) => {
+                const location = problem.file ? `${problem.file}${problem.line ? `:${problem.line}${problem.column ? `:${problem.column}` : ''}` : ''}` : 'ninja';
+                return `<li class="problem problem-${problem.severity}${problem.functionName ? ' navigable' : ''}" data-index="${index}">
+                    <span class="problem-severity">${problem.severity}</span>
+                    <span class="problem-message">${escapeHtml(problem.message)}</span>
+                    <span class="problem-location font-mono">${escapeHtml(location)}${problem.functionName ? ` in ${escapeHtml(problem.functionName)}` : ''}</span>
+                </li>`;
+            }).join('');
+        }
+        if (result.success) logMessage(`Build of ${result.target || 'the project'} succeeded.`, "success");
+        else logMessage(`Build of ${result.target || 'the project'} failed with ${errors} error${errors === 1 ? '' : 's'}.`, "error");
+    }
+
+    // Opens the function a problem is in and selects the problem's line in the C editor.
+    async function openProblem(problem) {
+        if (!problem.functionName) {
+            logMessage(`${problem.file || 'ninja'}${problem.line ? `:${problem.line}` : ''} is not inside a function of a game C file.`, "info");
+            return;
+        }
+        state.refactorContext = { functionName: problem.functionName, relativePath: problem.relativePath };
+        await loadRefactorView();
+        const editor = elements.refactor.cCodeEditor;
+        const lines = editor.value.split('\n');
+        const line = Math.min(problem.functionLine, lines.length);
+        const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+        const column = problem.column ? Math.min(problem.column - 1, lines[line - 1].length) : 0;
+        editor.focus();
+        editor.setSelectionRange(start + column, start + lines[line - 1].length);
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 16;
+        editor.scrollTop = Math.max(0, (line - 3) * lineHeight);
+        setRefactorStatus(`${problem.severity}: ${problem.message}`, { isError: problem.severity === 'error', duration: 6000 });
     }
 
     function submitToGithub() {
@@ -503,7 +957,7 @@ document.addEventListener('DOMContentLoaded', () => {
             </tr>`;
             if (isMismatch && isExpanded) {
                  const mismatchedSymbols = unit.symbols.filter(s => s.match_percent < 1.0);
-                 let detailsHtml = mismatchedSymbols.map(s => `<li class="font-mono text-xs py-1 px-2 border-b"><strong>${s.name}</strong> - ${(s.match_percent * 100).toFixed(2)}%</li>`).join('');
+                 let detailsHtml = mismatchedSymbols.map(s => `<li class="symbol-diff-link font-mono text-xs py-1 px-2 border-b" data-unit-name="${unit.name}" data-symbol-name="${s.name}" title="Show instruction diff"><strong>${s.name}</strong> - ${(s.match_percent * 100).toFixed(2)}%</li>`).join('');
                  rowHtml += `<tr class="details-row"><td colspan="3"><div class="details-content bg-slate-50"><h4 class="text-sm font-bold p-2 bg-slate-200">Mismatched Functions</h4><ul>${detailsHtml}</ul></div></td></tr>`;
             }
             return rowHtml;
@@ -519,6 +973,49 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    async function openFunctionDiff(unitName, functionName) {
+        const { diffSection, diffTitle, diffContainer } = elements.dashboard;
+        diffSection.classList.remove('hidden');
+        diffTitle.textContent = functionName;
+        diffContainer.innerHTML = '<p class="text-slate-400 italic p-2">Running objdiff-cli...</p>';
+        diffSection.scrollIntoView({ behavior: 'smooth' });
+
+        const result = await window.electronAPI.objdiff.diffFunction({ unitName, functionName });
+        if (result.error) {
+            logMessage(`Error diffing ${functionName}: ${result.error}`, 'error');
+            diffContainer.innerHTML = `<p class="text-red-500 p-2">Error: ${escapeHtml(result.error)}</p>`;
+            return;
+        }
+        diffTitle.textContent = `${functionName} (${result.matchPercent.toFixed(2)}%)`;
+        renderFunctionDiff(result.rows);
+    }
+
+    function renderDiffSide(side, otherSide, sideClass) {
+        if (!side) return `<td class="diff-addr"></td><td class="diff-code ${sideClass}"></td><td class="diff-branch"></td>`;
+        const code = side.tokens.map(token => token.diff ? `<span class="diff-${token.diff}">${escapeHtml(token.text)}</span>` : escapeHtml(token.text)).join('');
+        let branch = '';
+        if (side.branchTo !== null) {
+            const mismatch = otherSide && otherSide.branchTo !== null && otherSide.branchTo !== side.branchTo;
+            branch = `<span class="${mismatch ? 'diff-branch-mismatch' : ''}">→ ${side.branchTo}</span>`;
+        }
+        return `<td class="diff-addr">${side.address.toString(16).toUpperCase()}</td><td class="diff-code ${sideClass}">${code}</td><td class="diff-branch">${branch}</td>`;
+    }
+
+    function renderFunctionDiff(rows) {
+        const body = rows.map(row => `
+            <tr class="diff-row-${row.kind}">
+                <td class="diff-line-no">${row.index}</td>
+                ${renderDiffSide(row.target, row.base, 'diff-target')}
+                <td class="diff-gap"></td>
+                ${renderDiffSide(row.base, row.target, 'diff-base')}
+            </tr>`).join('');
+        elements.dashboard.diffContainer.innerHTML = `
+            <table class="diff-table">
+                <thead><tr><th>#</th><th colspan="3">Target</th><th></th><th colspan="3">Base</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>`;
+    }
+
     function setDashboardLoadingState(isLoading) {
         elements.dashboard.runReportBtn.disabled = isLoading;
         if (isLoading) {
@@ -537,6 +1034,383 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.dashboard.reportPlaceholder.classList.add('text-red-500');
     }
 
+    // --- Struct Browser Logic ---
+    const STRUCT_LIST_LIMIT = 300;
+
+    async function loadStructBrowser() {
+        state.structList = await window.electronAPI.structs.list();
+        state.structDetails.clear();
+        renderStructList();
+        // Re-fetch the layouts of structs that stay expanded across a refresh.
+        for (const name of state.structsExpanded) {
+            const details = await window.electronAPI.structs.describe(name);
+            if (!details.error) state.structDetails.set(name, details);
+        }
+        if (state.structsExpanded.size > 0) renderStructList();
+    }
+
+    function renderStructList() {
+        const { list, summary } = elements.structs;
+        const mismatchCount = state.structList.filter(struct => struct.sizeMismatch).length;
+        summary.textContent = `${state.structList.length} structs, ${mismatchCount} size mismatch${mismatchCount === 1 ? '' : 'es'}`;
+
+        const matches = state.structList.filter(struct =>
+            struct.name.toLowerCase().includes(state.structsFilterQuery) && (!state.structsMismatchesOnly || struct.sizeMismatch));
+        if (matches.length === 0) {
+            list.innerHTML = '<li class="text-slate-400 italic p-2">No structs found.</li>';
+            return;
+        }
+        const overflow = matches.length - STRUCT_LIST_LIMIT;
+        list.innerHTML = matches.slice(0, STRUCT_LIST_LIMIT).map(renderStructItem).join('')
+            + (overflow > 0 ? `<li class="text-slate-400 italic p-2">${overflow} more. Refine the search to see them.</li>` : '');
+    }
+
+    function renderStructItem(struct) {
+        const expanded = state.structsExpanded.has(struct.name);
+        const details = expanded && state.structDetails.get(struct.name);
+        const mismatch = struct.sizeMismatch
+            ? `<span class="struct-size-mismatch" title="STATIC_ASSERT at ${escapeHtml(struct.sizeMismatch.file)}:${struct.sizeMismatch.line}">computed ${hex(struct.sizeMismatch.actual)}, asserted ${hex(struct.sizeMismatch.expected)}</span>`
+            : '';
+        let body = '';
+        if (details) body = renderStructTable(details);
+        else if (expanded) body = '<p class="text-slate-400 italic p-2">Loading...</p>';
+        return `
+            <li class="struct-item" data-struct-name="${escapeHtml(struct.name)}">
+                <div class="struct-item-header">
+                    <span class="font-mono font-semibold">${expanded ? '▼' : '▶'} ${escapeHtml(struct.name)}</span>
+                    <span class="text-xs text-slate-500">${struct.kind}, ${hex(struct.size)} bytes, ${struct.memberCount} members, ${escapeHtml(struct.file)}:${struct.line}</span>
+                    ${mismatch}
+                </div>
+                ${body}
+            </li>`;
+    }
+
+    function renderStructTable(details) {
+        const rows = details.rows.map(row => {
+            const indent = '  '.repeat(row.depth);
+            if (row.kind === 'padding') {
+                return `<tr class="struct-row-padding"><td class="struct-offset">${hex(row.offset)}</td><td>${hex(row.size)}</td><td></td><td>${indent}(${row.size} byte${row.size === 1 ? '' : 's'} of padding)</td></tr>`;
+            }
+            const bits = row.bitWidth !== undefined ? `:${row.bitOffset}+${row.bitWidth}` : '';
+            const rowClass = row.placeholder ? 'struct-row-placeholder' : '';
+            const name = row.name === null ? '(anonymous)' : escapeHtml(row.name);
+            return `<tr class="${rowClass}"><td class="struct-offset">${hex(row.offset)}${bits}</td><td>${hex(row.size)}</td><td>${escapeHtml(row.type)}</td><td>${indent}${name}</td></tr>`;
+        }).join('');
+        return `
+            <table class="struct-table">
+                <thead><tr><th>Offset</th><th>Size</th><th>Type</th><th>Name</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    async function toggleStruct(name) {
+        if (state.structsExpanded.has(name)) {
+            state.structsExpanded.delete(name);
+            renderStructList();
+            return;
+        }
+        state.structsExpanded.add(name);
+        renderStructList();
+        if (!state.structDetails.has(name)) {
+            const details = await window.electronAPI.structs.describe(name);
+            if (details.error) {
+                logMessage(details.error, 'error');
+                state.structsExpanded.delete(name);
+            } else {
+                state.structDetails.set(name, details);
+            }
+            renderStructList();
+        }
+    }
+
+    // --- Call Graph Logic ---
+    const GRAPH_NODE_WIDTH = 210, GRAPH_NODE_HEIGHT = 26, GRAPH_COLUMN_GAP = 70, GRAPH_ROW_GAP = 10, GRAPH_PADDING = 20;
+
+    function showCallGraph(funcName) {
+        elements.callGraph.functionInput.value = funcName;
+        showView('view-callgraph', 'Call Graph');
+        loadCallGraph();
+    }
+
+    async function loadCallGraph() {
+        const { functionInput, depthInput, unmatchedCheckbox, container, summary } = elements.callGraph;
+        const functionName = functionInput.value.trim();
+        if (!functionName) return;
+        container.innerHTML = '<p class="text-slate-400 italic p-4">Building call graph...</p>';
+        const graph = await window.electronAPI.callGraph.neighborhood({
+            projectPath: state.projectPath,
+            functionName,
+            depth: parseInt(depthInput.value, 10) || 2,
+            unmatchedOnly: unmatchedCheckbox.checked,
+        });
+        if (graph.error) {
+            container.innerHTML = `<p class="text-red-500 italic p-4">${escapeHtml(graph.error)}</p>`;
+            summary.textContent = '';
+            return;
+        }
+        state.callGraphRoot = graph.root;
+        summary.textContent = `${graph.nodes.length} functions, ${graph.edges.length} calls${graph.truncated ? ' (truncated)' : ''}${graph.hasReport ? '' : ' - run a report on the Dashboard to color by match status'}`;
+        renderCallGraph(graph);
+    }
+
+    // Lays the graph out in columns by level (callers left of the root, callees right)
+    // and draws it as SVG.
+    function renderCallGraph(graph) {
+        const columns = new Map();
+        graph.nodes.forEach(node => {
+            if (!columns.has(node.level)) columns.set(node.level, []);
+            columns.get(node.level).push(node);
+        });
+        const levels = [...columns.keys()].sort((a, b) => a - b);
+        const positions = new Map();
+        levels.forEach((level, columnIndex) => {
+            columns.get(level).sort((a, b) => a.name.localeCompare(b.name)).forEach((node, rowIndex) => {
+                positions.set(node.name, {
+                    x: GRAPH_PADDING + columnIndex * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP),
+                    y: GRAPH_PADDING + rowIndex * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP),
+                });
+            });
+        });
+        const width = GRAPH_PADDING * 2 + levels.length * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP) - GRAPH_COLUMN_GAP;
+        const height = GRAPH_PADDING * 2 + Math.max(...[...columns.values()].map(column => column.length)) * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) - GRAPH_ROW_GAP;
+
+        const edges = graph.edges.map(({ from, to }) => {
+            const start = positions.get(from), end = positions.get(to);
+            const x1 = start.x + GRAPH_NODE_WIDTH, y1 = start.y + GRAPH_NODE_HEIGHT / 2;
+            const x2 = end.x, y2 = end.y + GRAPH_NODE_HEIGHT / 2;
+            const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+            return `<path class="callgraph-edge" marker-end="url(#callgraph-arrow)" d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}"></path>`;
+        }).join('');
+        const nodes = graph.nodes.map(node => {
+            const { x, y } = positions.get(node.name);
+            const label = node.name.length > 28 ? `${node.name.slice(0, 27)}…` : node.name;
+            const percent = node.matchPercent === undefined ? 'not in report' : `${node.matchPercent.toFixed(1)}%`;
+            return `
+                <g class="callgraph-node ${node.status}${node.name === graph.root ? ' root' : ''}" data-function="${escapeHtml(node.name)}" data-file="${escapeHtml(node.file)}" transform="translate(${x},${y})">
+                    <title>${escapeHtml(`${node.name}\n${node.file}\n${node.size} bytes, ${percent}`)}</title>
+                    <rect width="${GRAPH_NODE_WIDTH}" height="${GRAPH_NODE_HEIGHT}" rx="4"></rect>
+                    <text x="8" y="${GRAPH_NODE_HEIGHT / 2 + 4}">${escapeHtml(label)}</text>
+                </g>`;
+        }).join('');
+        elements.callGraph.container.innerHTML = `
+            <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+                <defs><marker id="callgraph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#94a3b8"></path></marker></defs>
+                ${edges}${nodes}
+            </svg>`;
+    }
+
+    // A click re-centers the graph on the node; a double-click opens it in the Decompilation view.
+    function handleCallGraphClick(e) {
+        const node = e.target.closest('.callgraph-node');
+        if (!node) return;
+        clearTimeout(state.callGraphClickTimer);
+        if (e.detail > 1) {
+            showView('view-decomp', 'Decompilation');
+            openFunction(node.dataset.function, node.dataset.file);
+            return;
+        }
+        if (node.dataset.function === state.callGraphRoot) return;
+        state.callGraphClickTimer = setTimeout(() => {
+            elements.callGraph.functionInput.value = node.dataset.function;
+            loadCallGraph();
+        }, 250);
+    }
+
+    // --- History Logic ---
+    const HISTORY_KINDS = { injection: 'Injection', refactor: 'Refactor save', restore: 'Git restore' };
+
+    async function loadHistory() {
+        if (!state.projectPath) return;
+        const result = await window.electronAPI.history.list({ projectPath: state.projectPath });
+        const { list, summary } = elements.history;
+        if (result.error) {
+            list.innerHTML = `<li class="text-red-500 italic">${escapeHtml(result.error)}</li>`;
+            return;
+        }
+        summary.textContent = `${result.entries.length} entr${result.entries.length === 1 ? 'y' : 'ies'}`;
+        if (result.entries.length === 0) {
+            list.innerHTML = '<li class="text-slate-400 italic">No changes recorded yet.</li>';
+            return;
+        }
+        list.innerHTML = result.entries.map(entry => `
+            <li class="history-entry${entry.undone ? ' undone' : ''}" data-id="${entry.id}">
+                <div class="history-entry-header">
+                    <span class="history-kind history-kind-${entry.kind}">${HISTORY_KINDS[entry.kind] || escapeHtml(entry.kind)}</span>
+                    <span class="history-description">${escapeHtml(entry.description)}</span>
+                    <span class="history-time">${new Date(entry.time).toLocaleString()}</span>
+                    <button class="btn btn-secondary history-action" data-action="diff">Diff</button>
+                    <button class="btn btn-secondary history-action" data-action="${entry.undone ? 'redo' : 'undo'}">${entry.undone ? 'Redo' : 'Undo'}</button>
+                </div>
+                <div class="history-files">${entry.files.map(file => `<span class="font-mono">${escapeHtml(file.file)}</span> <span class="history-added">+${file.added}</span> <span class="history-removed">-${file.removed}</span>`).join(' &nbsp; ')}</div>
+            </li>`).join('');
+    }
+
+    async function showHistoryDiff(id, description) {
+        const { diffSection, diffTitle, diffContainer } = elements.history;
+        const result = await window.electronAPI.history.diff({ projectPath: state.projectPath, id });
+        diffTitle.textContent = description;
+        diffContainer.innerHTML = result.error
+            ? `<p class="text-red-500 italic">${escapeHtml(result.error)}</p>`
+            : result.files.map(file => `
+                <div class="inject-file">
+                    <h4 class="inject-file-name">${escapeHtml(file.file)}</h4>
+                    ${file.hunks.map(hunk => `<div class="inject-hunk"><div class="inject-hunk-header font-mono">${hunkRange(hunk)}</div><table class="diff-table">${renderHunkRows(hunk)}</table></div>`).join('')}
+                </div>`).join('');
+        diffSection.classList.remove('hidden');
+    }
+
+    async function handleHistoryClick(e) {
+        const button = e.target.closest('.history-action');
+        if (!button) return;
+        const entry = button.closest('.history-entry');
+        const id = parseInt(entry.dataset.id, 10);
+        if (button.dataset.action === 'diff') return showHistoryDiff(id, entry.querySelector('.history-description').textContent);
+        button.disabled = true;
+        const result = await window.electronAPI.history[button.dataset.action]({ projectPath: state.projectPath, id });
+        if (result.success) logMessage(`${button.dataset.action === 'undo' ? 'Undid' : 'Redid'} changes to ${result.written.join(', ')}.`, "success");
+        else logMessage(`Error: ${result.error}`, "error");
+        loadHistory();
+    }
+
+    // --- Command Palette Logic ---
+    const PALETTE_RESULT_LIMIT = 50;
+    const PALETTE_REFRESH_MS = 30000; // Statuses change with builds, so the index is re-fetched when stale.
+
+    const PALETTE_COMMANDS = [
+        { label: 'Run objdiff report', run: () => { showView('view-dashboard', 'Verification Dashboard'); handleDashboardRunReport(); } },
+        { label: 'Build project (ninja)', run: () => { showView('view-build', 'Build & Verify'); runNinjaVerification(); } },
+        { label: 'Build the selected object', run: () => { showView('view-build', 'Build & Verify'); buildSelectedObject(); } },
+        { label: 'Git restore the selected file', run: revertChanges },
+        { label: 'Git status', run: () => runProjectCommand('git-status') },
+        { label: 'Git diff the selected C file', run: diffSelectedFile },
+        { label: 'Re-run configure.py', run: () => runProjectCommand('configure') },
+        { label: 'Cancel all running tasks', run: cancelAllJobs },
+        { label: 'Show history of changes', run: () => { showView('view-history', 'History'); loadHistory(); } },
+        { label: 'Refresh recommendations', run: () => { showView('view-decomp', 'Decompilation'); loadRecommendations(); } },
+        { label: 'Show call graph for the selected function', run: () => state.refactorContext.functionName && showCallGraph(state.refactorContext.functionName) },
+        { label: 'Reload struct database', run: loadStructDatabase },
+        { label: 'Reload symbol index', run: () => { state.paletteLoadedAt = 0; loadPaletteSymbols(); } },
+    ];
+
+    // Subsequence match of `query` in `text`, favoring consecutive characters and word
+    // starts. Returns { score, positions } or null if `text` does not contain the query.
+    function fuzzyMatch(query, text) {
+        const lowerText = text.toLowerCase();
+        const positions = [];
+        let score = 0, from = 0;
+        for (const char of query.toLowerCase()) {
+            const index = lowerText.indexOf(char, from);
+            if (index === -1) return null;
+            const previous = positions[positions.length - 1];
+            score += 1;
+            if (previous !== undefined && index === previous + 1) score += 5;
+            if (index === 0 || /[_/.@]/.test(text[index - 1])) score += 3;
+            positions.push(index);
+            from = index + 1;
+        }
+        return { score: score - text.length * 0.01, positions };
+    }
+
+    function highlightMatch(text, positions) {
+        const marked = new Set(positions);
+        return [...text].map((char, i) => marked.has(i) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)).join('');
+    }
+
+    async function loadPaletteSymbols() {
+        if (state.paletteSymbols && Date.now() - state.paletteLoadedAt < PALETTE_REFRESH_MS) return;
+        const result = await window.electronAPI.listSymbols({ projectPath: state.projectPath });
+        if (result.error) {
+            logMessage(`Error loading symbol index: ${result.error}`, 'error');
+            return;
+        }
+        state.paletteSymbols = result.symbols;
+        state.paletteLoadedAt = Date.now();
+        if (!elements.palette.overlay.classList.contains('hidden')) updatePaletteResults();
+    }
+
+    function openPalette(initialQuery = '') {
+        if (!state.isSetupComplete) return;
+        const { overlay, input } = elements.palette;
+        overlay.classList.remove('hidden');
+        input.value = initialQuery;
+        input.focus();
+        updatePaletteResults();
+        loadPaletteSymbols();
+    }
+
+    function closePalette() {
+        elements.palette.overlay.classList.add('hidden');
+    }
+
+    function updatePaletteResults() {
+        const query = elements.palette.input.value;
+        let results;
+        if (query.startsWith('>')) {
+            const commandQuery = query.slice(1).trim();
+            results = PALETTE_COMMANDS
+                .map(command => ({ command, match: commandQuery ? fuzzyMatch(commandQuery, command.label) : { score: 0, positions: [] } }))
+                .filter(result => result.match);
+        } else if (!state.paletteSymbols) {
+            results = [];
+        } else {
+            const symbolQuery = query.trim();
+            results = symbolQuery ? state.paletteSymbols
+                .map(symbol => ({ symbol, match: fuzzyMatch(symbolQuery, symbol.name) }))
+                .filter(result => result.match) : [];
+        }
+        results.sort((a, b) => b.match.score - a.match.score);
+        state.paletteResults = results.slice(0, PALETTE_RESULT_LIMIT);
+        state.paletteSelected = 0;
+        renderPaletteResults(query);
+    }
+
+    function renderPaletteResults(query) {
+        const { results } = elements.palette;
+        if (state.paletteResults.length === 0) {
+            const message = !query.startsWith('>') && !state.paletteSymbols ? 'Loading symbol index...' : query.trim() ? 'No matches.' : 'Type a symbol name, or > for commands.';
+            results.innerHTML = `<li class="palette-item text-slate-400 italic">${message}</li>`;
+            return;
+        }
+        results.innerHTML = state.paletteResults.map((result, index) => {
+            const selected = index === state.paletteSelected ? ' selected' : '';
+            if (result.command) {
+                return `<li class="palette-item${selected}" data-index="${index}"><span class="palette-kind">command</span><span class="palette-item-name">${highlightMatch(result.command.label, result.match.positions)}</span></li>`;
+            }
+            const { symbol } = result;
+            const kind = symbol.kind === 'function' ? (symbol.status || 'function') : symbol.section;
+            const address = symbol.address === null ? '' : `${hex(symbol.address)} · `;
+            return `<li class="palette-item${selected}" data-index="${index}"><span class="palette-kind ${escapeHtml(kind)}">${escapeHtml(kind)}</span><span class="palette-item-name">${highlightMatch(symbol.name, result.match.positions)}</span><span class="palette-item-detail">${address}${escapeHtml(symbol.file)}</span></li>`;
+        }).join('');
+        const selectedItem = results.querySelector('.palette-item.selected');
+        if (selectedItem) selectedItem.scrollIntoView({ block: 'nearest' });
+    }
+
+    async function runPaletteResult(index, inRefactor) {
+        const result = state.paletteResults[index];
+        if (!result) return;
+        closePalette();
+        if (result.command) return result.command.run();
+        const { symbol } = result;
+        showView('view-decomp', 'Decompilation');
+        if (symbol.kind === 'object') {
+            await openAsmFile(symbol.file);
+            return showSymbolDefinition(symbol.name);
+        }
+        await openFunction(symbol.name, symbol.file);
+        if (inRefactor) loadRefactorView();
+    }
+
+    function handlePaletteKeydown(e) {
+        const count = state.paletteResults.length;
+        if (e.key === 'Escape') return closePalette();
+        if (e.key === 'Enter') { e.preventDefault(); return runPaletteResult(state.paletteSelected, e.shiftKey); }
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+            e.preventDefault();
+            state.paletteSelected = (state.paletteSelected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            renderPaletteResults(elements.palette.input.value);
+        }
+    }
+
     // --- AI Refactor View Logic ---
     async function loadRefactorView() {
         showView('view-refactor', `AI Refactor: ${state.refactorContext.functionName}`);
@@ -620,6 +1494,7 @@ document.addEventListener('DOMContentLoaded', () => {
             newCCode: cCodeEditor.value
         });
 
+        if (result.output) logMessage(result.output, result.success ? 'stdout' : 'error');
         if (!result.success) {
             setRefactorStatus(`Error during ${result.step}: ${result.error}`, { isError: true });
         } else {
@@ -632,11 +1507,89 @@ document.addEventListener('DOMContentLoaded', () => {
         recompileBtn.disabled = false;
     }
 
+    // --- Task List ---
+    const JOB_STATUS_LABELS = { queued: 'Queued', running: 'Running', succeeded: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+    const isActiveJob = (job) => job.status === 'queued' || job.status === 'running';
+
+    function formatJobTime(job) {
+        if (job.status === 'queued') return `waiting ${Math.round((Date.now() - job.queuedAt) / 1000)}s`;
+        const seconds = ((job.endedAt || Date.now()) - job.startedAt) / 1000;
+        return seconds < 60 ? `${seconds.toFixed(1)}s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+    }
+
+    function renderJobs(jobs) {
+        state.jobs = jobs;
+        const { toggle, list } = elements.jobs;
+        const running = jobs.filter(job => job.status === 'running').length;
+        const queued = jobs.filter(job => job.status === 'queued').length;
+        toggle.textContent = running + queued === 0 ? 'No running tasks' : `${running} running${queued ? `, ${queued} queued` : ''}`;
+        toggle.classList.toggle('active', running + queued > 0);
+        if (jobs.length === 0) {
+            list.innerHTML = '<p class="text-slate-400 italic p-3">No tasks have run yet.</p>';
+            return;
+        }
+        // Active jobs first, then the most recently finished.
+        const ordered = [...jobs.filter(isActiveJob), ...jobs.filter(job => !isActiveJob(job)).reverse()];
+        list.innerHTML = ordered.map(job => `
+            <div class="job job-${job.status}" data-id="${job.id}">
+                <div class="job-row">
+                    <span class="job-status">${JOB_STATUS_LABELS[job.status]}</span>
+                    <span class="job-label font-mono" title="${escapeHtml(job.label)}">${escapeHtml(job.label)}</span>
+                    <span class="job-time">${formatJobTime(job)}</span>
+                    <button class="btn btn-secondary job-action" data-action="output">${state.jobOutputsOpen.has(job.id) ? 'Hide' : 'Output'}</button>
+                    ${isActiveJob(job) ? '<button class="btn btn-secondary job-action job-cancel" data-action="cancel">Cancel</button>' : ''}
+                </div>
+                ${state.jobOutputsOpen.has(job.id) ? '<pre class="job-output"></pre>' : ''}
+            </div>`).join('');
+        list.querySelectorAll('.job-output').forEach(pre => loadJobOutput(parseInt(pre.closest('.job').dataset.id, 10), pre));
+    }
+
+    async function loadJobOutput(id, pre) {
+        const result = await window.electronAPI.jobs.output(id);
+        if (result.error) { pre.textContent = result.error; return; }
+        pre.textContent = result.output || '(no output)';
+        pre.scrollTop = pre.scrollHeight;
+    }
+
+    async function handleJobListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const id = parseInt(button.closest('.job').dataset.id, 10);
+        if (button.dataset.action === 'cancel') {
+            button.disabled = true;
+            const result = await window.electronAPI.jobs.cancel(id);
+            if (result.error) logMessage(`Could not cancel the task: ${result.error}`, "error");
+        } else {
+            if (state.jobOutputsOpen.has(id)) state.jobOutputsOpen.delete(id);
+            else state.jobOutputsOpen.add(id);
+            renderJobs(state.jobs);
+        }
+    }
+
+    async function cancelAllJobs() {
+        const active = state.jobs.filter(isActiveJob);
+        if (active.length === 0) { logMessage("No tasks are running.", "info"); return; }
+        await Promise.all(active.map(job => window.electronAPI.jobs.cancel(job.id)));
+    }
+
     // --- Initialization & Event Listeners ---
     function init() {
         // Global Listeners
         window.electronAPI.onLogMessage(data => logMessage(data.trim(), data.startsWith('Executing:') ? 'command' : 'stdout'));
         window.electronAPI.onLogError(data => logMessage(data.trim(), 'error'));
+        window.electronAPI.structs.onUpdated(summary => {
+            logMessage(`Headers changed: struct database refreshed (${summary.parsed} of ${summary.total} headers re-parsed, ${summary.count} structs).`, 'info');
+            if (state.structList.length > 0) loadStructBrowser();
+        });
+        window.electronAPI.onIndexUpdated(summary => {
+            state.paletteLoadedAt = 0;
+            if (summary.full) logMessage(`Project index ready: ${summary.total} files (${summary.parsed} parsed, the rest from cache).`, 'info');
+            else logMessage(`Project index updated: ${summary.changed} file${summary.changed === 1 ? '' : 's'} changed.`, 'info');
+        });
+        window.electronAPI.jobs.onChanged(renderJobs);
+        window.electronAPI.jobs.list().then(result => renderJobs(result.jobs));
+        elements.jobs.toggle.addEventListener('click', () => elements.jobs.list.classList.toggle('hidden'));
+        elements.jobs.list.addEventListener('click', handleJobListClick);
         elements.githubLinkBtn.addEventListener('click', () => window.electronAPI.openExternal('https://github.com/doldecomp/melee'));
         elements.decompMeLinkBtn.addEventListener('click', () => window.electronAPI.openExternal('https://decomp.me/preset/63'));
 
@@ -645,6 +1598,11 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.nav.decomp.addEventListener('click', () => state.isSetupComplete && showView('view-decomp', 'Decompilation'));
         elements.nav.build.addEventListener('click', () => state.isSetupComplete && showView('view-build', 'Build & Verify'));
         elements.nav.dashboard.addEventListener('click', () => state.isSetupComplete && showView('view-dashboard', 'Verification Dashboard'));
+        elements.nav.structs.addEventListener('click', () => {
+            if (!state.isSetupComplete) return;
+            showView('view-structs', 'Struct Browser');
+            loadStructBrowser();
+        });
         elements.nav.settings.addEventListener('click', async () => { await loadSettings(); showView('view-settings', 'Toolchain Configuration'); });
 
         // Setup View
@@ -655,7 +1613,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // Settings View
         elements.settings.saveBtn.addEventListener('click', saveSettings);
         elements.settings.browseBtns.forEach(btn => btn.addEventListener('click', async (event) => {
-            const filePath = await window.electronAPI.selectFile({ filters: [{ name: event.currentTarget.dataset.filterName, extensions: [event.currentTarget.dataset.filterExt] }] });
+            // Executables only carry an extension on Windows.
+            const extension = window.electronAPI.platform === 'win32' ? event.currentTarget.dataset.filterExt : '*';
+            const filePath = await window.electronAPI.selectFile({ filters: [{ name: event.currentTarget.dataset.filterName, extensions: [extension] }] });
             if (filePath) document.getElementById(event.currentTarget.dataset.targetInput).value = filePath;
         }));
 
@@ -664,21 +1624,49 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.decomp.asmSelectValue.addEventListener('click', () => elements.decomp.asmSelectOptions.classList.toggle('hidden'));
         document.addEventListener('click', (e) => { if (!elements.decomp.asmFileSelect.contains(e.target)) elements.decomp.asmSelectOptions.classList.add('hidden'); });
         elements.decomp.checkDecompMeBtn.addEventListener('click', () => window.electronAPI.openExternal(`https://decomp.me/?q=${elements.decomp.selectedTarget.textContent}`));
-        elements.decomp.copyAssemblyBtn.addEventListener('click', () => navigator.clipboard.writeText(elements.decomp.targetAssemblyBox.innerText));
+        elements.decomp.copyAssemblyBtn.addEventListener('click', () => navigator.clipboard.writeText(state.targetAsmLines.join('\n')));
+        elements.decomp.targetAssemblyBox.addEventListener('click', handleTargetAssemblyClick);
         elements.decomp.copyContextBtn.addEventListener('click', () => navigator.clipboard.writeText(elements.decomp.contextBox.value));
         elements.decomp.refactorWithAIBtn.addEventListener('click', loadRefactorView);
+        elements.decomp.recommendRefreshBtn.addEventListener('click', loadRecommendations);
+        elements.decomp.recommendFilterInput.addEventListener('input', renderRecommendations);
+        elements.decomp.recommendNoFloatCheckbox.addEventListener('change', renderRecommendations);
+        elements.decomp.recommendedList.addEventListener('click', (e) => {
+            const item = e.target.closest('.recommendation');
+            if (item) openFunction(item.dataset.function, item.dataset.file);
+        });
+        elements.decomp.functionInfoBox.addEventListener('click', (e) => {
+            const link = e.target.closest('.function-info-link');
+            if (link && link.dataset.callgraph) showCallGraph(link.dataset.callgraph);
+            else if (link) openFunction(link.dataset.function, link.dataset.file);
+        });
 
         // Build View
         elements.build.injectCodeBtn.addEventListener('click', injectCode);
         elements.build.revertChangesBtn.addEventListener('click', revertChanges);
         elements.build.runNinjaBtn.addEventListener('click', runNinjaVerification);
+        elements.build.buildObjectBtn.addEventListener('click', buildSelectedObject);
+        elements.build.problemsList.addEventListener('click', (e) => {
+            const item = e.target.closest('.problem[data-index]');
+            if (item) openProblem(state.problems[parseInt(item.dataset.index, 10)]);
+        });
         elements.build.submitGithubBtn.addEventListener('click', submitToGithub);
+        elements.injectPreview.files.addEventListener('change', (e) => e.target.classList.contains('inject-hunk-toggle') && updateInjectionSummary());
+        elements.injectPreview.acceptAllBtn.addEventListener('click', () => setAllInjectionHunks(true));
+        elements.injectPreview.rejectAllBtn.addEventListener('click', () => setAllInjectionHunks(false));
+        elements.injectPreview.cancelBtn.addEventListener('click', () => { closeInjectionPreview(); logMessage("Injection cancelled; nothing was written.", "info"); });
+        elements.injectPreview.applyBtn.addEventListener('click', applyInjectionPreview);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && state.injectionPreview) { closeInjectionPreview(); logMessage("Injection cancelled; nothing was written.", "info"); }
+        });
 
         // Dashboard View
         elements.dashboard.runReportBtn.addEventListener('click', handleDashboardRunReport);
         elements.dashboard.filterInput.addEventListener('input', (e) => { state.dashboardFilterQuery = e.target.value.toLowerCase(); renderDashboardTable(); });
         elements.dashboard.tableHeader.addEventListener('click', (e) => e.target.closest('.sortable') && handleDashboardSort(e.target.closest('.sortable').dataset.sortKey));
         elements.dashboard.tableBody.addEventListener('click', (e) => {
+            const symbolLink = e.target.closest('.symbol-diff-link');
+            if (symbolLink) return openFunctionDiff(symbolLink.dataset.unitName, symbolLink.dataset.symbolName);
             const row = e.target.closest('tr.expandable');
             if(row) {
                 if (state.dashboardExpandedRows.has(row.dataset.unitName)) state.dashboardExpandedRows.delete(row.dataset.unitName);
@@ -687,6 +1675,47 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
+        elements.dashboard.diffCloseBtn.addEventListener('click', () => elements.dashboard.diffSection.classList.add('hidden'));
+
+        // Struct Browser View
+        elements.structs.filterInput.addEventListener('input', (e) => { state.structsFilterQuery = e.target.value.toLowerCase(); renderStructList(); });
+        elements.structs.mismatchCheckbox.addEventListener('change', (e) => { state.structsMismatchesOnly = e.target.checked; renderStructList(); });
+        elements.structs.list.addEventListener('click', (e) => {
+            const header = e.target.closest('.struct-item-header');
+            if (header) toggleStruct(header.parentElement.dataset.structName);
+        });
+
+        // Call Graph View
+        elements.nav.callgraph.addEventListener('click', () => state.isSetupComplete && showView('view-callgraph', 'Call Graph'));
+        elements.callGraph.exploreBtn.addEventListener('click', loadCallGraph);
+        elements.callGraph.functionInput.addEventListener('keydown', (e) => e.key === 'Enter' && loadCallGraph());
+        elements.callGraph.depthInput.addEventListener('change', loadCallGraph);
+        elements.callGraph.unmatchedCheckbox.addEventListener('change', loadCallGraph);
+        elements.callGraph.container.addEventListener('click', handleCallGraphClick);
+
+        // History View
+        elements.nav.history.addEventListener('click', () => { if (state.isSetupComplete) { showView('view-history', 'History'); loadHistory(); } });
+        elements.history.list.addEventListener('click', handleHistoryClick);
+        elements.history.diffCloseBtn.addEventListener('click', () => elements.history.diffSection.classList.add('hidden'));
+        window.electronAPI.history.onChanged(() => {
+            if (!document.getElementById('view-history').classList.contains('hidden')) loadHistory();
+        });
+
+        // Command Palette
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'p') {
+                e.preventDefault();
+                openPalette(e.shiftKey ? '>' : '');
+            }
+        });
+        elements.palette.input.addEventListener('input', updatePaletteResults);
+        elements.palette.input.addEventListener('keydown', handlePaletteKeydown);
+        elements.palette.overlay.addEventListener('click', (e) => { if (e.target === elements.palette.overlay) closePalette(); });
+        elements.palette.results.addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item[data-index]');
+            if (item) runPaletteResult(parseInt(item.dataset.index, 10), e.shiftKey);
+        });
+
         // Refactor View
         elements.refactor.suggestBtn.addEventListener('click', handleAISuggestClick);
         elements.refactor.acceptBtn.addEventListener('click', handleAIAcceptClick);
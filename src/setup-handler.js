@@ -1,7 +1,8 @@
 const path = require('path');
 const fs = require('fs');
 const https = require('https');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const { isWindows, executableName, pythonCandidates, getObjdiffAssetName } = require('./platform.js');
 
 // --- Helper Functions (No Changes) ---
 
@@ -45,32 +46,67 @@ async function downloadFile(event, url, dest) {
 function findExecutable(command) {
     try {
         // Use 'where' on Windows, 'which' on other platforms
-        const whereCmd = process.platform === 'win32' ? 'where' : 'which';
-        const result = execSync(`${whereCmd} ${command}`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
+        const whereCmd = isWindows ? 'where' : 'which';
+        const result = execFileSync(whereCmd, [command], { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
         return result.split(/\r?\n/)[0].trim();
     } catch (error) {
         return null;
     }
 }
 
+// --- Toolchain Path Checks ---
+
+// Names a configured tool's executable may have, without the Windows '.exe'.
+const TOOL_NAMES = {
+    git: /^git$/i,
+    python: /^(python(\d+(\.\d+)*)?|py)$/i,
+    ninja: /^ninja$/i,
+    objdiff: /^objdiff-cli[\w.-]*$/i,
+};
+
+// Why `file` cannot be used as the executable of `tool` ('git', 'python', 'ninja' or
+// 'objdiff'), or null when it can. Configured paths are spawned by the build, report and
+// git handlers, so only an absolute path to an existing executable file named like the
+// tool is accepted.
+function checkToolPath(tool, file) {
+    if (!TOOL_NAMES[tool]) return `Unknown tool: ${tool}`;
+    if (!path.isAbsolute(file)) return `${file} is not an absolute path.`;
+    const name = path.basename(file);
+    const stem = isWindows ? name.replace(/\.exe$/i, '') : name;
+    if (isWindows && stem === name) return `${file} is not an .exe file.`;
+    if (!TOOL_NAMES[tool].test(stem)) return `${file} does not look like ${executableName(tool === 'objdiff' ? 'objdiff-cli' : tool)}.`;
+    let stats;
+    try { stats = fs.statSync(file); } catch (e) { return `${file} does not exist.`; }
+    if (!stats.isFile()) return `${file} is not a file.`;
+    try { fs.accessSync(file, fs.constants.X_OK); } catch (e) { return `${file} is not executable.`; }
+    return null;
+}
+
 async function resolveToolchainPaths(event, store) {
     event.sender.send('log:message', 'Resolving toolchain paths...');
     const customPaths = store.get('toolchainPaths', {});
+    // Paths saved before they were checked, or whose file has since changed, are ignored.
+    const custom = (tool) => {
+        if (!customPaths[tool]) return null;
+        const problem = checkToolPath(tool, customPaths[tool]);
+        if (problem) event.sender.send('log:error', `Ignoring the configured ${tool} path: ${problem}`);
+        return problem ? null : customPaths[tool];
+    };
     const userPaths = store.get('userPaths', {});
 
     let objdiffInProjectFolder = null;
     if (userPaths.projectPath) {
-        const potentialPath = path.join(userPaths.projectPath, 'objdiff-cli.exe');
+        const potentialPath = path.join(userPaths.projectPath, executableName('objdiff-cli'));
         if (fs.existsSync(potentialPath)) {
             objdiffInProjectFolder = potentialPath;
         }
     }
 
     const resolved = {
-        git: customPaths.git || findExecutable('git'),
-        python: customPaths.python || findExecutable('py') || findExecutable('python'),
-        ninja: customPaths.ninja || findExecutable('ninja'),
-        objdiff: customPaths.objdiff || objdiffInProjectFolder || findExecutable('objdiff-cli.exe'),
+        git: custom('git') || findExecutable('git'),
+        python: custom('python') || pythonCandidates().map(findExecutable).find(Boolean) || null,
+        ninja: custom('ninja') || findExecutable('ninja'),
+        objdiff: custom('objdiff') || objdiffInProjectFolder || findExecutable(executableName('objdiff-cli')),
     };
     
     return resolved;
@@ -104,8 +140,7 @@ async function verifyAndHealToolchain(event, store, executeAndLog) {
     // 2. Check for Ninja, and install it if missing
     if (!resolvedPaths.ninja) {
         event.sender.send('log:message', `[WARN] Ninja not found. Attempting to install with pip...`);
-        // **FIXED**: Added '&' call operator for PowerShell
-        const installResult = await executeAndLog(event, `& "${resolvedPaths.python}" -m pip install ninja`, {});
+        const installResult = await executeAndLog(event, resolvedPaths.python, ['-m', 'pip', 'install', 'ninja'], {});
         if (installResult.code !== 0) {
             return { success: false, error: 'Failed to install Ninja via pip. Please check your Python installation.' };
         }
@@ -123,13 +158,19 @@ async function verifyAndHealToolchain(event, store, executeAndLog) {
         if (!projectPath) return { success: false, error: 'Project path not set. Cannot download objdiff-cli.' };
         
         event.sender.send('log:message', '[WARN] objdiff-cli not found. Attempting to download...');
-        const downloadUrl = 'https://github.com/encounter/objdiff/releases/download/v2.7.1/objdiff-cli-windows-x86_64.exe';
-        const destPath = path.join(projectPath, 'objdiff-cli.exe');
-        try {
-            await downloadFile(event, downloadUrl, destPath);
-            resolvedPaths.objdiff = destPath;
-        } catch (downloadError) {
-            event.sender.send('log:error', `Failed to download objdiff-cli: ${downloadError.message}. Verification Dashboard will not work.`);
+        const assetName = getObjdiffAssetName();
+        if (!assetName) {
+            event.sender.send('log:error', `No objdiff-cli release is available for ${process.platform}/${process.arch}. Verification Dashboard will not work.`);
+        } else {
+            const downloadUrl = `https://github.com/encounter/objdiff/releases/download/v2.7.1/${assetName}`;
+            const destPath = path.join(projectPath, executableName('objdiff-cli'));
+            try {
+                await downloadFile(event, downloadUrl, destPath);
+                if (!isWindows) fs.chmodSync(destPath, 0o755);
+                resolvedPaths.objdiff = destPath;
+            } catch (downloadError) {
+                event.sender.send('log:error', `Failed to download objdiff-cli: ${downloadError.message}. Verification Dashboard will not work.`);
+            }
         }
     }
     if(resolvedPaths.objdiff) event.sender.send('log:message', `[OK] Found objdiff-cli: ${resolvedPaths.objdiff}`);
@@ -154,7 +195,7 @@ async function handleProjectSetup(event, { projectPath, dolPath }, store, execut
     const meleePath = path.join(projectPath, 'melee');
     
     if (!fs.existsSync(meleePath)) {
-        const cloneResult = await executeAndLog(event, `git clone https://github.com/doldecomp/melee.git "${meleePath}"`, { cwd: projectPath, env: sessionEnv });
+        const cloneResult = await executeAndLog(event, resolvedPaths.git, ['clone', 'https://github.com/doldecomp/melee.git', meleePath], { cwd: projectPath, env: sessionEnv });
         if (cloneResult.code !== 0) return { success: false, error: "Failed to clone 'melee' repository." };
     } else {
         event.sender.send('log:message', `'melee' directory already exists. Skipping clone.`);
@@ -165,11 +206,10 @@ async function handleProjectSetup(event, { projectPath, dolPath }, store, execut
     fs.copyFileSync(dolPath, path.join(origDolDir, 'main.dol'));
     event.sender.send('log:message', 'Copied main.dol to project directory.');
 
-    // **FIXED**: Added '&' call operator for PowerShell
-    const configureResult = await executeAndLog(event, `& "${resolvedPaths.python}" configure.py`, { cwd: meleePath, env: sessionEnv });
+    const configureResult = await executeAndLog(event, resolvedPaths.python, ['configure.py'], { cwd: meleePath, env: sessionEnv });
     if (configureResult.code !== 0) return { success: false, error: 'Failed to run configure.py' };
 
-    const ninjaResult = await executeAndLog(event, 'ninja', { cwd: meleePath, env: sessionEnv });
+    const ninjaResult = await executeAndLog(event, resolvedPaths.ninja, [], { cwd: meleePath, env: sessionEnv });
     if (ninjaResult.code !== 0) return { success: false, error: 'Initial ninja build failed' };
 
     store.set('toolchainPaths', resolvedPaths);
@@ -180,5 +220,6 @@ async function handleProjectSetup(event, { projectPath, dolPath }, store, execut
 module.exports = {
     handleProjectSetup,
     resolveToolchainPaths,
+    checkToolPath,
     buildEnvFromPaths,
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// src/struct-cache.js - Persistent, incremental cache of parsed header declarations
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { collectDeclarations, buildDatabase, findHeaderFiles, defaultIncludeDirs } = require('./header-parser.js');
+
+// Bump whenever the shape of collectDeclarations' output changes.
+const CACHE_VERSION = 1;
+
+const hashFile = (file) => crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+
+function readCache(cacheFile, srcDir) {
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+        return cache.version === CACHE_VERSION && cache.srcDir === srcDir ? cache : null;
+    } catch (e) {
+        return null; // Missing or corrupt caches are rebuilt from scratch.
+    }
+}
+
+function writeCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(cache));
+    fs.renameSync(tempFile, cacheFile);
+}
+
+// Headers whose declarations may differ from the cached ones: the changed and removed
+// headers themselves, plus everything that includes them directly or indirectly, since
+// their macros and typedefs flow into the includer.
+function staleHeaders(changed, includes) {
+    const includedBy = {};
+    for (const [file, included] of Object.entries(includes)) {
+        included.forEach(target => (includedBy[target] = includedBy[target] || []).push(file));
+    }
+    const stale = new Set(changed);
+    const queue = [...changed];
+    while (queue.length > 0) {
+        (includedBy[queue.pop()] || []).forEach(file => {
+            if (!stale.has(file)) { stale.add(file); queue.push(file); }
+        });
+    }
+    return stale;
+}
+
+// Replaces everything the stale headers declared in `cached` with the freshly parsed
+// declarations. `fresh` also holds declarations from unchanged headers the stale ones
+// include; the cached copies of those are kept.
+function mergeDeclarations(cached, fresh, stale) {
+    const isStale = (entry) => stale.has(entry.file);
+    const mergeMap = (oldMap, newMap) => {
+        const merged = Object.fromEntries(Object.entries(oldMap).filter(([, entry]) => !isStale(entry)));
+        for (const [name, entry] of Object.entries(newMap)) {
+            if (isStale(entry) && !merged[name]) merged[name] = entry;
+        }
+        return merged;
+    };
+
+    const records = mergeMap(cached.records, fresh.records);
+    // A forward declaration ('struct Foo;') in an unchanged header must not hide a definition.
+    for (const [name, record] of Object.entries(fresh.records)) {
+        if (record.complete && isStale(record) && records[name] && !records[name].complete) records[name] = record;
+    }
+    const includes = Object.fromEntries(Object.entries(cached.includes).filter(([file]) => !stale.has(file)));
+    for (const [file, included] of Object.entries(fresh.includes)) {
+        if (stale.has(file)) includes[file] = included;
+    }
+
+    return {
+        records,
+        typedefs: mergeMap(cached.typedefs, fresh.typedefs),
+        functions: mergeMap(cached.functions, fresh.functions),
+        enumConstants: mergeMap(cached.enumConstants, fresh.enumConstants),
+        staticAsserts: [...cached.staticAsserts.filter(entry => !isStale(entry)), ...fresh.staticAsserts.filter(isStale)],
+        diagnostics: [...cached.diagnostics.filter(entry => !isStale(entry)), ...fresh.diagnostics.filter(isStale)],
+        includes,
+    };
+}
+
+// Brings the cached declarations for every header under `srcDir` up to date and returns
+// { db, parsed, total }: the type database (see buildDatabase), how many headers had to
+// be parsed again and how many there are. Headers are compared by mtime and size first,
+// and by content hash only when those differ.
+function loadStructDatabase({ srcDir, cacheFile }) {
+    const files = findHeaderFiles(srcDir).map(file => path.resolve(file));
+    const cache = readCache(cacheFile, srcDir);
+    const manifest = {};
+    const changed = [];
+    for (const file of files) {
+        const { mtimeMs, size } = fs.statSync(file);
+        const cached = cache && cache.manifest[file];
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+            manifest[file] = cached;
+            continue;
+        }
+        manifest[file] = { mtimeMs, size, hash: hashFile(file) };
+        if (!cached || cached.hash !== manifest[file].hash) changed.push(file);
+    }
+    const removed = cache ? Object.keys(cache.manifest).filter(file => !manifest[file]) : [];
+
+    const options = { includeDirs: defaultIncludeDirs(srcDir) };
+    let declarations, parsed;
+    if (!cache) {
+        declarations = collectDeclarations(files, options);
+        parsed = files.length;
+    } else if (changed.length === 0 && removed.length === 0) {
+        declarations = cache.declarations;
+        parsed = 0;
+    } else {
+        const stale = staleHeaders([...changed, ...removed], cache.declarations.includes);
+        const toParse = files.filter(file => stale.has(file));
+        declarations = mergeDeclarations(cache.declarations, collectDeclarations(toParse, options), stale);
+        parsed = toParse.length;
+    }
+
+    // buildDatabase modifies the declarations, so they are written out first.
+    const manifestChanged = !cache || files.length !== Object.keys(cache.manifest).length || files.some(file => manifest[file] !== cache.manifest[file]);
+    if (parsed > 0 || manifestChanged) writeCache(cacheFile, { version: CACHE_VERSION, srcDir, manifest, declarations });
+
+    return { db: buildDatabase(declarations), parsed, total: files.length };
+}
+
+module.exports = {
+    loadStructDatabase,
+    writeCache,
+};
@@ -0,0 +1,91 @@
+// src/struct-lookup.js - Resolves memory offsets to member access paths in the struct database
+
+const { typeToString } = require('./header-parser.js');
+
+// Variable names the melee source conventionally uses for pointers to these structs.
+const BASE_NAMES = {
+    Fighter: 'fp',
+    Item: 'ip',
+    HSD_GObj: 'gobj',
+    HSD_JObj: 'jobj',
+    HSD_DObj: 'dobj',
+    HSD_MObj: 'mobj',
+    HSD_CObj: 'cobj',
+    HSD_LObj: 'lobj',
+    Ground: 'gp',
+    CollData: 'coll',
+};
+const MAX_DEPTH = 16;
+const MAX_RESULTS = 200;
+
+function baseNameFor(structName) {
+    return BASE_NAMES[structName] || 'p';
+}
+
+function sizeOfType(db, type) {
+    switch (type.kind) {
+        case 'scalar': return type.size;
+        case 'pointer': case 'enum': case 'unresolved': return 4;
+        case 'array': return sizeOfType(db, type.of) * (type.length || 0);
+        case 'record': return db.structs[type.name] ? db.structs[type.name].size : 0;
+    }
+    return 0;
+}
+
+// Walks `type` looking for everything that starts exactly `offset` bytes into it.
+// Embedded structs, unions and arrays are descended into; each scalar, pointer or
+// enum found is reported with the access path that reaches it.
+function collectLeaves(db, type, offset, path, member, depth, results) {
+    if (results.length >= MAX_RESULTS || depth > MAX_DEPTH) return;
+
+    if (type.kind === 'record') {
+        const record = db.structs[type.name];
+        if (!record) {
+            if (offset === 0 && member) results.push({ path, type: typeToString(type), typeInfo: type, member });
+            return;
+        }
+        for (const child of record.members) {
+            const size = child.bitWidth !== undefined ? child.size : sizeOfType(db, child.typeInfo);
+            const inside = offset >= child.offset && (offset < child.offset + size || (size === 0 && offset === child.offset));
+            if (!inside) continue;
+            // Anonymous structs and unions contribute no path segment.
+            const childPath = child.name ? `${path}${depth === 0 ? '->' : '.'}${child.name}` : path;
+            collectLeaves(db, child.typeInfo, offset - child.offset, childPath, child, child.name ? depth + 1 : depth, results);
+        }
+        return;
+    }
+
+    if (type.kind === 'array') {
+        const elementSize = sizeOfType(db, type.of);
+        if (elementSize === 0) return;
+        const index = Math.floor(offset / elementSize);
+        if (type.length !== null && index >= type.length) return;
+        collectLeaves(db, type.of, offset - index * elementSize, `${path}[${index}]`, member, depth + 1, results);
+        return;
+    }
+
+    if (offset === 0) results.push({ path, type: typeToString(type), typeInfo: type, member });
+}
+
+// Returns every member access of every struct that lands on `offset`, e.g.
+// { structName: 'Fighter', path: 'fp->x2C4.pos.y', type: 'f32', typeInfo, member }. `member`
+// is the innermost declared member (for array elements, the array itself).
+function findMemberPaths(db, offset, structNames = Object.keys(db.structs)) {
+    const results = [];
+    for (const structName of structNames) {
+        const struct = db.structs[structName];
+        // Anonymous structs and unions are reached through their parent.
+        if (!struct || struct.name.startsWith('<')) continue;
+        const leaves = [];
+        collectLeaves(db, { kind: 'record', name: structName }, offset, baseNameFor(structName), null, 0, leaves);
+        leaves.filter(leaf => leaf.member).forEach(leaf => results.push({ structName, ...leaf }));
+        if (results.length >= MAX_RESULTS) break;
+    }
+    return results.slice(0, MAX_RESULTS);
+}
+
+module.exports = {
+    findMemberPaths,
+    baseNameFor,
+    sizeOfType,
+};
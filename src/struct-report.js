@@ -0,0 +1,101 @@
+// src/struct-report.js - Struct summaries and member layout tables for the Struct Browser
+
+const path = require('path');
+
+// Members named after their offset or left unknown, e.g. 'x2C4', 'x2C_b0', 'unk_10'.
+const PLACEHOLDER_NAME = /^(unk|x[0-9a-fA-F]+(_|$))/;
+
+const isAnonymous = (name) => name.startsWith('<');
+
+// Failed size assertions per struct: { [structName]: { expected, actual, file, line } }.
+function sizeMismatches(db) {
+    const mismatches = {};
+    for (const assertion of db.staticAsserts) {
+        if (assertion.structName && assertion.expected !== assertion.actual) {
+            mismatches[assertion.structName] = { expected: assertion.expected, actual: assertion.actual, file: assertion.file, line: assertion.line };
+        }
+    }
+    return mismatches;
+}
+
+// One entry per named struct or union, sorted by name.
+function listStructs(db, srcDir) {
+    const mismatches = sizeMismatches(db);
+    return Object.values(db.structs)
+        .filter(struct => !isAnonymous(struct.name))
+        .map(struct => ({
+            name: struct.name,
+            kind: struct.kind,
+            size: struct.size,
+            memberCount: struct.members.length,
+            file: srcDir ? path.relative(srcDir, struct.file) : struct.file,
+            line: struct.line,
+            sizeMismatch: mismatches[struct.name] || null,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Flattens a record into table rows, inlining the members of anonymous structs and
+// unions at `depth + 1` with offsets relative to the outermost struct.
+function memberRows(db, struct, baseOffset, depth, rows) {
+    for (const member of struct.members) {
+        const offset = baseOffset + member.offset;
+        const row = {
+            kind: 'member',
+            offset,
+            size: member.size,
+            type: member.type,
+            name: member.name,
+            depth,
+            placeholder: Boolean(member.name && PLACEHOLDER_NAME.test(member.name)),
+        };
+        if (member.bitWidth !== undefined) {
+            row.bitOffset = member.bitOffset;
+            row.bitWidth = member.bitWidth;
+        }
+        if (member.unresolved) row.unresolved = true;
+        rows.push(row);
+
+        const nested = member.typeInfo.kind === 'record' && db.structs[member.typeInfo.name];
+        if (nested && isAnonymous(nested.name)) memberRows(db, nested, offset, depth + 1, rows);
+    }
+}
+
+// Inserts a 'padding' row wherever bytes of a struct are not covered by any top-level
+// member, including tail padding. Unions only get tail padding.
+function withPadding(struct, rows) {
+    const result = [];
+    let end = 0;
+    for (const row of rows) {
+        if (row.depth === 0 && struct.kind === 'struct' && row.offset > end) {
+            result.push({ kind: 'padding', offset: end, size: row.offset - end, depth: 0 });
+        }
+        result.push(row);
+        if (row.depth === 0) end = Math.max(end, row.offset + row.size);
+    }
+    if (struct.size > end) result.push({ kind: 'padding', offset: end, size: struct.size - end, depth: 0 });
+    return result;
+}
+
+// Full layout of one struct for the browser table, or null if it is unknown.
+function describeStruct(db, name, srcDir) {
+    const struct = db.structs[name];
+    if (!struct) return null;
+    const rows = [];
+    memberRows(db, struct, 0, 0, rows);
+    return {
+        name: struct.name,
+        kind: struct.kind,
+        size: struct.size,
+        align: struct.align,
+        file: srcDir ? path.relative(srcDir, struct.file) : struct.file,
+        line: struct.line,
+        sizeMismatch: sizeMismatches(db)[struct.name] || null,
+        rows: withPadding(struct, rows),
+    };
+}
+
+module.exports = {
+    listStructs,
+    describeStruct,
+};
@@ -0,0 +1,10 @@
+// src/struct-worker.js - Worker thread that refreshes the struct database off the main thread
+
+const { parentPort, workerData } = require('worker_threads');
+const { loadStructDatabase } = require('./struct-cache.js');
+
+try {
+    parentPort.postMessage({ result: loadStructDatabase(workerData) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,146 @@
+// src/text-diff.js - Line diffs split into hunks that can be accepted or rejected one by one
+
+const CONTEXT_LINES = 3;
+// Past this many LCS table cells the changed middle is shown as one replacement.
+const MAX_LCS_CELLS = 4000000;
+
+// Edit script turning `oldLines` into `newLines`: [{ type: 'equal' | 'delete' | 'insert', text }].
+// The common prefix and suffix are split off first, since an injection usually touches
+// one region of a file, and only the middle goes through the LCS table.
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+        && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) suffix++;
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    const ops = oldLines.slice(0, prefix).map(text => ({ type: 'equal', text }));
+
+    if ((a.length + 1) * (b.length + 1) > MAX_LCS_CELLS) {
+        a.forEach(text => ops.push({ type: 'delete', text }));
+        b.forEach(text => ops.push({ type: 'insert', text }));
+    } else {
+        // lengths[i * width + j] = LCS length of a[i:] and b[j:]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) { ops.push({ type: 'equal', text: a[i] }); i++; j++; }
+            else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) ops.push({ type: 'delete', text: a[i++] });
+            else ops.push({ type: 'insert', text: b[j++] });
+        }
+    }
+    oldLines.slice(oldLines.length - suffix).forEach(text => ops.push({ type: 'equal', text }));
+    return ops;
+}
+
+// Groups an edit script into hunks with up to CONTEXT_LINES unchanged lines on either
+// side; changes closer together than twice that share a hunk. Returns
+// [{ index, oldStart, oldLines, newStart, newLines, lines: [{ type, text }] }] with
+// 0-based starts.
+function buildHunks(ops) {
+    let oldLine = 0, newLine = 0;
+    const positioned = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+        return entry;
+    });
+
+    const hunks = [];
+    let i = 0;
+    while (i < positioned.length) {
+        if (positioned[i].type === 'equal') { i++; continue; }
+        const start = Math.max(0, i - CONTEXT_LINES);
+        let end = i;
+        while (end < positioned.length) {
+            let next = end;
+            while (next < positioned.length && positioned[next].type === 'equal') next++;
+            if (next === positioned.length || next - end > 2 * CONTEXT_LINES) break;
+            while (next < positioned.length && positioned[next].type !== 'equal') next++;
+            end = next;
+        }
+        const stop = Math.min(positioned.length, end + CONTEXT_LINES);
+        const lines = positioned.slice(start, stop);
+        hunks.push({
+            index: hunks.length,
+            oldStart: lines[0].oldLine,
+            oldLines: lines.filter(line => line.type !== 'insert').length,
+            newStart: lines[0].newLine,
+            newLines: lines.filter(line => line.type !== 'delete').length,
+            lines: lines.map(({ type, text }) => ({ type, text })),
+        });
+        i = stop;
+    }
+    return hunks;
+}
+
+// The hunks turning `before` into `after`.
+function diffTexts(before, after) {
+    return buildHunks(diffLines(before.split('\n'), after.split('\n')));
+}
+
+// `before` with only the hunks whose index is in `accepted` (a Set) applied; the others
+// keep their original lines.
+function applyHunks(before, hunks, accepted) {
+    const oldLines = before.split('\n');
+    const result = [];
+    let position = 0;
+    for (const hunk of hunks) {
+        result.push(...oldLines.slice(position, hunk.oldStart));
+        const skipped = accepted.has(hunk.index) ? 'delete' : 'insert';
+        hunk.lines.filter(line => line.type !== skipped).forEach(line => result.push(line.text));
+        position = hunk.oldStart + hunk.oldLines;
+    }
+    result.push(...oldLines.slice(position));
+    return result.join('\n');
+}
+
+// Index of the first line of `needle` in `lines`, at or after `from` and closest to
+// `expected`, or -1.
+function findLines(lines, needle, expected, from) {
+    const last = lines.length - needle.length;
+    const matches = (at) => at >= from && at <= last && needle.every((text, k) => lines[at + k] === text);
+    for (let distance = 0; expected + distance <= last || expected - distance >= from; distance++) {
+        if (matches(expected + distance)) return expected + distance;
+        if (matches(expected - distance)) return expected - distance;
+    }
+    return -1;
+}
+
+// Replays the change from `from` to `to` onto `current`, which may have been edited
+// elsewhere since: each hunk is found by its old lines, context included, searching
+// outward from where it was. Returns the patched text, or null when a hunk's lines are
+// no longer there.
+function patchText(current, from, to) {
+    if (current === from) return to;
+    const lines = current.split('\n');
+    const result = [];
+    let position = 0, offset = 0;
+    for (const hunk of diffTexts(from, to)) {
+        const old = hunk.lines.filter(line => line.type !== 'insert').map(line => line.text);
+        const at = findLines(lines, old, hunk.oldStart + offset, position);
+        if (at === -1) return null;
+        result.push(...lines.slice(position, at));
+        hunk.lines.filter(line => line.type !== 'delete').forEach(line => result.push(line.text));
+        position = at + old.length;
+        offset = at - hunk.oldStart;
+    }
+    result.push(...lines.slice(position));
+    return result.join('\n');
+}
+
+module.exports = {
+    diffTexts,
+    applyHunks,
+    patchText,
+};
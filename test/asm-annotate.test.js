@@ -0,0 +1,10 @@
+// test/asm-annotate.test.js - Checks for the Target Assembly's instruction descriptions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { describeInstruction } = require('../src/asm-annotate.js');
+
+test('names the quantization register of paired-single loads and stores once', () => {
+    assert.strictEqual(describeInstruction('psq_l', 'f31, 0x28(r1), 0, qr0'), 'f31 = pair loaded from r1 + 0x28 with quantization register qr0');
+    assert.strictEqual(describeInstruction('psq_st', 'f1, 8(r3), 1, qr2'), 'One value of f1 stored to r3 + 8 with quantization register qr2');
+});
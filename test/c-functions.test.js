@@ -0,0 +1,100 @@
+// test/c-functions.test.js - Checks for the tokenizer-based function locator
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { listFunctionDefinitions, findFunctionDefinition, listTopLevelItems, listCalls } = require('../src/c-functions.js');
+
+const names = (source) => listFunctionDefinitions(source).map(definition => definition.name);
+const body = (source, name) => {
+    const definition = findFunctionDefinition(source, name);
+    return source.slice(definition.start, definition.end);
+};
+
+test('ignores braces inside strings, chars and comments', () => {
+    const source = `void fnA(void)
+{
+    OSReport("{ not a block");
+    char c = '}';
+    /* } */
+    // {
+}
+
+void fnB(void) {}
+`;
+    assert.deepStrictEqual(names(source), ['fnA', 'fnB']);
+    assert.ok(body(source, 'fnA').endsWith('// {\n}'));
+});
+
+test('keeps #ifdef branches inside a body balanced', () => {
+    const source = `void fnA(s32 a)
+{
+#ifdef MWERKS_GEKKO
+    if (a) {
+#else
+    if (!a) {
+#endif
+        a++;
+    }
+}
+
+void fnB(void) {}
+`;
+    assert.deepStrictEqual(names(source), ['fnA', 'fnB']);
+    assert.ok(body(source, 'fnA').trimEnd().endsWith('}\n}'));
+});
+
+test('finds K&R definitions with their parameter declarations', () => {
+    const source = `int knr(a, b)
+    int a;
+    char* b;
+{
+    return a;
+}
+`;
+    const [definition] = listFunctionDefinitions(source);
+    assert.strictEqual(definition.name, 'knr');
+    assert.strictEqual(source[definition.bodyStart], '{');
+    assert.match(definition.signature, /char\* b;$/);
+});
+
+test('skips attributes and specifiers before and after the declarator', () => {
+    const source = `static inline HSD_GObj* __attribute__((noinline)) getGObj(s32 id) __attribute__((section(".init")))
+{
+    return NULL;
+}
+`;
+    const [definition] = listFunctionDefinitions(source);
+    assert.strictEqual(definition.name, 'getGObj');
+    assert.strictEqual(definition.isStatic, true);
+    assert.strictEqual(definition.start, 0);
+});
+
+test('prefers the C definition over an asm one of the same name', () => {
+    const source = `#ifdef MUST_MATCH
+asm void fnA(void)
+{
+    nofralloc
+    blr
+}
+#else
+void fnA(void)
+{
+}
+#endif
+`;
+    const definitions = listFunctionDefinitions(source);
+    assert.deepStrictEqual(definitions.map(definition => definition.isAsm), [true, false]);
+    assert.strictEqual(findFunctionDefinition(source, 'fnA').isAsm, false);
+});
+
+test('tells prototypes and data apart from definitions', () => {
+    const source = `void fnA(void);
+extern s32 lbl_804D6000;
+static float table[2] = { 1.0F, 2.0F };
+void fnB(void) { fnA(); }
+`;
+    assert.deepStrictEqual(listTopLevelItems(source).map(item => [item.kind, item.name]), [
+        ['prototype', 'fnA'], ['data', 'lbl_804D6000'], ['data', 'table'], ['function', 'fnB'],
+    ]);
+    assert.deepStrictEqual(listCalls('{ if (x) fnA(sizeof(int)); fnB(); }'), ['fnA', 'fnB']);
+});
@@ -0,0 +1,72 @@
+// test/change-journal.test.js - Checks for the change journal's storage, undo/redo and failed writes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openJournal } = require('../src/change-journal.js');
+
+// Runs `body(meleePath, journalFile)` in a fresh temporary checkout.
+async function withProject(body) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'change-journal-'));
+    try {
+        const meleePath = path.join(dir, 'melee');
+        fs.mkdirSync(meleePath);
+        await body(meleePath, path.join(dir, 'journal', 'project.json'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('keeps snapshots out of the entry list and reads them back after reopening', () => withProject(async (meleePath, journalFile) => {
+    const file = path.join(meleePath, 'a.c');
+    fs.writeFileSync(file, 'int a;\n');
+    const id = await openJournal(meleePath, journalFile).write('refactor', 'Saved a', [{ path: file, content: 'int a;\nint b;\n' }]);
+
+    const saved = JSON.parse(fs.readFileSync(journalFile, 'utf-8'));
+    assert.deepStrictEqual(saved.entries[0].files, [{ file: 'a.c', added: 1, removed: 0 }]);
+
+    const journal = openJournal(meleePath, journalFile);
+    const [diff] = await journal.diff(id);
+    assert.strictEqual(diff.file, 'a.c');
+    assert.deepStrictEqual(await journal.undo(id), ['a.c']);
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'int a;\n');
+    assert.strictEqual(journal.list()[0].undone, true);
+    await journal.redo(id);
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'int a;\nint b;\n');
+}));
+
+test('undoing an entry that created a file removes it', () => withProject(async (meleePath, journalFile) => {
+    const journal = openJournal(meleePath, journalFile);
+    const file = path.join(meleePath, 'new.h');
+    const id = await journal.write('injection', 'Injected x', [{ path: file, content: 'void x(void);\n' }]);
+    await journal.undo(id);
+    assert.strictEqual(fs.existsSync(file), false);
+}));
+
+test('records nothing when no file changes', () => withProject(async (meleePath, journalFile) => {
+    const journal = openJournal(meleePath, journalFile);
+    const file = path.join(meleePath, 'a.c');
+    fs.writeFileSync(file, 'int a;\n');
+    assert.strictEqual(await journal.write('refactor', 'Saved a', [{ path: file, content: 'int a;\n' }]), null);
+    assert.deepStrictEqual(journal.list(), []);
+}));
+
+test('puts back written files and drops the entry when a write fails', () => withProject(async (meleePath, journalFile) => {
+    const journal = openJournal(meleePath, journalFile);
+    const file = path.join(meleePath, 'a.c');
+    fs.writeFileSync(file, 'int a;\n');
+    const created = path.join(meleePath, 'b.h');
+    const unwritable = path.join(meleePath, 'missing', 'c.c');
+    await assert.rejects(journal.write('injection', 'Injected', [
+        { path: file, content: 'int a2;\n' },
+        { path: created, content: 'int b;\n' },
+        { path: unwritable, content: 'int c;\n' },
+    ]));
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'int a;\n');
+    assert.strictEqual(fs.existsSync(created), false);
+    assert.deepStrictEqual(journal.list(), []);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(journalFile, 'utf-8')).entries, []);
+    assert.deepStrictEqual(fs.readdirSync(path.join(path.dirname(journalFile), 'project-entries')), []);
+}));
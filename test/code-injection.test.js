@@ -0,0 +1,41 @@
+// test/code-injection.test.js - Checks for merging pasted C into a translation unit
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { planCodeInjection } = require('../src/code-injection.js');
+
+const ADDRESSES = { fnA: 0x80001000, fnB: 0x80001100, fnC: 0x80001200 };
+const addressOf = (name) => ADDRESSES[name] === undefined ? null : ADDRESSES[name];
+
+test('inserts a function above the doc comment of the one after it', () => {
+    const content = '#include "ft.h"\n\n/// Sets up the fighter.\n/// @param gobj the fighter\nvoid fnC(HSD_GObj* gobj)\n{\n}\n';
+    const { content: merged } = planCodeInjection(content, 'void fnB(void)\n{\n}', { addressOf });
+    assert.strictEqual(merged, '#include "ft.h"\n\nvoid fnB(void)\n{\n}\n\n/// Sets up the fighter.\n/// @param gobj the fighter\nvoid fnC(HSD_GObj* gobj)\n{\n}\n');
+});
+
+test('inserts a typedef above an address comment', () => {
+    const content = '#include "ft.h"\n\n/* 80001000 */\nvoid fnA(void)\n{\n}\n';
+    const { content: merged } = planCodeInjection(content, 'typedef struct Foo Foo;', { addressOf });
+    assert.strictEqual(merged, '#include "ft.h"\n\ntypedef struct Foo Foo;\n\n/* 80001000 */\nvoid fnA(void)\n{\n}\n');
+});
+
+test('keeps a comment that shares a line with code out of the move', () => {
+    const content = 'int x; /* counter */\nvoid fnC(void)\n{\n}\n';
+    const { content: merged } = planCodeInjection(content, 'void fnB(void)\n{\n}', { addressOf });
+    assert.strictEqual(merged, 'int x; /* counter */\nvoid fnB(void)\n{\n}\n\nvoid fnC(void)\n{\n}\n');
+});
+
+test('places new data and typedefs above the new function that uses them', () => {
+    const content = '#include "ft.h"\n\nvoid fnA(void)\n{\n}\n\nvoid fnC(void)\n{\n}\n';
+    const code = 'typedef struct Foo Foo;\nstatic Foo* lbl_1;\nvoid fnB(void)\n{\n    lbl_1 = 0;\n}\n';
+    const { content: merged } = planCodeInjection(content, code, { addressOf });
+    assert.strictEqual(merged, '#include "ft.h"\n\nvoid fnA(void)\n{\n}\n\ntypedef struct Foo Foo;\n\nstatic Foo* lbl_1;\n\nvoid fnB(void)\n{\n    lbl_1 = 0;\n}\n\nvoid fnC(void)\n{\n}\n');
+});
+
+test('keeps a pasted prototype of a new function and lists the summary in pasted order', () => {
+    const content = 'void fnA(void)\n{\n    helper();\n}\n';
+    const code = 'void helper(void);\nvoid helper(void)\n{\n}\n';
+    const { content: merged, summary } = planCodeInjection(content, code, { addressOf });
+    assert.strictEqual(merged, 'void helper(void);\n\nvoid fnA(void)\n{\n    helper();\n}\n\nvoid helper(void)\n{\n}\n');
+    assert.deepStrictEqual(summary.map(entry => [entry.action, entry.kind]), [['added', 'prototype'], ['inserted', 'function']]);
+});
@@ -0,0 +1,23 @@
+// test/commands.test.js - Checks for the named operations of the exec:command channel
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveCommand } = require('../src/commands.js');
+
+test('builds argv arrays for named operations', () => {
+    assert.deepStrictEqual(resolveCommand('git-status'), { tool: 'git', args: ['status', '--porcelain'] });
+    assert.deepStrictEqual(resolveCommand('git-diff', { file: 'src/melee/lb/lbcollision.c' }), { tool: 'git', args: ['diff', '--', 'src/melee/lb/lbcollision.c'] });
+    assert.deepStrictEqual(resolveCommand('build-object', { target: 'build/GALE01/src/melee/lb/lbcollision.o' }), { tool: 'ninja', args: ['build/GALE01/src/melee/lb/lbcollision.o'] });
+});
+
+test('rejects unknown operations', () => {
+    assert.throws(() => resolveCommand('rm'), /Unknown operation/);
+    assert.throws(() => resolveCommand('toString'), /Unknown operation/);
+});
+
+test('rejects arguments outside the allowed shapes', () => {
+    assert.throws(() => resolveCommand('git-diff', { file: 'src/../../etc/passwd.c' }), /Invalid source file/);
+    assert.throws(() => resolveCommand('git-diff', { file: 'src/melee/$(touch x).c' }), /Invalid source file/);
+    assert.throws(() => resolveCommand('build-object', { target: 'build/GALE01/src/a.o; rm -rf /' }), /Invalid build target/);
+    assert.throws(() => resolveCommand('git-status', []), /Invalid arguments/);
+});
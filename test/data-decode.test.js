@@ -0,0 +1,24 @@
+// test/data-decode.test.js - Checks for decoding asm data objects
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeData } = require('../src/data-decode.js');
+
+test('decodes a single .double', () => {
+    const decoded = decodeData(['.double 0.5']);
+    assert.strictEqual(decoded.kind, 'double');
+    assert.strictEqual(decoded.summary, '0.5');
+});
+
+test('decodes several .double values', () => {
+    const decoded = decodeData(['.double 0.5, 1.0', '.double 4503601774854144']);
+    assert.strictEqual(decoded.kind, 'double');
+    assert.deepStrictEqual(decoded.values, [0.5, 1, 4503601774854144]);
+    assert.strictEqual(decoded.summary, 'doubles: 0.5, 1, 4503601774854144');
+});
+
+test('decodes a double spelled as two words in .sdata2', () => {
+    const decoded = decodeData(['.4byte 0x3FE00000', '.4byte 0x00000000'], { section: '.sdata2', size: 8 });
+    assert.strictEqual(decoded.kind, 'double');
+    assert.strictEqual(decoded.summary, '0.5 (0x3FE00000 0x00000000)');
+});
@@ -0,0 +1,123 @@
+// test/header-parser.test.js - Checks for the C preprocessor and Metrowerks struct layout
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHeaders } = require('../src/header-parser.js');
+
+// Parses `source` as a lone header and returns the type database.
+function parse(source) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'header-parser-'));
+    try {
+        const file = path.join(dir, 'test.h');
+        fs.writeFileSync(file, source);
+        return parseHeaders([file], { includeDirs: [dir] });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const layoutOf = (struct) => struct.members.map(({ name, offset, size }) => [name, offset, size]);
+
+test('lays out members with natural alignment and tail padding', () => {
+    const { structs } = parse('struct A { char a; int b; short c; };');
+    assert.deepStrictEqual(layoutOf(structs.A), [['a', 0, 1], ['b', 4, 4], ['c', 8, 2]]);
+    assert.strictEqual(structs.A.size, 12);
+    assert.strictEqual(structs.A.align, 4);
+});
+
+test('honours #pragma pack push and pop', () => {
+    const { structs } = parse(`
+#pragma pack(push, 1)
+struct Packed { char a; int b; };
+#pragma pack(pop)
+struct Normal { char a; int b; };
+`);
+    assert.deepStrictEqual(layoutOf(structs.Packed), [['a', 0, 1], ['b', 1, 4]]);
+    assert.strictEqual(structs.Packed.size, 5);
+    assert.strictEqual(structs.Normal.size, 8);
+});
+
+test('packs bitfields into their storage unit, most significant bits first', () => {
+    const { structs } = parse('struct Flags { unsigned int a : 1; unsigned int b : 3; unsigned int c : 30; unsigned char d; };');
+    const [a, b, c, d] = structs.Flags.members;
+    assert.deepStrictEqual([a.offset, a.bitOffset, a.bitWidth], [0, 0, 1]);
+    assert.deepStrictEqual([b.offset, b.bitOffset, b.bitWidth], [0, 1, 3]);
+    assert.deepStrictEqual([c.offset, c.bitWidth], [4, 30]);
+    assert.strictEqual(d.offset, 8);
+    assert.strictEqual(structs.Flags.size, 12);
+});
+
+test('overlays union members and flattens anonymous members', () => {
+    const { structs } = parse(`
+union U { char c; double d; int i[3]; };
+struct S {
+    int tag;
+    union { float f; int i; };
+    struct { short x; short y; } pos;
+};
+`);
+    assert.strictEqual(structs.U.size, 16);
+    assert.strictEqual(structs.U.align, 8);
+    assert.ok(structs.U.members.every(member => member.offset === 0));
+    assert.strictEqual(structs.S.size, 12);
+    const pos = structs.S.members.find(member => member.name === 'pos');
+    assert.deepStrictEqual([pos.offset, pos.size], [8, 4]);
+});
+
+test('resolves typedef chains and array sizes from #define', () => {
+    const { structs, typedefs } = parse(`
+#define COUNT 4
+#define DOUBLE_COUNT (COUNT * 2)
+typedef unsigned char u8;
+typedef u8 Byte;
+typedef Byte Buffer[DOUBLE_COUNT];
+typedef struct Item { Buffer data; Byte extra[COUNT + 1]; } Item;
+typedef Item ItemAlias;
+struct Holder { ItemAlias items[COUNT]; };
+`);
+    assert.ok(typedefs.Byte);
+    assert.deepStrictEqual(layoutOf(structs.Item), [['data', 0, 8], ['extra', 8, 5]]);
+    assert.strictEqual(structs.Item.size, 13);
+    assert.strictEqual(structs.Holder.size, 52);
+});
+
+test('applies __attribute__((aligned))', () => {
+    const { structs } = parse(`
+struct Aligned { char a; int b __attribute__((aligned(16))); };
+struct Whole { int a; } __attribute__((aligned(32)));
+`);
+    assert.strictEqual(structs.Aligned.members[1].offset, 16);
+    assert.strictEqual(structs.Aligned.size, 32);
+    assert.strictEqual(structs.Whole.align, 32);
+    assert.strictEqual(structs.Whole.size, 32);
+});
+
+test('checks STATIC_ASSERT size assertions against the layout', () => {
+    const { staticAsserts } = parse(`
+struct Good { int a; char b; };
+struct Bad { int a; char b; };
+STATIC_ASSERT(sizeof(struct Good) == 8);
+STATIC_ASSERT(sizeof(struct Bad) == 5);
+`);
+    assert.strictEqual(staticAsserts.length, 2);
+    const [good, bad] = staticAsserts;
+    assert.strictEqual(good.passed, true);
+    assert.deepStrictEqual([good.structName, good.actual, good.expected], ['Good', 8, 8]);
+    assert.strictEqual(bad.passed, false);
+    assert.deepStrictEqual([bad.structName, bad.actual, bad.expected], ['Bad', 8, 5]);
+});
+
+test('evaluates #if conditions and function-like macros', () => {
+    const { structs } = parse(`
+#define FIELD(type, name) type name;
+#if defined(__MWERKS__) && __PPC__
+struct Mw { FIELD(int, a) FIELD(char, b) };
+#else
+struct Mw { char a; };
+#endif
+`);
+    assert.deepStrictEqual(layoutOf(structs.Mw), [['a', 0, 4], ['b', 4, 1]]);
+});
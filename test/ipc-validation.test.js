@@ -0,0 +1,37 @@
+// test/ipc-validation.test.js - Checks for the IPC payload schemas and project path sandbox
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IpcValidationError, validateIpcPayload, resolveInsideProject } = require('../src/ipc-validation.js');
+
+const rejects = (fn) => assert.throws(fn, IpcValidationError);
+
+test('keeps paths inside the project folder', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ipc-validation-'));
+    try {
+        assert.strictEqual(resolveInsideProject(root, '..foo', 'a.c'), path.join(root, '..foo', 'a.c'));
+        assert.strictEqual(resolveInsideProject(root, 'melee'), path.join(root, 'melee'));
+        rejects(() => resolveInsideProject(root, '..'));
+        rejects(() => resolveInsideProject(root, '..', 'other'));
+        rejects(() => resolveInsideProject(root, 'melee', '..', '..', 'other'));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('only navigates to the app pages', () => {
+    validateIpcPayload('navigate', 'objdiff');
+    rejects(() => validateIpcPayload('navigate', '../main'));
+    rejects(() => validateIpcPayload('navigate', 'objdiff.html'));
+});
+
+test('only opens http and https links', () => {
+    validateIpcPayload('shell:openExternal', 'https://decomp.me/?q=ftCo_800C0694');
+    validateIpcPayload('shell:openExternal', 'http://localhost:8000');
+    rejects(() => validateIpcPayload('shell:openExternal', 'file:///etc/passwd'));
+    rejects(() => validateIpcPayload('shell:openExternal', 'javascript:alert(1)'));
+    rejects(() => validateIpcPayload('shell:openExternal', 'decomp.me'));
+});
@@ -0,0 +1,34 @@
+// test/prototypes.test.js - Checks for keeping header prototypes in step
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { prototypeFor, insertPrototype } = require('../src/prototypes.js');
+const { listFunctionDefinitions } = require('../src/c-functions.js');
+
+const ADDRESSES = { fnA: 0x80001000, fnB: 0x80001100, fnC: 0x80001200 };
+const addressOf = (name) => ADDRESSES[name] === undefined ? null : ADDRESSES[name];
+const prototypeOf = (source) => prototypeFor(listFunctionDefinitions(source)[0]);
+
+test('rewrites K&R definitions into prototyped parameter lists', () => {
+    assert.strictEqual(prototypeOf('bool knr(a, b)\n    int a;\n    char* b;\n{\n    return a;\n}\n'), 'bool knr(int a, char* b);');
+    assert.strictEqual(prototypeOf('int knr(a, b, c)\n    char *a, b;\n{\n}\n'), 'int knr(char *a, char b, int c);');
+});
+
+test('drops specifiers that only belong on definitions', () => {
+    assert.strictEqual(prototypeOf('inline s32 clamp(s32 x)\n{\n    return x;\n}\n'), 's32 clamp(s32 x);');
+    assert.strictEqual(prototypeOf('asm void fnA(void)\n{\n    nofralloc\n    blr\n}\n'), 'void fnA(void);');
+    assert.strictEqual(prototypeOf('HSD_GObj* getGObj(s32 id,\n                   f32 (*cb)(int))\n{\n}\n'), 'HSD_GObj* getGObj(s32 id, f32 (*cb)(int));');
+});
+
+test('inserts a prototype above the comment of the next one by address', () => {
+    const content = '#ifndef FT_H\n#define FT_H\n\nvoid fnA(void);\n/// Sets up the fighter.\nvoid fnC(HSD_GObj* gobj);\n\n#endif\n';
+    const { content: updated, detail } = insertPrototype(content, 'fnB', 'void fnB(void);', addressOf);
+    assert.strictEqual(detail, 'before fnC');
+    assert.strictEqual(updated, '#ifndef FT_H\n#define FT_H\n\nvoid fnA(void);\nvoid fnB(void);\n/// Sets up the fighter.\nvoid fnC(HSD_GObj* gobj);\n\n#endif\n');
+});
+
+test('inserts a prototype above a block comment', () => {
+    const content = '/* 80001200 */ void fnC(void);\n';
+    const { content: updated } = insertPrototype(content, 'fnB', 'void fnB(void);', addressOf);
+    assert.strictEqual(updated, 'void fnB(void);\n/* 80001200 */ void fnC(void);\n');
+});